@@ -0,0 +1,346 @@
+import * as Y from 'yjs'
+import { MarkPrefix, NodeTypeAttribute, attributeToJSON, attributesToMarks, getNodeName, yattr2markname } from './plugins/sync-plugin.js'
+import { initProseMirrorDoc } from './lib.js'
+import { getTypeInDoc } from './utils.js'
+
+/**
+ * A human-readable description of a change, e.g. for an activity feed.
+ *
+ * - 'insertText' `text` was inserted with `marks`
+ * - 'deleteText' `text` was deleted
+ * - 'format' `addedMarks` and `removedMarks` were applied to `length` characters of text, or to a node
+ * - 'insertNodes' `nodes` were inserted
+ * - 'deleteNodes' nodes of the types `nodeNames` were deleted
+ * - 'setAttribute' the `attribute` of a node changed from `oldValue` to `value`
+ * - 'setNodeType' the type of a node changed from `oldValue` to `value`
+ *
+ * @typedef {Object} ChangeRecord
+ * @property {'insertText'|'deleteText'|'format'|'insertNodes'|'deleteNodes'|'setAttribute'|'setNodeType'} ChangeRecord.type
+ * @property {Array<number>} ChangeRecord.path The indexes of the changed Yjs type in the fragment
+ * @property {string|null} ChangeRecord.nodeName The type of the changed node. Is null for the fragment
+ * @property {number|null} ChangeRecord.pos The position of the change in the updated ProseMirror
+ *   document. Is null if the changed content isn't rendered.
+ * @property {number|null} ChangeRecord.client The client that made the change, if known
+ * @property {any} ChangeRecord.user The user of the client (see `Y.PermanentUserData`)
+ * @property {string} [ChangeRecord.text]
+ * @property {number} [ChangeRecord.length]
+ * @property {Array<Object>} [ChangeRecord.marks] Marks as ProseMirror JSON
+ * @property {Array<Object>} [ChangeRecord.addedMarks] Marks as ProseMirror JSON
+ * @property {Array<string>} [ChangeRecord.removedMarks] Names of the removed marks
+ * @property {Array<Object>} [ChangeRecord.nodes] Nodes as ProseMirror JSON
+ * @property {Array<string>} [ChangeRecord.nodeNames]
+ * @property {string} [ChangeRecord.attribute]
+ * @property {any} [ChangeRecord.value]
+ * @property {any} [ChangeRecord.oldValue]
+ */
+
+/**
+ * The size of a rendered Yjs type in the ProseMirror document. Text nodes are not mapped when a
+ * document is created from Yjs, so their size is the length of the text.
+ *
+ * @param {Y.AbstractType<any>} child
+ * @param {import('./plugins/sync-plugin.js').ProsemirrorMapping} mapping
+ * @return {number|null} null if the type is not rendered
+ */
+const renderedSize = (child, mapping) => {
+  if (child instanceof Y.XmlText) {
+    return child.length
+  }
+  const mapped = mapping.get(child)
+  if (mapped == null) {
+    return null
+  }
+  return mapped instanceof Array ? mapped.reduce((size, node) => size + node.nodeSize, 0) : mapped.nodeSize
+}
+
+/**
+ * The positions of all rendered Yjs types.
+ *
+ * @param {Y.XmlFragment} type
+ * @param {number} pos The position of the content of the type
+ * @param {import('./plugins/sync-plugin.js').ProsemirrorMapping} mapping
+ * @param {Map<Y.AbstractType<any>, number>} positions
+ */
+const collectPositions = (type, pos, mapping, positions) => {
+  type.toArray().forEach(child => {
+    const size = renderedSize(child, mapping)
+    if (size === null) {
+      return
+    }
+    positions.set(child, pos)
+    const mapped = mapping.get(child)
+    if (child instanceof Y.XmlElement && !(mapped instanceof Array) && !mapped?.isLeaf) {
+      collectPositions(child, pos + 1, mapping, positions)
+    }
+    pos += size
+  })
+}
+
+/**
+ * The visible item at an index of a type.
+ *
+ * @param {Y.AbstractType<any>} type
+ * @param {number} index
+ * @return {Y.Item|null}
+ */
+const itemAt = (type, index) => {
+  for (let n = type._start; n !== null; n = n.right) {
+    if (!n.deleted && n.countable) {
+      if (index < n.length) {
+        return n
+      }
+      index -= n.length
+    }
+  }
+  return null
+}
+
+/**
+ * @param {Object<string,any>} attrs
+ * @param {import('prosemirror-model').Schema} schema
+ * @return {Array<Object>}
+ */
+const attributesToMarksJSON = (attrs, schema) => {
+  /**
+   * @type {Object<string,any>}
+   */
+  const known = {}
+  /**
+   * @type {Array<Object>}
+   */
+  const unknown = []
+  for (const key in attrs) {
+    const name = yattr2markname(key)
+    if (schema.marks[name] !== undefined) {
+      known[key] = attrs[key]
+    } else {
+      unknown.push({ type: name, attrs: attrs[key] })
+    }
+  }
+  return attributesToMarks(known, schema).map(mark => mark.toJSON()).concat(unknown)
+}
+
+/**
+ * Describe the changes that a Yjs update makes to a Y.XmlFragment. Text formatting is described
+ * as marks (see `attributesToMarks`) and node marks are recognized by the `MarkPrefix` of their
+ * attributes.
+ *
+ * @param {Y.XmlFragment} yXmlFragment The fragment before the update is applied. It is not modified.
+ * @param {Uint8Array} update
+ * @param {Object} opts
+ * @param {import('prosemirror-model').Schema} opts.schema
+ * @param {Y.PermanentUserData|null} [opts.permanentUserData] Used to compute the user of a change
+ * @return {Array<ChangeRecord>}
+ */
+export const yUpdateToChangeRecords = (yXmlFragment, update, { schema, permanentUserData = null }) => {
+  // keep the content of deleted items, so that deleted text can be described
+  const doc = new Y.Doc({ gc: false })
+  Y.applyUpdate(doc, Y.encodeStateAsUpdate(/** @type {Y.Doc} */ (yXmlFragment.doc)))
+  const type = getTypeInDoc(yXmlFragment, doc)
+  // the author of changes that don't create items (e.g. deletions)
+  const authors = new Set(Y.decodeUpdate(update).structs.map(struct => struct.id.client))
+  const author = authors.size === 1 ? authors.values().next().value : null
+  /**
+   * @type {Array<{ target: Y.AbstractType<any>, path: Array<number>, delta: Array<any>, keys: Map<string, { action: string, oldValue: any }>, deleted: Array<Y.Item> }>}
+   */
+  const events = []
+  /**
+   * @param {Array<Y.YEvent<any>>} yevents
+   */
+  const observer = yevents => {
+    yevents.forEach(event => {
+      if (!(event.target instanceof Y.XmlFragment) && !(event.target instanceof Y.XmlText)) {
+        // a structured attribute changed, which is described as a change of the attribute
+        let attr = event.target
+        let depth = 1
+        while (attr._item !== null && !(attr._item.parent instanceof Y.XmlElement)) {
+          attr = /** @type {Y.AbstractType<any>} */ (attr._item.parent)
+          depth++
+        }
+        if (attr._item === null || attr._item.parentSub === null) {
+          // e.g. a change of a Y.XmlHook
+          return
+        }
+        const el = /** @type {Y.XmlElement} */ (/** @type {Y.Item} */ (attr._item).parent)
+        const key = /** @type {string} */ (/** @type {Y.Item} */ (attr._item).parentSub)
+        if (!events.some(e => e.target === el && e.keys.has(key))) {
+          const keys = new Map([[key, { action: 'update', oldValue: undefined }]])
+          events.push({ target: el, path: /** @type {Array<number>} */ (event.path.slice(0, -depth)), delta: [], keys, deleted: [] })
+        }
+        return
+      }
+      // collect the deleted items before they are garbage collected
+      const deleted = []
+      for (let n = /** @type {Y.AbstractType<any>} */ (event.target)._start; n !== null; n = n.right) {
+        if (event.deletes(n) && !event.adds(n)) {
+          deleted.push(n)
+        }
+      }
+      // the changes can only be computed in the event handler
+      events.push({
+        target: event.target,
+        path: /** @type {Array<number>} */ (event.path),
+        delta: event.target instanceof Y.XmlText ? event.delta : event.changes.delta,
+        keys: event.changes.keys,
+        deleted
+      })
+    })
+  }
+  type.observeDeep(observer)
+  Y.applyUpdate(doc, update)
+  type.unobserveDeep(observer)
+  const { meta } = initProseMirrorDoc(type, schema, { invalidContent: 'skip' })
+  /**
+   * @type {Map<Y.AbstractType<any>, number>}
+   */
+  const positions = new Map()
+  collectPositions(type, 0, meta.mapping, positions)
+  /**
+   * @type {Array<ChangeRecord>}
+   */
+  const records = []
+  events.forEach(({ target: changed, path, delta, keys, deleted }) => {
+    const target = /** @type {Y.XmlFragment|Y.XmlElement|Y.XmlText} */ (changed)
+    const targetPos = target === type ? -1 : positions.get(target)
+    const nodeName = target instanceof Y.XmlElement ? getNodeName(target) : target instanceof Y.XmlText ? 'text' : null
+    /**
+     * @param {number|null} client
+     * @param {Y.ID|null} [deletedId]
+     */
+    const attribution = (client, deletedId = null) => {
+      let user = null
+      if (permanentUserData !== null) {
+        user = (deletedId !== null && permanentUserData.getUserByDeletedId(deletedId)) ||
+          (client !== null ? permanentUserData.getUserByClientId(client) : null)
+      }
+      return { client, user }
+    }
+    if (target instanceof Y.XmlText) {
+      let index = 0
+      let deletedIndex = 0
+      delta.forEach(op => {
+        const pos = targetPos === undefined ? null : targetPos + index
+        if (typeof op.insert === 'string') {
+          const item = itemAt(target, index)
+          records.push({ type: 'insertText', path, nodeName, pos, text: op.insert, marks: attributesToMarksJSON(op.attributes || {}, schema), ...attribution(item !== null ? item.id.client : author) })
+          index += op.insert.length
+        } else if (op.delete !== undefined) {
+          let text = ''
+          const first = deleted[deletedIndex]
+          while (text.length < op.delete && deletedIndex < deleted.length) {
+            const n = deleted[deletedIndex++]
+            if (n.content instanceof Y.ContentString) {
+              text += n.content.str
+            } else if (n.countable) {
+              text += ' '
+            }
+          }
+          records.push({ type: 'deleteText', path, nodeName, pos, text, ...attribution(author, first !== undefined ? first.id : null) })
+        } else if (op.retain !== undefined) {
+          if (op.attributes !== undefined) {
+            /**
+             * @type {Object<string,any>}
+             */
+            const added = {}
+            /**
+             * @type {Array<string>}
+             */
+            const removedMarks = []
+            for (const key in op.attributes) {
+              if (op.attributes[key] === null) {
+                removedMarks.push(yattr2markname(key))
+              } else {
+                added[key] = op.attributes[key]
+              }
+            }
+            records.push({ type: 'format', path, nodeName, pos, length: op.retain, addedMarks: attributesToMarksJSON(added, schema), removedMarks, ...attribution(author) })
+          }
+          index += op.retain
+        }
+      })
+      return
+    }
+    // elements and the fragment
+    const contentPos = targetPos === undefined ? null : targetPos + 1
+    const children = target.toArray()
+    /**
+     * @param {number} i
+     */
+    const childPos = i => {
+      if (contentPos === null) {
+        return null
+      }
+      let pos = contentPos
+      for (let k = 0; k < i; k++) {
+        pos += renderedSize(children[k], meta.mapping) ?? 0
+      }
+      return pos
+    }
+    let index = 0
+    let deletedIndex = 0
+    delta.forEach(op => {
+      if (op.insert instanceof Array) {
+        /**
+         * @type {Array<Object>}
+         */
+        const nodes = []
+        op.insert.forEach(child => {
+          const mapped = meta.mapping.get(child)
+          if (child instanceof Y.XmlText) {
+            child.toDelta().forEach((/** @type {any} */ op) => {
+              const marks = attributesToMarksJSON(op.attributes || {}, schema)
+              nodes.push(marks.length > 0 ? { type: 'text', text: op.insert, marks } : { type: 'text', text: op.insert })
+            })
+          } else if (mapped instanceof Array) {
+            mapped.forEach(node => nodes.push(node.toJSON()))
+          } else if (mapped != null) {
+            nodes.push(mapped.toJSON())
+          }
+        })
+        const client = /** @type {Y.Item} */ (op.insert[0]._item).id.client
+        records.push({ type: 'insertNodes', path, nodeName, pos: childPos(index), nodes, ...attribution(client) })
+        index += op.insert.length
+      } else if (op.delete !== undefined) {
+        const items = deleted.slice(deletedIndex, deletedIndex + op.delete)
+        deletedIndex += op.delete
+        const nodeNames = items.map(item => {
+          const child = /** @type {Y.ContentType} */ (item.content).type
+          return child instanceof Y.XmlElement ? getNodeName(child) : 'text'
+        })
+        records.push({ type: 'deleteNodes', path, nodeName, pos: childPos(index), nodeNames, ...attribution(author, items.length > 0 ? items[0].id : null) })
+      } else if (op.retain !== undefined) {
+        index += op.retain
+      }
+    })
+    if (target instanceof Y.XmlElement) {
+      /**
+       * @type {Array<Object>}
+       */
+      const addedMarks = []
+      /**
+       * @type {Array<string>}
+       */
+      const removedMarks = []
+      keys.forEach(({ action, oldValue }, key) => {
+        const value = attributeToJSON(target.getAttribute(key))
+        const item = target._map.get(key)
+        const client = action === 'delete' || item === undefined ? author : item.id.client
+        if (key === NodeTypeAttribute) {
+          records.push({ type: 'setNodeType', path, nodeName, pos: targetPos ?? null, value: nodeName, oldValue: oldValue ?? target.nodeName, ...attribution(client) })
+        } else if (key.startsWith(MarkPrefix)) {
+          if (value != null) {
+            addedMarks.push(value)
+          } else {
+            removedMarks.push(key.slice(MarkPrefix.length))
+          }
+        } else {
+          records.push({ type: 'setAttribute', path, nodeName, pos: targetPos ?? null, attribute: key, value: value ?? null, oldValue: attributeToJSON(oldValue) ?? null, ...attribution(client) })
+        }
+      })
+      if (addedMarks.length > 0 || removedMarks.length > 0) {
+        records.push({ type: 'format', path, nodeName, pos: targetPos ?? null, addedMarks, removedMarks, ...attribution(author) })
+      }
+    }
+  })
+  return records
+}
@@ -0,0 +1,324 @@
+import * as Y from 'yjs'
+import * as math from 'lib0/math'
+
+/**
+ * @typedef {ReturnType<typeof Y.createDeleteSet>} DeleteSet
+ */
+
+/**
+ * Marks the clock from which on the items of a client were created at `time`.
+ *
+ * @typedef {Object} InsertionEntry
+ * @property {number} InsertionEntry.client
+ * @property {number} InsertionEntry.clock
+ * @property {number} InsertionEntry.time
+ */
+
+/**
+ * The items a client deleted at `time`. `ds` is a flat list of `client, clock, len` triples.
+ * Deletions of the same client within the resolution share a timestamp.
+ *
+ * @typedef {Object} DeletionEntry
+ * @property {number} [DeletionEntry.client] The client that recorded the deletions
+ * @property {number} DeletionEntry.time
+ * @property {Array<number>} DeletionEntry.ds
+ */
+
+/**
+ * A range of deleted items of a client.
+ *
+ * @typedef {Object} DeletedRange
+ * @property {number} DeletedRange.clock
+ * @property {number} DeletedRange.len
+ * @property {number} DeletedRange.time
+ */
+
+/**
+ * @param {DeleteSet} ds
+ * @return {Array<number>}
+ */
+const encodeDeleteSet = ds => {
+  /**
+   * @type {Array<number>}
+   */
+  const encoded = []
+  ds.clients.forEach((deletes, client) => {
+    deletes.forEach(({ clock, len }) => {
+      encoded.push(client, clock, len)
+    })
+  })
+  return encoded
+}
+
+/**
+ * Decode a delete set. Overlapping and adjacent ranges are merged.
+ *
+ * @param {Array<number>} encoded
+ * @return {DeleteSet}
+ */
+const decodeDeleteSet = encoded => {
+  const ds = Y.createDeleteSet()
+  for (let i = 0; i < encoded.length; i += 3) {
+    const deletes = ds.clients.get(encoded[i]) || []
+    deletes.push(/** @type {any} */ ({ clock: encoded[i + 1], len: encoded[i + 2] }))
+    ds.clients.set(encoded[i], deletes)
+  }
+  ds.clients.forEach((deletes, client) => {
+    deletes.sort((a, b) => a.clock - b.clock)
+    /**
+     * @type {Array<any>}
+     */
+    const merged = []
+    deletes.forEach(({ clock, len }) => {
+      const last = merged[merged.length - 1]
+      if (last !== undefined && clock <= last.clock + last.len) {
+        last.len = math.max(last.len, clock + len - last.clock)
+      } else {
+        merged.push({ clock, len })
+      }
+    })
+    ds.clients.set(client, merged)
+  })
+  return ds
+}
+
+/**
+ * Records when content was inserted and deleted. The timestamps are stored in the Yjs document, so
+ * all clients can attribute changes to the time they were made, similar to how
+ * `Y.PermanentUserData` attributes changes to users.
+ *
+ * Changes are recorded with a resolution of `opts.resolution` milliseconds: a client adds at
+ * most one insertion entry per time span, and the deletions of a client within a time span share
+ * the timestamp of the first one. Every transaction only appends its own deletions, the deletion
+ * entries are merged when they are read.
+ */
+export class AttributionStore {
+  /**
+   * @param {Y.Doc} doc
+   * @param {Y.Array<InsertionEntry|DeletionEntry>} [storeType]
+   * @param {Object} [opts]
+   * @param {number} [opts.resolution] Changes within this time span (in ms) share a timestamp
+   * @param {function():number} [opts.now] The current time in ms
+   */
+  constructor (doc, storeType = doc.getArray('attributions'), { resolution = 60000, now = Date.now } = {}) {
+    this.doc = doc
+    this.yattributions = storeType
+    this.resolution = resolution
+    this.now = now
+    /**
+     * The insertion entries of each client, sorted by clock
+     *
+     * @type {Map<number, Array<InsertionEntry>>}
+     */
+    this.insertions = new Map()
+    /**
+     * The deletion entries and their decoded delete sets
+     *
+     * @type {Map<DeletionEntry, DeleteSet>}
+     */
+    this.deletions = new Map()
+    /**
+     * The deleted ranges of each client, sorted by clock and without overlaps. Computed from
+     * `deletions` when needed.
+     *
+     * @type {Map<number, Array<DeletedRange>>|null}
+     */
+    this._deletedRanges = null
+    /**
+     * The last deletion entry of this client. Deletions within the resolution reuse its timestamp.
+     *
+     * @type {DeletionEntry|null}
+     */
+    this._lastDeletion = null
+    /**
+     * @param {InsertionEntry|DeletionEntry} entry
+     */
+    const addEntry = entry => {
+      if ('ds' in entry) {
+        this.deletions.set(entry, decodeDeleteSet(entry.ds))
+        this._deletedRanges = null
+        if (entry.client === doc.clientID && (this._lastDeletion === null || entry.time >= this._lastDeletion.time)) {
+          this._lastDeletion = entry
+        }
+      } else {
+        const entries = this.insertions.get(entry.client) || []
+        let i = entries.length
+        while (i > 0 && entries[i - 1].clock > entry.clock) {
+          i--
+        }
+        entries.splice(i, 0, entry)
+        this.insertions.set(entry.client, entries)
+      }
+    }
+    storeType.forEach(addEntry)
+    storeType.observe(event => {
+      event.changes.deleted.forEach(item => {
+        item.content.getContent().forEach(entry => {
+          if ('ds' in entry) {
+            this.deletions.delete(entry)
+            this._deletedRanges = null
+          }
+        })
+      })
+      event.changes.added.forEach(item => item.content.getContent().forEach(addEntry))
+    })
+    /**
+     * @param {Y.Transaction} tr
+     */
+    this._afterTransaction = tr => {
+      if (tr.local && tr.origin !== this) {
+        this.record(tr)
+      }
+    }
+    doc.on('afterTransaction', this._afterTransaction)
+  }
+
+  /**
+   * Record the time of a local transaction.
+   *
+   * @param {Y.Transaction} tr
+   */
+  record (tr) {
+    const time = this.now()
+    const client = this.doc.clientID
+    const before = tr.beforeState.get(client) || 0
+    /**
+     * @type {Array<InsertionEntry|DeletionEntry>}
+     */
+    const entries = []
+    if ((tr.afterState.get(client) || 0) > before) {
+      const insertions = this.insertions.get(client) || []
+      const last = insertions[insertions.length - 1]
+      if (last === undefined || time - last.time >= this.resolution) {
+        entries.push({ client, clock: before, time })
+      }
+    }
+    if (tr.deleteSet.clients.size > 0) {
+      const last = this._lastDeletion
+      entries.push({
+        client,
+        time: last !== null && time - last.time < this.resolution ? last.time : time,
+        ds: encodeDeleteSet(tr.deleteSet)
+      })
+    }
+    if (entries.length > 0) {
+      this.doc.transact(() => {
+        this.yattributions.push(entries)
+      }, this)
+    }
+  }
+
+  /**
+   * @return {Map<number, Array<DeletedRange>>}
+   */
+  _getDeletedRanges () {
+    if (this._deletedRanges === null) {
+      /**
+       * @type {Map<number, Array<DeletedRange>>}
+       */
+      const ranges = new Map()
+      this.deletions.forEach((ds, { time }) => {
+        ds.clients.forEach((deletes, client) => {
+          const clientRanges = ranges.get(client) || []
+          deletes.forEach(({ clock, len }) => { clientRanges.push({ clock, len, time }) })
+          ranges.set(client, clientRanges)
+        })
+      })
+      // remove overlaps. Content that was deleted concurrently by several clients gets the earliest timestamp.
+      ranges.forEach((clientRanges, client) => {
+        clientRanges.sort((a, b) => a.clock - b.clock || a.time - b.time)
+        /**
+         * @type {Array<DeletedRange>}
+         */
+        const disjoint = []
+        clientRanges.forEach(range => {
+          const last = disjoint[disjoint.length - 1]
+          const lastEnd = last !== undefined ? last.clock + last.len : 0
+          if (range.clock + range.len <= lastEnd) {
+            return
+          }
+          const clock = math.max(range.clock, lastEnd)
+          disjoint.push({ clock, len: range.clock + range.len - clock, time: range.time })
+        })
+        ranges.set(client, disjoint)
+      })
+      this._deletedRanges = ranges
+    }
+    return this._deletedRanges
+  }
+
+  /**
+   * When the item with this id was created.
+   *
+   * @param {Y.ID} id
+   * @return {number|null}
+   */
+  getTimestampById (id) {
+    const entries = this.insertions.get(id.client) || []
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].clock <= id.clock) {
+        return entries[i].time
+      }
+    }
+    return null
+  }
+
+  /**
+   * When the item with this id was deleted.
+   *
+   * @param {Y.ID} id
+   * @return {number|null}
+   */
+  getTimestampByDeletedId (id) {
+    const ranges = this._getDeletedRanges().get(id.client) || []
+    // find the last range that starts before id
+    let left = 0
+    let right = ranges.length - 1
+    while (left <= right) {
+      const mid = (left + right) >> 1
+      if (ranges[mid].clock <= id.clock) {
+        left = mid + 1
+      } else {
+        right = mid - 1
+      }
+    }
+    const range = ranges[right]
+    return range !== undefined && id.clock < range.clock + range.len ? range.time : null
+  }
+
+  /**
+   * Split the items of a document at the recorded boundaries, so that all content of an item has
+   * the same timestamps. Call this in a transaction before rendering changes.
+   *
+   * @param {Y.Transaction} tr
+   */
+  splitItems (tr) {
+    const store = tr.doc.store
+    /**
+     * @param {DeleteSet} ds
+     */
+    const split = ds => {
+      // only split structs that exist in the document
+      const existing = Y.createDeleteSet()
+      ds.clients.forEach((deletes, client) => {
+        const state = Y.getState(store, client)
+        existing.clients.set(client, deletes.filter(({ clock, len }) => clock + len <= state))
+      })
+      Y.iterateDeletedStructs(tr, existing, _struct => {})
+    }
+    const boundaries = Y.createDeleteSet()
+    this.insertions.forEach((entries, client) => {
+      boundaries.clients.set(client, entries.map(({ clock }) => /** @type {any} */ ({ clock, len: 1 })))
+    })
+    split(boundaries)
+    const deletions = Y.createDeleteSet()
+    this._getDeletedRanges().forEach((ranges, client) => {
+      deletions.clients.set(client, ranges.map(({ clock, len }) => /** @type {any} */ ({ clock, len })))
+    })
+    split(deletions)
+  }
+
+  destroy () {
+    this.doc.off('afterTransaction', this._afterTransaction)
+  }
+}
@@ -0,0 +1,222 @@
+import * as error from 'lib0/error'
+import { ySyncPluginKey } from './plugins/keys.js'
+import { HeadlessProsemirrorBinding } from './headless.js'
+import { applyProsemirrorDocToYXmlFragment } from './lib.js'
+
+/**
+ * The transaction origin of changes that the collab bridge writes to Yjs.
+ */
+export const collabOrigin = 'y-prosemirror-collab'
+
+/**
+ * The central authority of the `prosemirror-collab` protocol. It orders the steps of all clients.
+ *
+ * @typedef {Object} CollabAuthorityLike
+ * @property {import('prosemirror-model').Node} CollabAuthorityLike.doc
+ * @property {number} CollabAuthorityLike.version
+ * @property {function(number, ReadonlyArray<import('prosemirror-transform').Step>, string|number):boolean} CollabAuthorityLike.receiveSteps
+ * @property {function(number):{ steps: Array<import('prosemirror-transform').Step>, clientIDs: Array<string|number> }} CollabAuthorityLike.stepsSince
+ * @property {Array<function():void>} CollabAuthorityLike.onNewSteps
+ */
+
+/**
+ * A step and its inverse, so that it can be rebased.
+ *
+ * @typedef {Object} Rebaseable
+ * @property {import('prosemirror-transform').Step} Rebaseable.step
+ * @property {import('prosemirror-transform').Step} Rebaseable.inverted
+ */
+
+/**
+ * An in-memory `prosemirror-collab` authority, e.g. for tests or for a server that keeps the
+ * document in memory.
+ */
+export class CollabAuthority {
+  /**
+   * @param {import('prosemirror-model').Node} doc
+   */
+  constructor (doc) {
+    this.doc = doc
+    /**
+     * @type {Array<import('prosemirror-transform').Step>}
+     */
+    this.steps = []
+    /**
+     * @type {Array<string|number>}
+     */
+    this.stepClientIDs = []
+    /**
+     * Called when new steps were accepted
+     *
+     * @type {Array<function():void>}
+     */
+    this.onNewSteps = []
+  }
+
+  get version () {
+    return this.steps.length
+  }
+
+  /**
+   * Accept the steps of a client if it saw all previous steps.
+   *
+   * @param {number} version The version that the steps are based on
+   * @param {ReadonlyArray<import('prosemirror-transform').Step>} steps
+   * @param {string|number} clientID
+   * @return {boolean} Whether the steps were accepted
+   */
+  receiveSteps (version, steps, clientID) {
+    if (version !== this.version) {
+      return false
+    }
+    let doc = this.doc
+    steps.forEach(step => {
+      const result = step.apply(doc)
+      if (result.doc === null) {
+        throw error.create(`Step can't be applied: ${result.failed}`)
+      }
+      doc = result.doc
+    })
+    this.doc = doc
+    steps.forEach(step => {
+      this.steps.push(step)
+      this.stepClientIDs.push(clientID)
+    })
+    this.onNewSteps.forEach(f => f())
+    return true
+  }
+
+  /**
+   * @param {number} version
+   * @return {{ steps: Array<import('prosemirror-transform').Step>, clientIDs: Array<string|number> }}
+   */
+  stepsSince (version) {
+    return {
+      steps: this.steps.slice(version),
+      clientIDs: this.stepClientIDs.slice(version)
+    }
+  }
+}
+
+/**
+ * Rebase steps over other steps. This is the algorithm of `prosemirror-collab`.
+ *
+ * @param {Array<Rebaseable>} steps
+ * @param {ReadonlyArray<import('prosemirror-transform').Step>} over
+ * @param {import('prosemirror-state').Transaction} tr A transaction of the document that `steps` result in
+ * @return {Array<Rebaseable>} The rebased steps. Steps that can't be rebased are dropped.
+ */
+const rebaseSteps = (steps, over, tr) => {
+  for (let i = steps.length - 1; i >= 0; i--) {
+    tr.step(steps[i].inverted)
+  }
+  over.forEach(step => {
+    tr.step(step)
+  })
+  /**
+   * @type {Array<Rebaseable>}
+   */
+  const result = []
+  for (let i = 0, mapFrom = steps.length; i < steps.length; i++) {
+    const mapped = steps[i].step.map(tr.mapping.slice(mapFrom))
+    mapFrom--
+    if (mapped && !tr.maybeStep(mapped).failed) {
+      // @ts-ignore setMirror is not part of the public types
+      tr.mapping.setMirror(mapFrom, tr.steps.length - 1)
+      result.push({ step: mapped, inverted: mapped.invert(tr.docs[tr.docs.length - 1]) })
+    }
+  }
+  return result
+}
+
+/**
+ * Connects a Y.XmlFragment to a `prosemirror-collab` authority, so that clients of both protocols
+ * can edit the same document. The bridge acts as a single collab client: changes from Yjs are sent
+ * to the authority as step batches, and steps of other collab clients are written to Yjs.
+ *
+ * The content of the authority replaces the content of the fragment when the bridge is created.
+ */
+export class YCollabBridge {
+  /**
+   * @param {import('yjs').XmlFragment} yXmlFragment
+   * @param {CollabAuthorityLike} authority
+   * @param {import('./plugins/sync-plugin.js').BindingOpts & { clientID?: string|number, origin?: any }} [opts]
+   *   `clientID` is the collab client id of the bridge and `origin` the origin of the Yjs transactions.
+   *   The binding options should match the options of the editors that edit the fragment.
+   */
+  constructor (yXmlFragment, authority, { clientID = 'y-prosemirror', origin = collabOrigin, ...opts } = {}) {
+    this.authority = authority
+    this.clientID = clientID
+    /**
+     * The version of the authority that the Yjs document contains
+     */
+    this.version = authority.version
+    /**
+     * Changes from Yjs that were not confirmed by the authority yet
+     *
+     * @type {Array<Rebaseable>}
+     */
+    this.unconfirmed = []
+    applyProsemirrorDocToYXmlFragment(yXmlFragment, authority.doc, { ...opts, origin })
+    this.binding = new HeadlessProsemirrorBinding(yXmlFragment, { ...opts, schema: authority.doc.type.schema, origin })
+    /**
+     * @param {import('prosemirror-state').EditorState} _state
+     * @param {import('prosemirror-state').Transaction} tr
+     */
+    this._onState = (_state, tr) => {
+      // only changes from Yjs are sent, the other transactions were created by the bridge
+      if (tr.getMeta(ySyncPluginKey)?.isChangeOrigin) {
+        tr.steps.forEach((step, i) => {
+          this.unconfirmed.push({ step, inverted: step.invert(tr.docs[i]) })
+        })
+        this.flush()
+      }
+    }
+    this.binding.on('state', this._onState)
+    this._onNewSteps = () => this.receive()
+    authority.onNewSteps.push(this._onNewSteps)
+  }
+
+  /**
+   * Send the unconfirmed changes to the authority. Is called automatically, but must be called
+   * again if the authority didn't accept the steps.
+   */
+  flush () {
+    if (this.unconfirmed.length > 0) {
+      this.authority.receiveSteps(this.version, this.unconfirmed.map(({ step }) => step), this.clientID)
+    }
+  }
+
+  /**
+   * Apply the new steps of the authority to Yjs and rebase the unconfirmed changes. Is called
+   * automatically when the authority accepts steps.
+   */
+  receive () {
+    const { steps, clientIDs } = this.authority.stepsSince(this.version)
+    if (steps.length === 0) {
+      return
+    }
+    this.version += steps.length
+    let ours = 0
+    while (ours < clientIDs.length && clientIDs[ours] === this.clientID) {
+      ours++
+    }
+    this.unconfirmed = this.unconfirmed.slice(ours)
+    const foreign = steps.slice(ours)
+    if (foreign.length > 0) {
+      const tr = this.binding.state.tr
+      this.unconfirmed = rebaseSteps(this.unconfirmed, foreign, tr)
+      this.binding.dispatch(tr)
+    }
+    this.flush()
+  }
+
+  destroy () {
+    const i = this.authority.onNewSteps.indexOf(this._onNewSteps)
+    if (i >= 0) {
+      this.authority.onNewSteps.splice(i, 1)
+    }
+    this.binding.off('state', this._onState)
+    this.binding.destroy()
+  }
+}
@@ -0,0 +1,159 @@
+import * as Y from 'yjs'
+import { EditorState } from 'prosemirror-state'
+import { Step } from 'prosemirror-transform'
+import { ObservableV2 } from 'lib0/observable'
+import * as error from 'lib0/error'
+import { ySyncPluginKey } from './plugins/keys.js'
+import { updatePDocFromYTransaction, updateYFragment, updateYFragmentFromSteps } from './plugins/sync-plugin.js'
+import { initProseMirrorDoc } from './lib.js'
+import { createMoveCollector, createMoveForwarder, defaultMoveExpiry, getMoveMap, recordMoves } from './moves.js'
+
+/**
+ * @typedef {Object} HeadlessBindingOpts
+ * @property {import('prosemirror-model').Schema} HeadlessBindingOpts.schema
+ * @property {Array<import('prosemirror-state').Plugin>} [HeadlessBindingOpts.plugins] Plugins of the editor state. Don't
+ *   add the ySyncPlugin, it requires a view.
+ * @property {any} [HeadlessBindingOpts.origin] The origin of the Yjs transactions. Defaults to the origin of the
+ *   ySyncPlugin, so that the changes are tracked by a yUndoPlugin.
+ * @property {'diff'|'steps'} [HeadlessBindingOpts.syncMode] How changes are written to Yjs (see `ySyncPlugin`)
+ * @property {import('./plugins/sync-plugin.js').InvalidContentPolicy} [HeadlessBindingOpts.invalidContent]
+ * @property {string|null} [HeadlessBindingOpts.placeholderNode]
+ * @property {string|null} [HeadlessBindingOpts.inlinePlaceholderNode]
+ * @property {function(import('./plugins/sync-plugin.js').InvalidContentEvent):void} [HeadlessBindingOpts.onInvalidContent]
+ * @property {boolean} [HeadlessBindingOpts.mutableNodeTypes] Keep the Yjs element of a block when its type changes
+ *   (see `ySyncPlugin`)
+ * @property {import('./plugins/sync-plugin.js').StructuredAttributes} [HeadlessBindingOpts.structuredAttributes] Attributes that
+ *   are stored as nested Yjs types (see `ySyncPlugin`)
+ * @property {import('./plugins/sync-plugin.js').NodeAdapters} [HeadlessBindingOpts.nodeAdapters] Node types with a custom
+ *   Yjs representation (see `ySyncPlugin`)
+ * @property {boolean} [HeadlessBindingOpts.trackMoves] Record moved blocks and forward concurrent changes to the moved
+ *   content (see `ySyncPlugin`)
+ * @property {number} [HeadlessBindingOpts.moveExpiry] The time in milliseconds after which recorded moves are removed
+ */
+
+/**
+ * Binds an `EditorState` to a Y.XmlFragment without an `EditorView`, e.g. for bots that edit the
+ * document on a server. Local changes are applied with `dispatch` or `applySteps`. Remote changes
+ * are applied to the state, which is emitted as a `state` event. Like the sync plugin, the binding
+ * doesn't migrate content. Migrate it with `migrateYXmlFragment` after it was synced.
+ *
+ * @extends {ObservableV2<{ state: function(EditorState, import('prosemirror-state').Transaction):void }>}
+ */
+export class HeadlessProsemirrorBinding extends ObservableV2 {
+  /**
+   * @param {Y.XmlFragment} yXmlFragment
+   * @param {HeadlessBindingOpts} opts
+   */
+  constructor (yXmlFragment, { schema, plugins = [], origin = ySyncPluginKey, syncMode = 'diff', invalidContent, placeholderNode, inlinePlaceholderNode, onInvalidContent, mutableNodeTypes, structuredAttributes, nodeAdapters, trackMoves = false, moveExpiry = defaultMoveExpiry }) {
+    super()
+    this.type = yXmlFragment
+    /**
+     * @type {Y.Doc}
+     */
+    this.doc = /** @type {Y.Doc} */ (yXmlFragment.doc)
+    this.origin = origin
+    this.syncMode = syncMode
+    this.trackMoves = trackMoves
+    this.moveExpiry = moveExpiry
+    /**
+     * Whether a local change is written to Yjs. Unlike a mutex, this allows to dispatch
+     * transactions in a `state` listener.
+     */
+    this._writing = false
+    const { doc, meta } = initProseMirrorDoc(yXmlFragment, schema, { invalidContent, placeholderNode, inlinePlaceholderNode, onInvalidContent, mutableNodeTypes, structuredAttributes, nodeAdapters })
+    this.meta = meta
+    /**
+     * @type {EditorState}
+     */
+    this.state = EditorState.create({ schema, doc, plugins })
+    /**
+     * @param {Array<Y.YEvent<any>>} _events
+     * @param {Y.Transaction} transaction
+     */
+    this._observeFunction = (_events, transaction) => {
+      if (this._writing) {
+        return
+      }
+      const tr = updatePDocFromYTransaction(this.type, transaction, () => this.state.tr.setMeta('addToHistory', false), this.meta)
+      this._update(tr.setMeta(ySyncPluginKey, { isChangeOrigin: true, isUndoRedoOperation: transaction.origin instanceof Y.UndoManager }))
+      this.emit('state', [this.state, tr])
+    }
+    yXmlFragment.observeDeep(this._observeFunction)
+    this._forwardMoves = createMoveForwarder(this.doc)
+    if (trackMoves) {
+      getMoveMap(yXmlFragment).observe(this._forwardMoves)
+    }
+  }
+
+  /**
+   * @param {import('prosemirror-state').Transaction} tr
+   * @return {ReadonlyArray<import('prosemirror-state').Transaction>} The applied transactions, including appended ones
+   */
+  _update (tr) {
+    const { state, transactions } = this.state.applyTransaction(tr)
+    this.state = state
+    return transactions
+  }
+
+  /**
+   * Apply a transaction of the current state and write it to Yjs.
+   *
+   * @param {import('prosemirror-state').Transaction} tr
+   */
+  dispatch (tr) {
+    if (tr.before !== this.state.doc) {
+      throw error.create('The transaction was not created from the current state')
+    }
+    const transactions = this._update(tr)
+    /**
+     * @type {Array<import('./plugins/sync-plugin.js').StepRecord>}
+     */
+    const steps = []
+    transactions.forEach(t => t.steps.forEach((step, i) => {
+      steps.push({ step, before: t.docs[i], after: i + 1 < t.docs.length ? t.docs[i + 1] : t.doc })
+    }))
+    if (steps.length > 0) {
+      this._writing = true
+      try {
+        this.doc.transact(ytr => {
+          this.meta.moves = this.trackMoves ? createMoveCollector() : null
+          if (this.syncMode !== 'steps' || !updateYFragmentFromSteps(this.doc, this.type, steps, this.meta)) {
+            updateYFragment(this.doc, this.type, this.state.doc, this.meta)
+          }
+          if (this.meta.moves) {
+            recordMoves(ytr, this.meta.moves, getMoveMap(this.type), this.moveExpiry)
+            this.meta.moves = null
+          }
+        }, this.origin)
+      } finally {
+        this._writing = false
+      }
+    }
+    this.emit('state', [this.state, tr])
+  }
+
+  /**
+   * Apply steps, e.g. steps that were serialized with `step.toJSON()`, and write them to Yjs.
+   *
+   * @param {Array<Step|Object>} steps
+   */
+  applySteps (steps) {
+    const tr = this.state.tr
+    steps.forEach(json => {
+      const step = json instanceof Step ? json : Step.fromJSON(this.state.schema, json)
+      const result = tr.maybeStep(step)
+      if (result.failed) {
+        throw error.create(result.failed)
+      }
+    })
+    this.dispatch(tr)
+  }
+
+  destroy () {
+    this.type.unobserveDeep(this._observeFunction)
+    if (this.trackMoves) {
+      getMoveMap(this.type).unobserve(this._forwardMoves)
+    }
+    super.destroy()
+  }
+}
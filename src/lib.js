@@ -1,4 +1,6 @@
-import { updateYFragment, createNodeFromYElement, yattr2markname, createEmptyMeta, MarkPrefix } from './plugins/sync-plugin.js' // eslint-disable-line
+import { updateYFragment, createNodeFromYElement, yattr2markname, createEmptyMeta, MarkPrefix, NodeTypeAttribute, getNodeName, getPlainAttributes, createSnapshotDiffContent } from './plugins/sync-plugin.js' // eslint-disable-line
+import { migrateYXmlFragment } from './migrations.js'
+import { createMoveCollector, getMoveMap, recordMoves } from './moves.js'
 import { ySyncPluginKey } from './plugins/keys.js'
 import * as Y from 'yjs'
 import { EditorView } from 'prosemirror-view' // eslint-disable-line
@@ -8,8 +10,9 @@ import * as map from 'lib0/map'
 import * as eventloop from 'lib0/eventloop'
 
 /**
- * Either a node if type is YXmlElement or an Array of text nodes if YXmlText
- * @typedef {Map<Y.AbstractType, Node | Array<Node>>} ProsemirrorMapping
+ * Either a node if type is YXmlElement or an Array of text nodes if YXmlText. Is null if the type is
+ * invalid and was skipped.
+ * @typedef {Map<Y.AbstractType, Node | Array<Node> | null>} ProsemirrorMapping
  */
 
 /**
@@ -81,6 +84,10 @@ export const absolutePositionToRelativePosition = (pos, type, mapping) => {
       }
     } else {
       const pNodeSize = /** @type {any} */ (mapping.get(n) || { nodeSize: 0 }).nodeSize
+      if (n instanceof Y.XmlHook && pos < pNodeSize) {
+        // positions in a node with a custom representation are mapped to the position of the node
+        return createRelativePosition(n._item.parent, n._item)
+      }
       if (n._first !== null && pos < pNodeSize) {
         n = /** @type {Y.ContentType} */ (n._first.content).type
         pos--
@@ -145,9 +152,15 @@ export const relativePositionToAbsolutePosition = (y, documentType, relPos, mapp
   }
   let type = decodedPos.type
   let pos = 0
+  // positions in a node with a custom representation are mapped to the position of the node
+  for (let t = type; t !== documentType && t._item !== null; t = /** @type {Y.AbstractType<any>} */ (t._item.parent)) {
+    if (t instanceof Y.XmlHook) {
+      type = t
+    }
+  }
   if (type.constructor === Y.XmlText) {
     pos = decodedPos.index
-  } else if (type._item === null || !type._item.deleted) {
+  } else if (!(type instanceof Y.XmlHook) && (type._item === null || !type._item.deleted)) {
     let n = type._first
     let i = 0
     while (i < type._length && i < decodedPos.index && n !== null) {
@@ -157,7 +170,7 @@ export const relativePositionToAbsolutePosition = (y, documentType, relPos, mapp
         if (t instanceof Y.XmlText) {
           pos += t._length
         } else {
-          pos += /** @type {any} */ (mapping.get(t)).nodeSize
+          pos += /** @type {any} */ (mapping.get(t) || { nodeSize: 0 }).nodeSize
         }
       }
       n = /** @type {Y.Item} */ (n.right)
@@ -181,7 +194,7 @@ export const relativePositionToAbsolutePosition = (y, documentType, relPos, mapp
           if (contentType instanceof Y.XmlText) {
             pos += contentType._length
           } else {
-            pos += /** @type {any} */ (mapping.get(contentType)).nodeSize
+            pos += /** @type {any} */ (mapping.get(contentType) || { nodeSize: 0 }).nodeSize
           }
         }
         n = n.right
@@ -197,13 +210,16 @@ export const relativePositionToAbsolutePosition = (y, documentType, relPos, mapp
  *
  * @param {Y.XmlFragment} yXmlFragment
  * @param {Schema} schema
+ * @param {import('./plugins/sync-plugin.js').BindingOpts} [opts] Should match the options of ySyncPlugin, e.g. how
+ *   content that doesn't match the schema is handled
  */
-export const yXmlFragmentToProseMirrorFragment = (yXmlFragment, schema) => {
+export const yXmlFragmentToProseMirrorFragment = (yXmlFragment, schema, opts) => {
+  const meta = createEmptyMeta(opts)
   const fragmentContent = yXmlFragment.toArray().map((t) =>
     createNodeFromYElement(
       /** @type {Y.XmlElement} */ (t),
       schema,
-      createEmptyMeta()
+      meta
     )
   ).filter((n) => n !== null)
   return Fragment.fromArray(fragmentContent)
@@ -214,21 +230,51 @@ export const yXmlFragmentToProseMirrorFragment = (yXmlFragment, schema) => {
  *
  * @param {Y.XmlFragment} yXmlFragment
  * @param {Schema} schema
+ * @param {import('./plugins/sync-plugin.js').BindingOpts} [opts] Should match the options of ySyncPlugin, e.g. how
+ *   content that doesn't match the schema is handled
+ */
+export const yXmlFragmentToProseMirrorRootNode = (yXmlFragment, schema, opts) =>
+  schema.topNodeType.create(null, yXmlFragmentToProseMirrorFragment(yXmlFragment, schema, opts))
+
+/**
+ * Render the differences between two snapshots to a ProseMirror node without a view. Added and
+ * removed content is annotated with `ychange` attributes and marks. The document is not modified.
+ *
+ * @param {Y.XmlFragment} yXmlFragment
+ * @param {Schema} schema
+ * @param {Y.Snapshot|Uint8Array} snapshot
+ * @param {Y.Snapshot|Uint8Array} [prevSnapshot] Defaults to an empty snapshot
+ * @param {import('./plugins/sync-plugin.js').BindingOpts & { permanentUserData?: Y.PermanentUserData|null, attributionStore?: import('./attribution.js').AttributionStore|null, colors?: Array<import('./plugins/sync-plugin.js').ColorDef>, colorMapping?: import('./plugins/sync-plugin.js').ColorMapping }} [opts]
+ *   The binding options should match the options of ySyncPlugin. `permanentUserData` is used to compute the user of a
+ *   change and `attributionStore` to compute its timestamp.
+ * @return {Node}
  */
-export const yXmlFragmentToProseMirrorRootNode = (yXmlFragment, schema) =>
-  schema.topNodeType.create(null, yXmlFragmentToProseMirrorFragment(yXmlFragment, schema))
+export const yXmlFragmentToProseMirrorDiffDoc = (yXmlFragment, schema, snapshot, prevSnapshot = Y.emptySnapshot, { permanentUserData = null, attributionStore = null, colors, colorMapping, ...opts } = {}) =>
+  schema.topNodeType.create(null, Fragment.fromArray(createSnapshotDiffContent(yXmlFragment, schema, snapshot, prevSnapshot, {
+    permanentUserData,
+    attributionStore,
+    colors,
+    colorMapping,
+    // content that doesn't match the schema is not deleted
+    meta: createEmptyMeta({ invalidContent: 'repair', ...opts })
+  })))
 
 /**
  * The initial ProseMirror content should be supplied by Yjs. This function transforms a Y.Fragment
  * to a ProseMirror Doc node and creates a mapping that is used by the sync plugin.
  *
+ * If `migrations` are passed, they are applied before the content is rendered. Only do this after
+ * the fragment was synced (see `migrateYXmlFragment`).
+ *
  * @param {Y.XmlFragment} yXmlFragment
  * @param {Schema} schema
+ * @param {import('./plugins/sync-plugin.js').BindingOpts & { migrations?: Array<import('./migrations.js').Migration> }} [opts] Should match the options of ySyncPlugin
  *
  * @todo deprecate mapping property
  */
-export const initProseMirrorDoc = (yXmlFragment, schema) => {
-  const meta = createEmptyMeta()
+export const initProseMirrorDoc = (yXmlFragment, schema, opts) => {
+  migrateYXmlFragment(yXmlFragment, opts?.migrations || [])
+  const meta = createEmptyMeta(opts)
   const fragmentContent = yXmlFragment.toArray().map((t) =>
     createNodeFromYElement(
       /** @type {Y.XmlElement} */ (t),
@@ -267,7 +313,8 @@ export function prosemirrorToYDoc (doc, xmlFragment = 'prosemirror') {
  *
  * This can be used when importing existing content to Y.Doc for the first time,
  * note that this should not be used to rehydrate a Y.Doc from a database once
- * collaboration has begun as all history will be lost
+ * collaboration has begun as all history will be lost. Use `applyProsemirrorDocToYXmlFragment` to
+ * update a fragment that already has content.
  *
  * Note: The Y.XmlFragment does not need to be part of a Y.Doc document at the time that this
  * method is called, but it must be added before any other operations are performed on it.
@@ -306,7 +353,8 @@ export function prosemirrorJSONToYDoc (schema, state, xmlFragment = 'prosemirror
  *
  * This can be used when importing existing content to Y.Doc for the first time,
  * note that this should not be used to rehydrate a Y.Doc from a database once
- * collaboration has begun as all history will be lost
+ * collaboration has begun as all history will be lost. Use `applyProsemirrorDocToYXmlFragment` to
+ * update a fragment that already has content.
  *
  * @param {Schema} schema
  * @param {any} state
@@ -319,6 +367,40 @@ export function prosemirrorJSONToYXmlFragment (schema, state, xmlFragment) {
   return prosemirrorToYXmlFragment(doc, xmlFragment)
 }
 
+/**
+ * Update a Y.XmlFragment that is actively edited so that it matches a ProseMirror document. Unlike
+ * `prosemirrorToYXmlFragment`, only the content that differs is changed. Unchanged nodes keep their
+ * Yjs types, so concurrent changes, relative positions, and remote cursors are preserved.
+ *
+ * The binding options should match the options of the `ySyncPlugin` that edits the fragment.
+ * Content of the fragment that doesn't match the schema is handled according to `invalidContent`,
+ * which defaults to `'skip'` here so that it is retained.
+ *
+ * @param {Y.XmlFragment} xmlFragment
+ * @param {Node|any} docOrJSON The target document or its JSON representation
+ * @param {import('./plugins/sync-plugin.js').BindingOpts & { schema?: Schema, origin?: any }} [opts]
+ *   `schema` is required if `docOrJSON` is JSON. `origin` is the origin of the Yjs transaction.
+ */
+export function applyProsemirrorDocToYXmlFragment (xmlFragment, docOrJSON, { schema, origin = null, ...opts } = {}) {
+  let doc = docOrJSON
+  if (!(doc instanceof Node)) {
+    if (schema == null) {
+      throw error.create('A schema is required to apply a JSON document')
+    }
+    doc = Node.fromJSON(schema, docOrJSON)
+  }
+  // the rendered content tells which Yjs types are invalid and must be retained
+  const { meta } = initProseMirrorDoc(xmlFragment, doc.type.schema, { invalidContent: 'skip', ...opts })
+  const ydoc = xmlFragment.doc ? xmlFragment.doc : { transact: (/** @type {function(Y.Transaction|null):void} */ f) => f(null) }
+  ydoc.transact((tr) => {
+    meta.moves = opts.trackMoves && tr !== null ? createMoveCollector() : null
+    updateYFragment(ydoc, xmlFragment, doc, meta)
+    if (meta.moves && tr !== null) {
+      recordMoves(tr, meta.moves, getMoveMap(xmlFragment), opts.moveExpiry)
+    }
+  }, origin)
+}
+
 /**
  * @deprecated Use `yXmlFragmentToProseMirrorRootNode` instead
  *
@@ -413,13 +495,13 @@ export function yXmlFragmentToProsemirrorJSON (xmlFragment) {
       })
     } else if (item instanceof Y.XmlElement) {
       response = {
-        type: item.nodeName
+        type: getNodeName(item)
       }
 
-      const attrs = item.getAttributes()
+      const attrs = getPlainAttributes(item)
 
       // Add all non-mark attributes to the element
-      for (const key of Object.keys(attrs).filter((key) => !key.startsWith(MarkPrefix))) {
+      for (const key of Object.keys(attrs).filter((key) => !key.startsWith(MarkPrefix) && key !== NodeTypeAttribute)) {
         if (!response.attrs) response.attrs = {}
         response.attrs[key] = attrs[key]
       }
@@ -0,0 +1,242 @@
+import * as Y from 'yjs'
+import * as math from 'lib0/math'
+import { NodeTypeAttribute, getNodeName, serializeYType, deserializeYType } from './plugins/sync-plugin.js'
+
+/**
+ * Migrates the content of a Y.XmlFragment from one schema version to the next. Migrations run
+ * inside the migration transaction.
+ *
+ * @typedef {function(Y.XmlFragment, Y.Transaction):void} Migration
+ */
+
+/**
+ * @typedef {Object} MigrationOpts
+ * @property {Y.Map<any>} [MigrationOpts.versionMap] Where the schema version is stored. Defaults to `ydoc.getMap('prosemirror-schema')`
+ * @property {string} [MigrationOpts.versionKey] Defaults to 'version'. Use different keys for fragments in the same document.
+ */
+
+const migrationOrigin = 'y-prosemirror-migration'
+
+/**
+ * A migration run from one version to another. Runs are stored in the version map.
+ *
+ * @typedef {Object} MigrationRun
+ * @property {number} MigrationRun.from
+ * @property {number} MigrationRun.to
+ * @property {number} MigrationRun.client
+ */
+
+/**
+ * @param {Y.XmlFragment} yXmlFragment
+ * @param {MigrationOpts} opts
+ */
+const getVersionMap = (yXmlFragment, { versionMap, versionKey = 'version' }) => ({
+  versionMap: versionMap || /** @type {Y.Doc} */ (yXmlFragment.doc).getMap('prosemirror-schema'),
+  versionKey
+})
+
+/**
+ * @param {Y.Map<any>} versionMap
+ * @param {string} versionKey
+ * @return {Array<MigrationRun>}
+ */
+const getRuns = (versionMap, versionKey) => {
+  /**
+   * @type {Array<MigrationRun>}
+   */
+  const runs = []
+  versionMap.forEach((run, key) => {
+    if (key.startsWith(versionKey + ':')) {
+      runs.push(run)
+    }
+  })
+  return runs
+}
+
+/**
+ * Whether `run` lost against a concurrent run. The run that migrated to the higher version wins.
+ * If both migrated to the same version, the run of the client with the higher clientID wins.
+ *
+ * @param {MigrationRun} run
+ * @param {MigrationRun} other
+ */
+const isOverruled = (run, other) =>
+  other.from < run.to && run.from < other.to &&
+  (other.to > run.to || (other.to === run.to && other.client > run.client))
+
+/**
+ * The schema version of the content. Content without version information has version 0.
+ *
+ * @param {Y.XmlFragment} yXmlFragment
+ * @param {MigrationOpts} [opts]
+ * @return {number}
+ */
+export const getSchemaVersion = (yXmlFragment, opts = {}) => {
+  const { versionMap, versionKey } = getVersionMap(yXmlFragment, opts)
+  return getRuns(versionMap, versionKey).reduce((version, run) => math.max(version, run.to), 0)
+}
+
+/**
+ * Run all migrations that haven't been applied yet in a single transaction. `migrations[i]`
+ * migrates content from version `i` to version `i + 1`.
+ *
+ * Each migration run is recorded in the version map. If other clients migrated the same content
+ * concurrently, the run that migrated to the highest version survives (the same on all clients).
+ * The other clients remove everything they inserted during their migration. Hence migrations must
+ * be deterministic, so that concurrent runs delete the same content. Inserted elements that were
+ * edited in the meantime are kept next to the content of the surviving run, so that the edits
+ * aren't lost. They aren't migrated to a higher version that this client doesn't know. Edits
+ * that arrive after the content was removed are lost, so migrate content before you render it,
+ * after it was synced. The sync plugin and the headless binding don't migrate content. Migrate it
+ * when the provider reports that the document was synced. The binding then renders the migrated
+ * content like any other change.
+ *
+ * @param {Y.XmlFragment} yXmlFragment
+ * @param {Array<Migration>} migrations
+ * @param {MigrationOpts} [opts]
+ * @return {number} The schema version after the migration
+ */
+export const migrateYXmlFragment = (yXmlFragment, migrations, opts = {}) => {
+  const doc = /** @type {Y.Doc} */ (yXmlFragment.doc)
+  const { versionMap, versionKey } = getVersionMap(yXmlFragment, opts)
+  const from = getSchemaVersion(yXmlFragment, opts)
+  if (from >= migrations.length) {
+    return from
+  }
+  const clientID = doc.clientID
+  const clockStart = Y.getState(doc.store, clientID)
+  /**
+   * @type {MigrationRun}
+   */
+  const run = { from, to: migrations.length, client: clientID }
+  let migrationDs = Y.createDeleteSet()
+  doc.transact(tr => {
+    for (let version = from; version < migrations.length; version++) {
+      migrations[version](yXmlFragment, tr)
+    }
+    versionMap.set(`${versionKey}:${clientID}:${clockStart}`, run)
+    migrationDs = tr.deleteSet
+  }, migrationOrigin)
+  const clockEnd = Y.getState(doc.store, clientID)
+  /**
+   * @param {Y.ID} id
+   */
+  const isInserted = id => id.client === clientID && id.clock >= clockStart && id.clock < clockEnd
+  /**
+   * Whether the content of a type that was inserted by this migration changed since.
+   *
+   * @param {Y.AbstractType<any>} type
+   * @return {boolean}
+   */
+  const isEdited = type => {
+    const items = Array.from(type._map.values())
+    for (let item = type._start; item !== null; item = item.right) {
+      items.push(item)
+    }
+    return items.some(item => isInserted(item.id)
+      ? (item.deleted
+          ? !Y.isDeleted(migrationDs, item.id)
+          : item.content instanceof Y.ContentType && isEdited(item.content.type))
+      : !item.deleted
+    )
+  }
+  const observer = () => {
+    if (!getRuns(versionMap, versionKey).some(other => isOverruled(run, other))) {
+      return
+    }
+    // a concurrent migration won. Remove everything that was inserted by this migration, except
+    // for edited types. Content of removed types is removed with them.
+    destroy()
+    const insertions = Y.createDeleteSet()
+    /**
+     * @type {any}
+     */
+    const inserted = { clock: clockStart, len: clockEnd - clockStart }
+    insertions.clients.set(clientID, [inserted])
+    doc.transact(tr => {
+      Y.iterateDeletedStructs(tr, insertions, struct => {
+        const parentItem = struct instanceof Y.Item ? /** @type {Y.AbstractType<any>} */ (struct.parent)._item : null
+        if (
+          struct instanceof Y.Item && !struct.deleted && (parentItem === null || !isInserted(parentItem.id)) &&
+          !(struct.content instanceof Y.ContentType && isEdited(struct.content.type))
+        ) {
+          struct.delete(tr)
+        }
+      })
+    }, migrationOrigin)
+    migrateYXmlFragment(yXmlFragment, migrations, opts)
+  }
+  const destroy = () => {
+    versionMap.unobserve(observer)
+    doc.off('destroy', destroy)
+  }
+  versionMap.observe(observer)
+  doc.on('destroy', destroy)
+  return migrations.length
+}
+
+/**
+ * Call `f` for every element in the fragment. Children are visited before their parent, so it is
+ * safe to replace the element in `f`.
+ *
+ * @param {Y.XmlFragment} yXmlFragment
+ * @param {function(Y.XmlElement):void} f
+ */
+const forEachElement = (yXmlFragment, f) => {
+  yXmlFragment.toArray().forEach(child => {
+    if (child instanceof Y.XmlElement) {
+      forEachElement(child, f)
+      f(child)
+    }
+  })
+}
+
+/**
+ * Creates a migration that renames a node type.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @return {Migration}
+ */
+export const renameNodeType = (from, to) => yXmlFragment => {
+  forEachElement(yXmlFragment, el => {
+    if (getNodeName(el) !== from) {
+      return
+    }
+    if (el.getAttribute(NodeTypeAttribute) !== undefined) {
+      // the type of a converted element is stored in an attribute (see `NodeTypeAttribute`)
+      if (el.nodeName === to) {
+        el.removeAttribute(NodeTypeAttribute)
+      } else {
+        el.setAttribute(NodeTypeAttribute, to)
+      }
+    } else {
+      const serialized = /** @type {any} */ (serializeYType(el))
+      serialized.nodeName = to
+      const parent = /** @type {Y.XmlFragment} */ (el.parent)
+      const index = parent.toArray().indexOf(el)
+      parent.delete(index, 1)
+      parent.insert(index, [deserializeYType(serialized)])
+    }
+  })
+}
+
+/**
+ * Creates a migration that renames an attribute of a node type. `mapValue` can be used to convert
+ * the value. Structured attributes are passed as a copy of their nested Yjs type.
+ *
+ * @param {string} nodeName
+ * @param {string} from
+ * @param {string} to
+ * @param {function(any):any} [mapValue]
+ * @return {Migration}
+ */
+export const renameNodeAttribute = (nodeName, from, to, mapValue = v => v) => yXmlFragment => {
+  forEachElement(yXmlFragment, el => {
+    const value = /** @type {any} */ (el.getAttribute(from))
+    if (getNodeName(el) === nodeName && value !== undefined) {
+      el.removeAttribute(from)
+      el.setAttribute(to, mapValue(value instanceof Y.AbstractType ? value.clone() : value))
+    }
+  })
+}
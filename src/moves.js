@@ -0,0 +1,719 @@
+import * as Y from 'yjs'
+import * as math from 'lib0/math'
+
+/**
+ * Yjs can't move content. A block that is moved in ProseMirror (e.g. a dragged paragraph) is
+ * deleted and inserted again as a copy, so changes that other clients make concurrently to the
+ * original are lost. To preserve them, the moved elements and texts are recorded in a shared Y.Map
+ * (see `getMoveMap`). When a client receives a move, it forwards the changes of the original that it
+ * knows of and that are concurrent to the move to the copy: inserted and deleted text and children,
+ * and changed attributes. Changes of any client are forwarded, so that edits of a client that was
+ * offline or reloaded in the meantime are preserved once it receives the move.
+ *
+ * Changes to the original that a client receives after the move are not forwarded by that client:
+ * Yjs neither emits events for content that is inserted into a deleted type, nor keeps it once it
+ * is garbage collected. These changes are only forwarded by their author, when it receives the move
+ * with `trackMoves` enabled. Otherwise they are lost.
+ *
+ * A move record stores the original and the copy, the clocks of the items that the copy was
+ * created with, and a snapshot of the original (state vector and deleted items) from before the
+ * move. Characters and children of the original that are part of the snapshot correspond
+ * one-to-one to the initial characters and children of the copy.
+ *
+ * @typedef {Object} MoveRecord
+ * @property {Array<number>} MoveRecord.target The id of the copy as `[client, clock]`
+ * @property {number} MoveRecord.start The first clock of the items that the copy was created with
+ * @property {number} MoveRecord.end The clock after the items that the copy was created with
+ * @property {Array<number>} MoveRecord.sv The state vector of the snapshot as `client, clock` pairs
+ * @property {Array<number>} MoveRecord.ds The deleted items of the original as `client, clock, len` triples
+ * @property {number} MoveRecord.time The time of the move in milliseconds since the epoch
+ */
+
+/**
+ * Inserted content of an original that was forwarded to the copy. Several clients may forward the
+ * same content concurrently. Forward records are stored by the move record and the id of the first
+ * forwarded item, so only one of them is kept and the other copies are deleted again.
+ *
+ * @typedef {Object} ForwardRecord
+ * @property {number} ForwardRecord.len The number of forwarded characters or children
+ * @property {Array<number>} ForwardRecord.target The items that were inserted into the copy as `[client, start, end]`
+ */
+
+/**
+ * Collects the elements and texts that are moved during an update of the Yjs document.
+ *
+ * @typedef {Object} MoveCollector
+ * @property {Map<import('prosemirror-model').Node, { ytext: Y.XmlText, nodes: Array<import('prosemirror-model').Node> }>} MoveCollector.texts
+ *   The texts of moved children by their first ProseMirror text node
+ * @property {Map<import('prosemirror-model').Node, Y.XmlElement>} MoveCollector.elements The elements of moved children
+ *   by their ProseMirror node
+ * @property {Array<{ source: Y.XmlText|Y.XmlElement, target: Y.XmlText|Y.XmlElement }>} MoveCollector.moved
+ */
+
+/**
+ * The transaction origin of changes that are forwarded to moved content.
+ */
+export const moveOrigin = 'y-prosemirror-move'
+
+/**
+ * Move records are removed after a week by default. Changes that are made concurrently to a move
+ * and reach other clients only after that are lost.
+ */
+export const defaultMoveExpiry = 7 * 24 * 60 * 60 * 1000
+
+/**
+ * @param {Y.ID} id
+ * @return {string}
+ */
+const idToKey = id => `${id.client}:${id.clock}`
+
+/**
+ * Forward records are stored as `<key of the move record>><id of the first forwarded item>`.
+ *
+ * @param {string} key
+ */
+const isForwardKey = key => key.includes('>')
+
+/**
+ * The shared map of moves of a fragment. Every fragment has its own map in the root of the
+ * document, e.g. `y-prosemirror-moves:prosemirror`.
+ *
+ * @param {Y.XmlFragment} type
+ * @return {Y.Map<MoveRecord|ForwardRecord>}
+ */
+export const getMoveMap = (type) => {
+  const doc = /** @type {Y.Doc} */ (type.doc)
+  const name = type._item === null ? Y.findRootTypeKey(type) : idToKey(type._item.id)
+  return doc.getMap('y-prosemirror-moves:' + name)
+}
+
+/**
+ * @return {MoveCollector}
+ */
+export const createMoveCollector = () => ({ texts: new Map(), elements: new Map(), moved: [] })
+
+/**
+ * Remember a child that is moved among its siblings (see `findMovedChildren`), and its content,
+ * so that the copies that are created for their nodes are recognized as moved.
+ *
+ * @param {MoveCollector} collector
+ * @param {Y.AbstractType<any>} ytype
+ * @param {Map<Y.AbstractType<any>, import('prosemirror-model').Node|Array<import('prosemirror-model').Node>|null>} mapping
+ */
+export const collectMoveSource = (collector, ytype, mapping) => {
+  const nodes = mapping.get(ytype)
+  if (ytype instanceof Y.XmlText && nodes instanceof Array && nodes.length > 0) {
+    collector.texts.set(nodes[0], { ytext: ytype, nodes })
+  } else if (ytype instanceof Y.XmlElement && nodes != null && !(nodes instanceof Array)) {
+    collector.elements.set(nodes, ytype)
+    ytype.toArray().forEach(child => collectMoveSource(collector, child, mapping))
+  }
+}
+
+/**
+ * Remember that `target` was created for text nodes that are rendered from an existing text.
+ *
+ * @param {MoveCollector} collector
+ * @param {Array<import('prosemirror-model').Node>} nodes
+ * @param {Y.XmlText} target
+ */
+export const collectMovedText = (collector, nodes, target) => {
+  const existing = collector.texts.get(nodes[0])
+  if (existing !== undefined && existing.ytext !== target && existing.nodes.length === nodes.length && existing.nodes.every((node, i) => node === nodes[i])) {
+    collector.moved.push({ source: existing.ytext, target })
+  }
+}
+
+/**
+ * Remember that `target` was created for a node that is rendered from an existing element.
+ *
+ * @param {MoveCollector} collector
+ * @param {import('prosemirror-model').Node} node
+ * @param {Y.XmlElement} target
+ */
+export const collectMovedElement = (collector, node, target) => {
+  const existing = collector.elements.get(node)
+  if (existing !== undefined && existing !== target) {
+    collector.moved.push({ source: existing, target })
+  }
+}
+
+/**
+ * The indexes of a longest strictly increasing subsequence of `values`.
+ *
+ * @param {Array<number>} values
+ * @return {Set<number>}
+ */
+const longestIncreasingSubsequence = values => {
+  /**
+   * The index of the last value of the best subsequence of each length
+   *
+   * @type {Array<number>}
+   */
+  const tails = []
+  /**
+   * @type {Array<number>}
+   */
+  const prev = []
+  values.forEach((value, i) => {
+    let lo = 0
+    let hi = tails.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (values[tails[mid]] < value) {
+        lo = mid + 1
+      } else {
+        hi = mid
+      }
+    }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1
+    tails[lo] = i
+  })
+  const result = new Set()
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) {
+    result.add(i)
+  }
+  return result
+}
+
+/**
+ * Find the Yjs children whose ProseMirror nodes were moved to another position among their
+ * siblings. The largest set of children that kept their order is retained, the other ones are
+ * considered moved.
+ *
+ * @param {Array<Y.XmlElement|Y.XmlText|Y.XmlHook>} yChildren
+ * @param {Array<import('prosemirror-model').Node|Array<import('prosemirror-model').Node>>} pChildren
+ * @param {Map<Y.AbstractType<any>, import('prosemirror-model').Node|Array<import('prosemirror-model').Node>>} mapping
+ * @return {Array<number>} The sorted indexes of the moved children in `yChildren`
+ */
+export const findMovedChildren = (yChildren, pChildren, mapping) => {
+  /**
+   * @type {Map<import('prosemirror-model').Node, number>}
+   */
+  const pIndexes = new Map()
+  pChildren.forEach((pchild, i) => {
+    if (!(pchild instanceof Array)) {
+      pIndexes.set(pchild, i)
+    }
+  })
+  /**
+   * @type {Array<{ y: number, p: number }>}
+   */
+  const matches = []
+  yChildren.forEach((ychild, y) => {
+    const mapped = mapping.get(ychild)
+    const p = mapped instanceof Array || mapped === undefined ? undefined : pIndexes.get(mapped)
+    if (p !== undefined) {
+      matches.push({ y, p })
+    }
+  })
+  const retained = longestIncreasingSubsequence(matches.map(({ p }) => p))
+  return matches.filter((_, i) => !retained.has(i)).map(({ y }) => y)
+}
+
+/**
+ * Write the collected moves to the move map and remove the moves that are older than `expiry`.
+ * Elements and texts that were copied instead of moved, i.e. whose original still exists, are
+ * ignored. Must be called at the end of the transaction that moved them.
+ *
+ * @param {Y.Transaction} tr
+ * @param {MoveCollector} collector
+ * @param {Y.Map<MoveRecord|ForwardRecord>} moveMap
+ * @param {number} [expiry] The time in milliseconds after which moves are removed
+ */
+export const recordMoves = (tr, collector, moveMap, expiry = defaultMoveExpiry) => {
+  if (collector.moved.length === 0) {
+    return
+  }
+  const client = tr.doc.clientID
+  const start = tr.beforeState.get(client) || 0
+  const end = Y.getState(tr.doc.store, client)
+  const time = Date.now()
+  collector.moved.forEach(({ source, target }) => {
+    const sourceItem = /** @type {Y.Item|null} */ (source._item)
+    const targetItem = /** @type {Y.Item|null} */ (target._item)
+    if (sourceItem === null || !sourceItem.deleted || targetItem === null || targetItem.deleted) {
+      return
+    }
+    /**
+     * @type {Array<number>}
+     */
+    const sv = []
+    /**
+     * @type {Array<number>}
+     */
+    const ds = []
+    const clients = new Set()
+    /**
+     * @param {Y.Item} n
+     */
+    const addItem = n => {
+      clients.add(n.id.client)
+      // deletions of this transaction are not part of the snapshot
+      if (n.deleted && !Y.isDeleted(tr.deleteSet, n.id)) {
+        ds.push(n.id.client, n.id.clock, n.length)
+      }
+    }
+    for (let n = source._start; n !== null; n = n.right) {
+      addItem(n)
+    }
+    source._map.forEach(addItem)
+    clients.forEach(c => {
+      sv.push(c, tr.beforeState.get(c) || 0)
+    })
+    moveMap.set(idToKey(sourceItem.id), { target: [targetItem.id.client, targetItem.id.clock], start, end, sv, ds, time })
+  })
+  removeExpiredMoves(moveMap, time - expiry)
+}
+
+/**
+ * Remove the moves that were recorded before `time`, and their forward records.
+ *
+ * @param {Y.Map<MoveRecord|ForwardRecord>} moveMap
+ * @param {number} time
+ */
+const removeExpiredMoves = (moveMap, time) => {
+  moveMap.forEach((value, key) => {
+    const record = /** @type {MoveRecord|undefined} */ (isForwardKey(key) ? moveMap.get(key.slice(0, key.indexOf('>'))) : value)
+    if (record === undefined || (record.time || 0) < time) {
+      moveMap.delete(key)
+    }
+  })
+}
+
+/**
+ * @param {Y.Doc} doc
+ * @param {number} client
+ * @param {number} clock
+ * @return {Y.Item|null}
+ */
+const findItem = (doc, client, clock) => {
+  if (Y.getState(doc.store, client) <= clock) {
+    return null
+  }
+  const item = Y.getItem(doc.store, Y.createID(client, clock))
+  return item instanceof Y.Item ? item : null
+}
+
+/**
+ * Find the copy of a move record.
+ *
+ * @param {Y.Doc} doc
+ * @param {MoveRecord} record
+ * @return {Y.XmlText|Y.XmlElement|null}
+ */
+const findTarget = (doc, record) => {
+  const targetItem = findItem(doc, record.target[0], record.target[1])
+  if (targetItem === null || targetItem.deleted || !(targetItem.content instanceof Y.ContentType)) {
+    return null
+  }
+  const target = targetItem.content.type
+  return target instanceof Y.XmlText || target instanceof Y.XmlElement ? target : null
+}
+
+/**
+ * Whether an item was deleted before the transaction. The content of items that are deleted in the
+ * transaction is available until the transaction ends.
+ *
+ * @param {Y.Transaction} tr
+ * @param {Y.Item} item
+ */
+const isDeletedBefore = (tr, item) => item.content instanceof Y.ContentDeleted || (item.deleted && !Y.isDeleted(tr.deleteSet, item.id))
+
+/**
+ * Copy a value of the original. Yjs types are copied with their content from before the
+ * transaction, because the content of the original is deleted by the move.
+ *
+ * @param {Y.Transaction} tr
+ * @param {any} value
+ * @return {any}
+ */
+const cloneBefore = (tr, value) => {
+  if (!(value instanceof Y.AbstractType)) {
+    return value
+  }
+  /**
+   * @type {Array<Y.Item>}
+   */
+  const items = []
+  for (let n = value._start; n !== null; n = n.right) {
+    if (!isDeletedBefore(tr, n)) {
+      items.push(n)
+    }
+  }
+  /**
+   * @param {Y.Map<any>|Y.XmlElement} copy
+   */
+  const copyEntries = copy => {
+    value._map.forEach((item, key) => {
+      if (!isDeletedBefore(tr, item)) {
+        const content = item.content.getContent()
+        const val = cloneBefore(tr, content[content.length - 1])
+        copy instanceof Y.XmlElement ? copy.setAttribute(key, val) : copy.set(key, val)
+      }
+    })
+    return copy
+  }
+  /**
+   * @type {Array<any>}
+   */
+  const children = []
+  items.forEach(n => {
+    if (n.countable) {
+      n.content.getContent().forEach(child => { children.push(cloneBefore(tr, child)) })
+    }
+  })
+  if (value instanceof Y.XmlText) {
+    const copy = new Y.XmlText()
+    /**
+     * @type {Array<{ insert: any, attributes: Object<string,any> }>}
+     */
+    const delta = []
+    /**
+     * @type {Object<string,any>}
+     */
+    let attributes = {}
+    items.forEach(n => {
+      if (n.content instanceof Y.ContentFormat) {
+        attributes = Object.assign({}, attributes)
+        if (n.content.value === null) {
+          delete attributes[n.content.key]
+        } else {
+          attributes[n.content.key] = n.content.value
+        }
+      } else if (n.content instanceof Y.ContentString) {
+        delta.push({ insert: n.content.str, attributes })
+      } else if (n.countable) {
+        delta.push({ insert: cloneBefore(tr, n.content.getContent()[0]), attributes })
+      }
+    })
+    copy.applyDelta(delta)
+    return copy
+  } else if (value instanceof Y.XmlElement) {
+    const copy = /** @type {Y.XmlElement} */ (copyEntries(new Y.XmlElement(value.nodeName)))
+    copy.insert(0, children)
+    return copy
+  } else if (value instanceof Y.XmlHook) {
+    return copyEntries(new Y.XmlHook(value.hookName))
+  } else if (value instanceof Y.Map) {
+    return copyEntries(new Y.Map())
+  } else if (value instanceof Y.Array) {
+    const copy = new Y.Array()
+    copy.push(children)
+    return copy
+  }
+  return value.clone()
+}
+
+/**
+ * The forwarded items of the original of a move as ranges of clocks by client.
+ *
+ * @param {Y.Map<MoveRecord|ForwardRecord>} moveMap
+ * @param {string} key The key of the move record
+ * @return {Map<number, Array<Array<number>>>}
+ */
+const getForwarded = (moveMap, key) => {
+  /**
+   * @type {Map<number, Array<Array<number>>>}
+   */
+  const forwarded = new Map()
+  const prefix = key + '>'
+  moveMap.forEach((value, k) => {
+    if (k.startsWith(prefix)) {
+      const [client, clock] = k.slice(prefix.length).split(':').map(Number)
+      const ranges = forwarded.get(client) || []
+      ranges.push([clock, clock + /** @type {ForwardRecord} */ (value).len])
+      forwarded.set(client, ranges)
+    }
+  })
+  return forwarded
+}
+
+/**
+ * Compute the changes that were made to the original of a move concurrently to the move and that
+ * were not forwarded yet. Must be called before the content of the original is garbage collected,
+ * i.e. in an observer of the transaction that deleted the original.
+ *
+ * @param {Y.Transaction} tr
+ * @param {Y.XmlText|Y.XmlElement} source
+ * @param {MoveRecord} record
+ * @param {Map<number, Array<Array<number>>>} forwarded
+ * @return {{ deletions: Set<number>, insertions: Map<number, Array<{ id: Y.ID, len: number, insert: any, attributes: Object<string,any> }>>, attributes: Map<string, { value: any }|null>, length: number }}
+ *   The deleted characters or children, the insertions by the index of the character or child of
+ *   the snapshot they follow, and the changed attributes (`null` if removed).
+ */
+const computeConcurrentChanges = (tr, source, record, forwarded) => {
+  const sv = new Map()
+  for (let i = 0; i < record.sv.length; i += 2) {
+    sv.set(record.sv[i], record.sv[i + 1])
+  }
+  const ds = Y.createDeleteSet()
+  for (let i = 0; i < record.ds.length; i += 3) {
+    const deletes = ds.clients.get(record.ds[i]) || []
+    deletes.push(/** @type {any} */ ({ clock: record.ds[i + 1], len: record.ds[i + 2] }))
+    ds.clients.set(record.ds[i], deletes)
+  }
+  ds.clients.forEach(deletes => deletes.sort((a, b) => a.clock - b.clock))
+  /**
+   * @param {Y.ID} id
+   */
+  const isKnown = id => id.clock < (sv.get(id.client) || 0)
+  /**
+   * @param {Y.ID} id
+   */
+  const isForwarded = id => (forwarded.get(id.client) || []).some(([clock, end]) => clock <= id.clock && id.clock < end)
+  /**
+   * @type {Set<number>}
+   */
+  const deletions = new Set()
+  /**
+   * @type {Map<number, Array<{ id: Y.ID, len: number, insert: any, attributes: Object<string,any> }>>}
+   */
+  const insertions = new Map()
+  /**
+   * The current formatting. It is replaced when the formatting changes, so runs of equally
+   * formatted text can be recognized by the identity of their attributes.
+   *
+   * @type {Object<string,any>}
+   */
+  let attributes = {}
+  let k = 0
+  for (let n = source._start; n !== null; n = n.right) {
+    const deleted = isDeletedBefore(tr, n)
+    if (n.content instanceof Y.ContentFormat) {
+      if (!deleted) {
+        attributes = Object.assign({}, attributes)
+        if (n.content.value === null) {
+          delete attributes[n.content.key]
+        } else {
+          attributes[n.content.key] = n.content.value
+        }
+      }
+    } else if (n.countable) {
+      const content = n.content.getContent()
+      for (let i = 0; i < n.length; i++) {
+        const id = Y.createID(n.id.client, n.id.clock + i)
+        if (isKnown(id) && !Y.isDeleted(ds, id)) {
+          if (deleted) {
+            deletions.add(k)
+          }
+          k++
+        } else if (!deleted && !isForwarded(id)) {
+          const inserted = insertions.get(k) || []
+          const last = inserted[inserted.length - 1]
+          const value = content[i]
+          if (
+            typeof value === 'string' && last !== undefined && typeof last.insert === 'string' && last.attributes === attributes &&
+            last.id.client === id.client && last.id.clock + last.len === id.clock
+          ) {
+            last.insert += value
+            last.len++
+          } else {
+            inserted.push({ id, len: 1, insert: cloneBefore(tr, value), attributes })
+          }
+          insertions.set(k, inserted)
+        }
+      }
+    }
+  }
+  /**
+   * @type {Map<string, { value: any }|null>}
+   */
+  const changedAttributes = new Map()
+  if (source instanceof Y.XmlElement) {
+    source._map.forEach((item, key) => {
+      const deleted = isDeletedBefore(tr, item)
+      if (!isKnown(item.id)) {
+        const content = item.content.getContent()
+        changedAttributes.set(key, deleted ? null : { value: cloneBefore(tr, content[content.length - 1]) })
+      } else if (deleted && !Y.isDeleted(ds, item.id)) {
+        changedAttributes.set(key, null)
+      }
+    })
+  }
+  return { deletions, insertions, attributes: changedAttributes, length: k }
+}
+
+/**
+ * Apply the concurrent changes of the original to the copy, and record the forwarded insertions.
+ *
+ * @param {Y.XmlText|Y.XmlElement} target
+ * @param {string} key The key of the move record
+ * @param {MoveRecord} record
+ * @param {ReturnType<typeof computeConcurrentChanges>} changes
+ * @param {Y.Map<MoveRecord|ForwardRecord>} moveMap
+ */
+const applyConcurrentChanges = (target, key, record, { deletions, insertions, attributes, length }, moveMap) => {
+  const doc = /** @type {Y.Doc} */ (target.doc)
+  const mover = /** @type {Y.Item} */ (target._item).id.client
+  /**
+   * @param {Y.Item} n
+   */
+  const isInitial = n => n.id.client === mover && n.id.clock >= record.start && n.id.clock < record.end
+  // attributes that were changed after the move are not overwritten
+  attributes.forEach((change, attr) => {
+    const item = target._map.get(attr)
+    const current = target.getAttribute(attr)
+    if (item === undefined ? change !== null : !item.deleted && isInitial(item) && (change === null || change.value !== current)) {
+      const element = /** @type {Y.XmlElement} */ (target)
+      change === null ? element.removeAttribute(attr) : element.setAttribute(attr, change.value)
+    }
+  })
+  /**
+   * The index of each initial character or child of the copy
+   *
+   * @type {Array<number>}
+   */
+  const before = []
+  /**
+   * @type {Array<boolean>}
+   */
+  const visible = []
+  let index = 0
+  for (let n = target._start; n !== null; n = n.right) {
+    if (n.countable) {
+      const initial = isInitial(n)
+      for (let i = 0; i < n.length; i++) {
+        if (initial) {
+          before.push(index)
+          visible.push(!n.deleted)
+        }
+        if (!n.deleted) {
+          index++
+        }
+      }
+    }
+  }
+  if (before.length !== length) {
+    // the copy doesn't match the original, e.g. because it was changed in the same transaction
+    return
+  }
+  for (let k = length; k >= 0; k--) {
+    if (k < length && deletions.has(k) && visible[k]) {
+      target.delete(before[k], 1)
+    }
+    const inserted = insertions.get(k)
+    if (inserted !== undefined) {
+      // insert after the previous character or child of the snapshot
+      let pos = k === 0 ? 0 : before[k - 1] + (visible[k - 1] ? 1 : 0)
+      inserted.forEach(({ id, len, insert, attributes }) => {
+        const start = Y.getState(doc.store, doc.clientID)
+        if (target instanceof Y.XmlElement) {
+          target.insert(pos, [insert])
+        } else if (typeof insert === 'string') {
+          target.insert(pos, insert, attributes)
+        } else {
+          target.insertEmbed(pos, insert, attributes)
+        }
+        moveMap.set(`${key}>${idToKey(id)}`, { len, target: [doc.clientID, start, Y.getState(doc.store, doc.clientID)] })
+        pos += len
+      })
+    }
+  }
+}
+
+/**
+ * Delete the content that was inserted into the copy with a forward record.
+ *
+ * @param {Y.XmlText|Y.XmlElement} target
+ * @param {ForwardRecord} forward
+ */
+const deleteForwarded = (target, { target: [client, start, end] }) => {
+  /**
+   * @type {Array<{ index: number, len: number }>}
+   */
+  const ranges = []
+  let index = 0
+  for (let n = target._start; n !== null; n = n.right) {
+    if (!n.deleted && n.countable) {
+      if (n.id.client === client) {
+        const from = math.max(start, n.id.clock) - n.id.clock
+        const to = math.min(end, n.id.clock + n.length) - n.id.clock
+        if (from < to) {
+          ranges.push({ index: index + from, len: to - from })
+        }
+      }
+      index += n.length
+    }
+  }
+  for (let i = ranges.length - 1; i >= 0; i--) {
+    target.delete(ranges[i].index, ranges[i].len)
+  }
+}
+
+/**
+ * The forward records that were overwritten by a concurrent forward record of the same content.
+ *
+ * @param {Y.Map<MoveRecord|ForwardRecord>} moveMap
+ * @param {string} key
+ * @return {Array<ForwardRecord>}
+ */
+const getOverwrittenForwards = (moveMap, key) => {
+  /**
+   * @type {Array<ForwardRecord>}
+   */
+  const overwritten = []
+  const item = moveMap._map.get(key)
+  if (item !== undefined && !item.deleted) {
+    // the content of overwritten values is removed when the transaction ends
+    for (let n = item.left; n !== null; n = n.left) {
+      if (n.content instanceof Y.ContentAny) {
+        overwritten.push(n.content.arr[n.content.arr.length - 1])
+      }
+    }
+  }
+  return overwritten
+}
+
+/**
+ * Creates an observer for the move map that forwards concurrent changes to moved content, and
+ * removes content that several clients forwarded concurrently.
+ *
+ * @param {Y.Doc} doc
+ * @return {function(Y.YMapEvent<MoveRecord|ForwardRecord>, Y.Transaction):void}
+ */
+export const createMoveForwarder = (doc) => (event, tr) => {
+  if (tr.local) {
+    return
+  }
+  /**
+   * @type {Array<function():void>}
+   */
+  const forwards = []
+  const moveMap = /** @type {Y.Map<MoveRecord|ForwardRecord>} */ (event.target)
+  event.keysChanged.forEach(key => {
+    const recordKey = isForwardKey(key) ? key.slice(0, key.indexOf('>')) : key
+    const record = /** @type {MoveRecord|undefined} */ (moveMap.get(recordKey))
+    const target = record === undefined ? null : findTarget(doc, record)
+    if (record === undefined || target === null) {
+      return
+    }
+    if (isForwardKey(key)) {
+      const overwritten = getOverwrittenForwards(moveMap, key)
+      if (overwritten.length > 0) {
+        forwards.push(() => overwritten.forEach(forward => deleteForwarded(target, forward)))
+      }
+      return
+    }
+    const [client, clock] = key.split(':').map(Number)
+    const sourceItem = findItem(doc, client, clock)
+    if (sourceItem === null || !(sourceItem.content instanceof Y.ContentType)) {
+      return
+    }
+    const source = sourceItem.content.type
+    if (!(source instanceof Y.XmlText ? target instanceof Y.XmlText : source instanceof Y.XmlElement && target instanceof Y.XmlElement)) {
+      return
+    }
+    // the original must be read before it is garbage collected
+    const changes = computeConcurrentChanges(tr, /** @type {Y.XmlText|Y.XmlElement} */ (source), record, getForwarded(moveMap, key))
+    if (changes.deletions.size > 0 || changes.insertions.size > 0 || changes.attributes.size > 0) {
+      forwards.push(() => applyConcurrentChanges(target, key, record, changes, moveMap))
+    }
+  })
+  if (forwards.length > 0) {
+    // the transaction is executed after the current transaction
+    doc.transact(() => {
+      forwards.forEach(f => f())
+    }, moveOrigin)
+  }
+}
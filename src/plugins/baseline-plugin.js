@@ -0,0 +1,370 @@
+import * as Y from 'yjs'
+import { Decoration } from 'prosemirror-view'
+import * as math from 'lib0/math'
+import { createDecorationPlugin } from './decoration-plugin.js'
+import { computeAttributeChange, getPlainAttributes, isVisible, toDeltaWithFormatChanges } from './sync-plugin.js'
+import { yBaselinePluginKey, ySyncPluginKey } from './keys.js'
+
+/**
+ * @typedef {Object} BaselinePluginState
+ * @property {Y.Snapshot|null} BaselinePluginState.baseline
+ * @property {import('prosemirror-view').DecorationSet} BaselinePluginState.decorations
+ * @property {Array<{ from: number, to: number }>} BaselinePluginState.dirty Ranges of the document
+ *   whose changes are not computed yet
+ */
+
+/**
+ * @typedef {Object} BaselineOpts
+ * @property {function(boolean):import('prosemirror-view').DecorationAttrs} BaselineOpts.addedBuilder
+ * @property {function(string, boolean):HTMLElement} BaselineOpts.removedBuilder
+ * @property {function(BaselineChange, boolean):import('prosemirror-view').DecorationAttrs} BaselineOpts.changedBuilder
+ */
+
+/**
+ * A change of the attributes of a block or of the formatting of text since the baseline.
+ *
+ * @typedef {Object} BaselineChange
+ * @property {'attributes'|'format'} BaselineChange.type
+ * @property {Object<string,any>} BaselineChange.before The changed attributes (or formatting attributes) in the baseline
+ * @property {Object<string,any>} BaselineChange.after The changed attributes in the current document
+ */
+
+/**
+ * Default generator for the attributes of added content
+ *
+ * @param {boolean} block Whether a block or text was added
+ * @return {import('prosemirror-view').DecorationAttrs}
+ */
+export const defaultBaselineAddedBuilder = block => ({
+  class: block ? 'ProseMirror-yjs-added-block' : 'ProseMirror-yjs-added',
+  ychange_type: 'added'
+})
+
+/**
+ * Default generator for the element that shows removed content
+ *
+ * @param {string} text The removed text
+ * @param {boolean} block Whether a block or text was removed
+ * @return {HTMLElement}
+ */
+export const defaultBaselineRemovedBuilder = (text, block) => {
+  const removed = document.createElement(block ? 'div' : 'span')
+  removed.classList.add(block ? 'ProseMirror-yjs-removed-block' : 'ProseMirror-yjs-removed')
+  removed.setAttribute('ychange_type', 'removed')
+  removed.setAttribute('contenteditable', 'false')
+  removed.insertBefore(document.createTextNode(text), null)
+  return removed
+}
+
+/**
+ * Default generator for the attributes of content whose attributes or formatting changed
+ *
+ * @param {BaselineChange} change
+ * @param {boolean} block Whether the attributes of a block or the formatting of text changed
+ * @return {import('prosemirror-view').DecorationAttrs}
+ */
+export const defaultBaselineChangedBuilder = (change, block) => ({
+  class: block ? 'ProseMirror-yjs-changed-block' : 'ProseMirror-yjs-changed',
+  ychange_type: change.type
+})
+
+/**
+ * Compare the document to a baseline. Pass `null` to stop comparing.
+ *
+ * @param {Y.Snapshot|null} baseline
+ * @return {import('prosemirror-state').Command}
+ */
+export const setBaseline = baseline => (state, dispatch) => {
+  if (yBaselinePluginKey.getState(state) === undefined) {
+    return false
+  }
+  if (dispatch) {
+    dispatch(state.tr.setMeta(yBaselinePluginKey, { baseline }))
+  }
+  return true
+}
+
+/**
+ * @param {Y.ID} id
+ * @param {Y.Snapshot} baseline
+ */
+const existedInBaseline = (id, baseline) =>
+  id.clock < (baseline.sv.get(id.client) || 0) && !Y.isDeleted(baseline.ds, id)
+
+/**
+ * The text of a deleted item that was visible in the baseline.
+ *
+ * @param {Y.Item} item
+ * @param {Y.Snapshot} baseline
+ * @return {string}
+ */
+const removedText = (item, baseline) => {
+  let text = ''
+  if (item.content instanceof Y.ContentString) {
+    for (let i = 0; i < item.length; i++) {
+      if (existedInBaseline(Y.createID(item.id.client, item.id.clock + i), baseline)) {
+        text += item.content.str[i]
+      }
+    }
+  }
+  return text
+}
+
+/**
+ * The text of a type in the baseline.
+ *
+ * @param {Y.XmlElement|Y.XmlText} type
+ * @param {Y.Snapshot} baseline
+ * @return {string}
+ */
+const baselineText = (type, baseline) => {
+  let text = ''
+  for (let n = type._start; n !== null; n = n.right) {
+    if (n.content instanceof Y.ContentType) {
+      if (existedInBaseline(n.id, baseline)) {
+        text += baselineText(/** @type {Y.XmlElement|Y.XmlText} */ (n.content.type), baseline)
+      }
+    } else if (n.countable) {
+      text += removedText(n, baseline)
+    }
+  }
+  return text
+}
+
+/**
+ * Decorate the text whose formatting changed since the baseline.
+ *
+ * @param {Y.XmlText} text
+ * @param {number} pos The position of the text
+ * @param {Y.Snapshot} baseline
+ * @param {function():Y.Snapshot} getCurrent Computes a snapshot of the current state
+ * @param {BaselineOpts} opts
+ * @param {Array<Decoration>} decorations
+ */
+const createFormatDecorations = (text, pos, baseline, getCurrent, opts, decorations) => {
+  let formatted = false
+  for (let n = text._start; n !== null && !formatted; n = n.right) {
+    formatted = n.content instanceof Y.ContentFormat && isVisible(n) !== isVisible(n, baseline)
+  }
+  if (!formatted) {
+    return
+  }
+  toDeltaWithFormatChanges(text, getCurrent(), baseline).forEach(op => {
+    const ychange = op.attributes?.ychange
+    if (ychange?.type === 'removed') {
+      // removed text is not part of the document
+      return
+    }
+    const len = typeof op.insert === 'string' ? op.insert.length : 1
+    if (ychange?.type === 'format') {
+      const { type, before, after } = ychange
+      decorations.push(Decoration.inline(pos, pos + len, opts.changedBuilder({ type, before, after }, false), { type }))
+    }
+    pos += len
+  })
+}
+
+/**
+ * Create the decorations of an element and its content.
+ *
+ * @param {Y.XmlElement} el
+ * @param {number} pos The position of the element
+ * @param {any} ystate The state of the ySyncPlugin
+ * @param {Y.Snapshot} baseline
+ * @param {function():Y.Snapshot} getCurrent Computes a snapshot of the current state
+ * @param {BaselineOpts} opts
+ * @param {Array<Decoration>} decorations
+ */
+const createBaselineDecorations = (el, pos, ystate, baseline, getCurrent, opts, decorations) => {
+  const node = /** @type {import('prosemirror-model').Node} */ (ystate.binding.mapping.get(el))
+  const id = /** @type {Y.Item} */ (el._item).id
+  if (!existedInBaseline(id, baseline)) {
+    decorations.push(Decoration.node(pos, pos + node.nodeSize, opts.addedBuilder(true), { type: 'added' }))
+  } else {
+    const change = computeAttributeChange(el, getPlainAttributes(el), undefined, baseline)
+    if (change !== null) {
+      const { type, before, after } = change
+      decorations.push(Decoration.node(pos, pos + node.nodeSize, opts.changedBuilder({ type, before, after }, true), { type }))
+    }
+  }
+  if (node.isLeaf) {
+    return
+  }
+  let childPos = pos + 1
+  for (let n = el._start; n !== null; n = n.right) {
+    if (!(n.content instanceof Y.ContentType)) {
+      continue
+    }
+    const child = n.content.type
+    if (n.deleted) {
+      if (child instanceof Y.XmlElement && existedInBaseline(n.id, baseline)) {
+        const text = baselineText(child, baseline)
+        decorations.push(Decoration.widget(childPos, () => opts.removedBuilder(text, true), { type: 'removed', text, side: -1 }))
+      }
+    } else if (child instanceof Y.XmlText) {
+      createFormatDecorations(child, childPos, baseline, getCurrent, opts, decorations)
+      /**
+       * @type {{ from: number, to: number } | null}
+       */
+      let added = null
+      for (let t = child._start; t !== null; t = t.right) {
+        if (!t.countable) {
+          continue
+        }
+        if (t.deleted) {
+          const text = removedText(t, baseline)
+          if (text.length > 0) {
+            decorations.push(Decoration.widget(childPos, () => opts.removedBuilder(text, false), { type: 'removed', text, side: -1 }))
+          }
+          continue
+        }
+        // the part of the item that was created after the baseline
+        const addedLength = math.max(0, math.min(t.length, t.id.clock + t.length - (baseline.sv.get(t.id.client) || 0)))
+        const from = childPos + t.length - addedLength
+        const to = childPos + t.length
+        if (addedLength > 0) {
+          if (added !== null && added.to === from) {
+            added.to = to
+          } else {
+            if (added !== null) {
+              decorations.push(Decoration.inline(added.from, added.to, opts.addedBuilder(false), { type: 'added' }))
+            }
+            added = { from, to }
+          }
+        }
+        childPos += t.length
+      }
+      if (added !== null) {
+        decorations.push(Decoration.inline(added.from, added.to, opts.addedBuilder(false), { type: 'added' }))
+      }
+    } else if (child instanceof Y.XmlElement) {
+      const childNode = ystate.binding.mapping.get(child)
+      if (childNode == null || childNode instanceof Array) {
+        // invalid content is not rendered
+        continue
+      }
+      createBaselineDecorations(child, childPos, ystate, baseline, getCurrent, opts, decorations)
+      childPos += childNode.nodeSize
+    } else if (child instanceof Y.XmlHook) {
+      // nodes with a custom Yjs representation are not compared, but they take up space
+      const childNode = ystate.binding.mapping.get(child)
+      childPos += childNode == null || childNode instanceof Array ? 0 : childNode.nodeSize
+    }
+  }
+}
+
+/**
+ * Recompute the decorations of the top-level blocks that intersect with the dirty ranges.
+ *
+ * @param {import('prosemirror-state').EditorState} state
+ * @param {import('prosemirror-view').DecorationSet} decorations
+ * @param {Array<{ from: number, to: number }>} dirty
+ * @param {Y.Snapshot} baseline
+ * @param {BaselineOpts} opts
+ * @return {import('prosemirror-view').DecorationSet}
+ */
+const refreshDecorations = (state, decorations, dirty, baseline, opts) => {
+  const ystate = ySyncPluginKey.getState(state)
+  /**
+   * @type {Y.Snapshot|null}
+   */
+  let current = null
+  // computing a snapshot is expensive, it is only needed to compare formatting
+  const getCurrent = () => current || (current = Y.snapshot(ystate.doc))
+  /**
+   * @type {Array<Decoration>}
+   */
+  const removed = []
+  /**
+   * @type {Array<Decoration>}
+   */
+  const added = []
+  /**
+   * @param {number} from
+   * @param {number} to
+   */
+  const isDirty = (from, to) => dirty.some(range => range.from <= to && range.to >= from)
+  let pos = 0
+  let prevDirty = false
+  /**
+   * Removed top-level blocks are rendered as widgets between the blocks. They are updated when
+   * one of the adjacent blocks changed.
+   *
+   * @type {Array<Y.XmlElement>}
+   */
+  let removedBlocks = []
+  /**
+   * @param {boolean} nextDirty
+   */
+  const updateRemovedBlocks = nextDirty => {
+    if (prevDirty || nextDirty || isDirty(pos, pos)) {
+      removed.push(...decorations.find(pos, pos, spec => spec.topLevel))
+      removedBlocks.forEach(el => {
+        const text = baselineText(el, baseline)
+        added.push(Decoration.widget(pos, () => opts.removedBuilder(text, true), { type: 'removed', text, side: -1, topLevel: true }))
+      })
+    }
+    removedBlocks = []
+  }
+  for (let n = ystate.type._start; n !== null; n = n.right) {
+    if (!(n.content instanceof Y.ContentType) || !(n.content.type instanceof Y.XmlElement || n.content.type instanceof Y.XmlHook)) {
+      continue
+    }
+    if (n.deleted) {
+      if (n.content.type instanceof Y.XmlElement && existedInBaseline(n.id, baseline)) {
+        removedBlocks.push(n.content.type)
+      }
+      continue
+    }
+    const node = ystate.binding.mapping.get(n.content.type)
+    if (node == null || node instanceof Array) {
+      continue
+    }
+    const end = pos + node.nodeSize
+    const dirtyBlock = isDirty(pos, end)
+    updateRemovedBlocks(dirtyBlock)
+    if (dirtyBlock && n.content.type instanceof Y.XmlElement) {
+      removed.push(...decorations.find(pos, end, spec => !spec.topLevel).filter(deco =>
+        (deco.from > pos && deco.to < end) || (deco.from === pos && deco.to === end)
+      ))
+      createBaselineDecorations(n.content.type, pos, ystate, baseline, getCurrent, opts, added)
+    }
+    prevDirty = dirtyBlock
+    pos = end
+  }
+  updateRemovedBlocks(false)
+  return decorations.remove(removed).add(state.doc, added)
+}
+
+/**
+ * A prosemirror plugin that shows the changes since a baseline snapshot (e.g. the last published
+ * version) as decorations. Added, removed and changed content (attributes of blocks and
+ * formatting of text) is decorated. Unlike rendering a snapshot, the document stays editable and
+ * the decorations are updated incrementally. Removed content and formatting changes are only
+ * shown if the document was created with `gc: false`.
+ *
+ * This plugin must be added after the `ySyncPlugin`.
+ *
+ * @public
+ * @param {object} [opts]
+ * @param {Y.Snapshot|null} [opts.baseline] Use `setBaseline` to change the baseline
+ * @param {function(boolean):import('prosemirror-view').DecorationAttrs} [opts.addedBuilder]
+ * @param {function(string, boolean):HTMLElement} [opts.removedBuilder]
+ * @param {function(BaselineChange, boolean):import('prosemirror-view').DecorationAttrs} [opts.changedBuilder]
+ * @return {import('prosemirror-state').Plugin<BaselinePluginState>}
+ */
+export const yBaselinePlugin = ({
+  baseline = null,
+  addedBuilder = defaultBaselineAddedBuilder,
+  removedBuilder = defaultBaselineRemovedBuilder,
+  changedBuilder = defaultBaselineChangedBuilder
+} = {}) => {
+  const opts = { addedBuilder, removedBuilder, changedBuilder }
+  return createDecorationPlugin({
+    key: yBaselinePluginKey,
+    field: 'baseline',
+    value: baseline,
+    isActive: baseline => baseline !== null,
+    refresh: (state, decorations, dirty, baseline) => refreshDecorations(state, decorations, dirty, baseline, opts)
+  })
+}
@@ -0,0 +1,208 @@
+import * as Y from 'yjs'
+import { Decoration } from 'prosemirror-view'
+import { createDecorationPlugin } from './decoration-plugin.js'
+import { getUserColor } from './sync-plugin.js'
+import { yBlamePluginKey, ySyncPluginKey } from './keys.js'
+
+/**
+ * @typedef {Object} BlamePluginState
+ * @property {boolean} BlamePluginState.enabled
+ * @property {import('prosemirror-view').DecorationSet} BlamePluginState.decorations
+ * @property {Array<{ from: number, to: number }>} BlamePluginState.dirty Ranges of the document
+ *   whose authors are not computed yet
+ */
+
+/**
+ * @typedef {Object} BlameOpts
+ * @property {function(Y.ID, Y.PermanentUserData|null):any} BlameOpts.resolveUser
+ * @property {function(any, import('./sync-plugin.js').ColorDef):import('prosemirror-view').DecorationAttrs} BlameOpts.textBuilder
+ * @property {function(any, import('./sync-plugin.js').ColorDef):import('prosemirror-view').DecorationAttrs} BlameOpts.blockBuilder
+ */
+
+/**
+ * Default author of a Yjs item. Uses the PermanentUserData of the ySyncPlugin if available and
+ * falls back to the client id.
+ *
+ * @param {Y.ID} id
+ * @param {Y.PermanentUserData|null} permanentUserData
+ * @return {any}
+ */
+export const defaultResolveUser = (id, permanentUserData) =>
+  (permanentUserData && permanentUserData.getUserByClientId(id.client)) || id.client
+
+/**
+ * Default generator for the attributes of a text run
+ *
+ * @param {any} user
+ * @param {import('./sync-plugin.js').ColorDef} color
+ * @return {import('prosemirror-view').DecorationAttrs}
+ */
+export const defaultBlameTextBuilder = (user, color) => ({
+  style: `background-color: ${color.light}`,
+  class: 'ProseMirror-yjs-blame',
+  'data-user': `${user}`
+})
+
+/**
+ * Default generator for the attributes of a block
+ *
+ * @param {any} user
+ * @param {import('./sync-plugin.js').ColorDef} color
+ * @return {import('prosemirror-view').DecorationAttrs}
+ */
+export const defaultBlameBlockBuilder = (user, color) => ({
+  style: `border-left: 2px solid ${color.dark}`,
+  class: 'ProseMirror-yjs-blame-block',
+  'data-user': `${user}`
+})
+
+/**
+ * Toggle the blame mode.
+ *
+ * @type {import('prosemirror-state').Command}
+ */
+export const toggleBlame = (state, dispatch) => {
+  const blameState = yBlamePluginKey.getState(state)
+  if (blameState === undefined) {
+    return false
+  }
+  if (dispatch) {
+    dispatch(state.tr.setMeta(yBlamePluginKey, { enabled: !blameState.enabled }))
+  }
+  return true
+}
+
+/**
+ * Create the decorations of an element and its content.
+ *
+ * @param {Y.XmlElement} el
+ * @param {number} pos The position of the element
+ * @param {any} ystate The state of the ySyncPlugin
+ * @param {BlameOpts} opts
+ * @param {Array<Decoration>} decorations
+ */
+const createBlameDecorations = (el, pos, ystate, opts, decorations) => {
+  const node = /** @type {import('prosemirror-model').Node} */ (ystate.binding.mapping.get(el))
+  /**
+   * @param {Y.ID} id
+   */
+  const resolve = id => {
+    const user = opts.resolveUser(id, ystate.permanentUserData)
+    return { user, color: getUserColor(ystate.colorMapping, ystate.colors, user) }
+  }
+  const { user, color } = resolve(/** @type {Y.Item} */ (el._item).id)
+  decorations.push(Decoration.node(pos, pos + node.nodeSize, opts.blockBuilder(user, color), { user }))
+  if (node.isLeaf) {
+    return
+  }
+  let childPos = pos + 1
+  for (let n = el._start; n !== null; n = n.right) {
+    if (n.deleted || !(n.content instanceof Y.ContentType)) {
+      continue
+    }
+    const child = n.content.type
+    if (child instanceof Y.XmlText) {
+      /**
+       * @type {Array<{ from: number, to: number, user: any }>}
+       */
+      const runs = []
+      for (let t = child._start; t !== null; t = t.right) {
+        if (!t.deleted && t.countable) {
+          const user = opts.resolveUser(t.id, ystate.permanentUserData)
+          const last = runs[runs.length - 1]
+          if (last !== undefined && last.user === user) {
+            last.to += t.length
+          } else {
+            runs.push({ from: childPos, to: childPos + t.length, user })
+          }
+          childPos += t.length
+        }
+      }
+      runs.forEach(({ from, to, user }) => {
+        const color = getUserColor(ystate.colorMapping, ystate.colors, user)
+        decorations.push(Decoration.inline(from, to, opts.textBuilder(user, color), { user }))
+      })
+    } else if (child instanceof Y.XmlElement) {
+      const childNode = ystate.binding.mapping.get(child)
+      if (childNode == null || childNode instanceof Array) {
+        // invalid content is not rendered
+        continue
+      }
+      createBlameDecorations(child, childPos, ystate, opts, decorations)
+      childPos += childNode.nodeSize
+    } else if (child instanceof Y.XmlHook) {
+      // nodes with a custom Yjs representation are not blamed, but they take up space
+      const childNode = ystate.binding.mapping.get(child)
+      childPos += childNode == null || childNode instanceof Array ? 0 : childNode.nodeSize
+    }
+  }
+}
+
+/**
+ * Recompute the decorations of the top-level blocks that intersect with the dirty ranges.
+ *
+ * @param {import('prosemirror-state').EditorState} state
+ * @param {import('prosemirror-view').DecorationSet} decorations
+ * @param {Array<{ from: number, to: number }>} dirty
+ * @param {BlameOpts} opts
+ * @return {import('prosemirror-view').DecorationSet}
+ */
+const refreshDecorations = (state, decorations, dirty, opts) => {
+  const ystate = ySyncPluginKey.getState(state)
+  /**
+   * @type {Array<Decoration>}
+   */
+  const removed = []
+  /**
+   * @type {Array<Decoration>}
+   */
+  const added = []
+  let pos = 0
+  for (let n = ystate.type._start; n !== null; n = n.right) {
+    if (n.deleted || !(n.content instanceof Y.ContentType) || !(n.content.type instanceof Y.XmlElement || n.content.type instanceof Y.XmlHook)) {
+      continue
+    }
+    const node = ystate.binding.mapping.get(n.content.type)
+    if (node == null || node instanceof Array) {
+      continue
+    }
+    const end = pos + node.nodeSize
+    if (n.content.type instanceof Y.XmlElement && dirty.some(range => range.from <= end && range.to >= pos)) {
+      removed.push(...decorations.find(pos, end).filter(deco => deco.from >= pos && deco.to <= end))
+      createBlameDecorations(n.content.type, pos, ystate, opts, added)
+    }
+    pos = end
+  }
+  return decorations.remove(removed).add(state.doc, added)
+}
+
+/**
+ * A prosemirror plugin that decorates every block and text run of the document with its author.
+ * The authors are computed from the Yjs items, so the document stays editable. Only the blocks
+ * that changed are recomputed.
+ *
+ * This plugin must be added after the `ySyncPlugin`.
+ *
+ * @public
+ * @param {object} [opts]
+ * @param {boolean} [opts.enabled] Whether the blame mode is initially enabled. Use `toggleBlame` to switch it
+ * @param {function(Y.ID, Y.PermanentUserData|null):any} [opts.resolveUser] Compute the author of an item
+ * @param {function(any, import('./sync-plugin.js').ColorDef):import('prosemirror-view').DecorationAttrs} [opts.textBuilder]
+ * @param {function(any, import('./sync-plugin.js').ColorDef):import('prosemirror-view').DecorationAttrs} [opts.blockBuilder]
+ * @return {import('prosemirror-state').Plugin<BlamePluginState>}
+ */
+export const yBlamePlugin = ({
+  enabled = false,
+  resolveUser = defaultResolveUser,
+  textBuilder = defaultBlameTextBuilder,
+  blockBuilder = defaultBlameBlockBuilder
+} = {}) => {
+  const opts = { resolveUser, textBuilder, blockBuilder }
+  return createDecorationPlugin({
+    key: yBlamePluginKey,
+    field: 'enabled',
+    value: enabled,
+    isActive: enabled => enabled,
+    refresh: (state, decorations, dirty) => refreshDecorations(state, decorations, dirty, opts)
+  })
+}
@@ -0,0 +1,133 @@
+import { TextSelection } from 'prosemirror-state'
+import { ySyncPluginKey } from './keys.js'
+import * as math from 'lib0/math'
+
+/**
+ * A range of adjacent changes of the same user and type in a rendered snapshot.
+ *
+ * @typedef {Object} ChangeGroup
+ * @property {number} ChangeGroup.from
+ * @property {number} ChangeGroup.to
+ * @property {'added'|'removed'|'attributes'|'format'} ChangeGroup.type
+ * @property {any} ChangeGroup.user
+ */
+
+/**
+ * @typedef {Object} ChangeSummary
+ * @property {any} ChangeSummary.user
+ * @property {number} ChangeSummary.added Number of additions
+ * @property {number} ChangeSummary.removed Number of deletions
+ * @property {number} ChangeSummary.changed Number of attribute and formatting changes
+ */
+
+/**
+ * Collect the `ychange` annotated ranges of a rendered snapshot. Adjacent ranges of the same user
+ * and type are grouped.
+ *
+ * @param {import('prosemirror-model').Node} doc
+ * @return {Array<ChangeGroup>}
+ */
+export const collectChanges = doc => {
+  /**
+   * @type {Array<ChangeGroup>}
+   */
+  const changes = []
+  /**
+   * @param {any} ychange
+   * @param {number} from
+   * @param {number} to
+   */
+  const addChange = (ychange, from, to) => {
+    const last = changes[changes.length - 1]
+    if (last !== undefined && last.type === ychange.type && last.user === (ychange.user ?? null) && from <= last.to) {
+      last.to = math.max(last.to, to)
+    } else {
+      changes.push({ from, to, type: ychange.type, user: ychange.user ?? null })
+    }
+  }
+  doc.descendants((node, pos) => {
+    if (node.attrs.ychange) {
+      addChange(node.attrs.ychange, pos, pos + node.nodeSize)
+    }
+    node.marks.forEach(mark => {
+      if (mark.type.name === 'ychange') {
+        addChange(mark.attrs, pos, pos + node.nodeSize)
+      }
+    })
+  })
+  return changes
+}
+
+/**
+ * Count the changes of each user.
+ *
+ * @param {Array<ChangeGroup>} changes
+ * @return {Array<ChangeSummary>}
+ */
+export const summarizeChanges = changes => {
+  /**
+   * @type {Map<any, ChangeSummary>}
+   */
+  const summaries = new Map()
+  changes.forEach(change => {
+    let summary = summaries.get(change.user)
+    if (summary === undefined) {
+      summary = { user: change.user, added: 0, removed: 0, changed: 0 }
+      summaries.set(change.user, summary)
+    }
+    if (change.type === 'added' || change.type === 'removed') {
+      summary[change.type]++
+    } else {
+      summary.changed++
+    }
+  })
+  return Array.from(summaries.values())
+}
+
+/**
+ * @param {import('prosemirror-state').EditorState} state
+ * @param {ChangeGroup|undefined} change
+ * @param {((tr: import('prosemirror-state').Transaction) => void) | undefined} dispatch
+ */
+const selectChange = (state, change, dispatch) => {
+  if (change === undefined) {
+    return false
+  }
+  if (dispatch) {
+    const selection = TextSelection.between(state.doc.resolve(change.from), state.doc.resolve(change.to))
+    dispatch(state.tr.setSelection(selection).scrollIntoView())
+  }
+  return true
+}
+
+/**
+ * Select the next change of the rendered snapshot.
+ *
+ * @type {import('prosemirror-state').Command}
+ */
+export const nextChange = (state, dispatch) => {
+  const changes = ySyncPluginKey.getState(state)?.changes || []
+  return selectChange(state, changes.find(change => change.from > state.selection.from), dispatch)
+}
+
+/**
+ * Select the previous change of the rendered snapshot.
+ *
+ * @type {import('prosemirror-state').Command}
+ */
+export const prevChange = (state, dispatch) => {
+  const changes = ySyncPluginKey.getState(state)?.changes || []
+  const prev = changes.filter(change => change.to <= state.selection.from)
+  return selectChange(state, prev[prev.length - 1], dispatch)
+}
+
+/**
+ * Revert a change of the rendered snapshot in the Yjs document. The change is applied with
+ * `revertChangeOrigin`, so it can be undone with the yUndoPlugin.
+ *
+ * @param {import('prosemirror-view').EditorView} view
+ * @param {{ from: number, to: number }} change A range of the rendered snapshot, usually one of
+ *   `ySyncPluginKey.getState(state).changes`
+ * @return {boolean} Whether anything was reverted
+ */
+export const revertChange = (view, change) => ySyncPluginKey.getState(view.state).binding.revertChange(change)
@@ -8,6 +8,7 @@ import {
   setMeta
 } from '../lib.js'
 import { yCursorPluginKey, ySyncPluginKey } from './keys.js'
+import { getUserColor } from './sync-plugin.js'
 
 import * as math from 'lib0/math'
 
@@ -57,12 +58,26 @@ export const defaultSelectionBuilder = (user) => {
 
 const rxValidColor = /^#[0-9a-fA-F]{6}$/
 
+/**
+ * The color that is assigned to the author of a client in the ySyncPlugin. Requires the
+ * `permanentUserData` option of the ySyncPlugin.
+ *
+ * @param {any} ystate The state of the ySyncPlugin
+ * @param {number} clientId
+ * @return {string|null}
+ */
+const getSharedColor = (ystate, clientId) => {
+  const user = ystate.permanentUserData && ystate.permanentUserData.getUserByClientId(clientId)
+  return user != null ? getUserColor(ystate.colorMapping, ystate.colors, user).dark : null
+}
+
 /**
  * @param {any} state
  * @param {Awareness} awareness
  * @param {function(number, number, any):boolean} awarenessFilter
  * @param {(user: { name: string, color: string }, clientId: number) => Element} createCursor
  * @param {(user: { name: string, color: string }, clientId: number) => import('prosemirror-view').DecorationAttrs} createSelection
+ * @param {boolean} [sharedColors] Use the colors of the ySyncPlugin instead of the awareness colors
  * @return {any} DecorationSet
  */
 export const createDecorations = (
@@ -70,7 +85,8 @@ export const createDecorations = (
   awareness,
   awarenessFilter,
   createCursor,
-  createSelection
+  createSelection,
+  sharedColors = false
 ) => {
   const ystate = ySyncPluginKey.getState(state)
   const y = ystate.doc
@@ -88,8 +104,11 @@ export const createDecorations = (
     }
 
     if (aw.cursor != null) {
-      const user = aw.user || {}
-      if (user.color == null) {
+      let user = aw.user || {}
+      const sharedColor = sharedColors ? getSharedColor(ystate, clientId) : null
+      if (sharedColor !== null) {
+        user = Object.assign({}, user, { color: sharedColor })
+      } else if (user.color == null) {
         user.color = '#ffa500'
       } else if (!rxValidColor.test(user.color)) {
         // We only support 6-digit RGB colors in y-prosemirror
@@ -145,6 +164,8 @@ export const createDecorations = (
  * @param {(user: any, clientId: number) => HTMLElement} [opts.cursorBuilder]
  * @param {(user: any, clientId: number) => import('prosemirror-view').DecorationAttrs} [opts.selectionBuilder]
  * @param {function(any):any} [opts.getSelection]
+ * @param {boolean} [opts.sharedColors] Color the cursors like the changes of the user (see the `colors` and
+ *   `colorMapping` options of the ySyncPlugin). Requires the `permanentUserData` option of the ySyncPlugin.
  * @param {string} [cursorStateField] By default all editor bindings use the awareness 'cursor' field to propagate cursor information.
  * @return {any}
  */
@@ -154,7 +175,8 @@ export const yCursorPlugin = (
     awarenessStateFilter = defaultAwarenessStateFilter,
     cursorBuilder = defaultCursorBuilder,
     selectionBuilder = defaultSelectionBuilder,
-    getSelection = (state) => state.selection
+    getSelection = (state) => state.selection,
+    sharedColors = false
   } = {},
   cursorStateField = 'cursor'
 ) =>
@@ -167,7 +189,8 @@ export const yCursorPlugin = (
           awareness,
           awarenessStateFilter,
           cursorBuilder,
-          selectionBuilder
+          selectionBuilder,
+          sharedColors
         )
       },
       apply (tr, prevState, _oldState, newState) {
@@ -182,7 +205,8 @@ export const yCursorPlugin = (
             awareness,
             awarenessStateFilter,
             cursorBuilder,
-            selectionBuilder
+            selectionBuilder,
+            sharedColors
           )
         }
         return prevState.map(tr.mapping, tr.doc)
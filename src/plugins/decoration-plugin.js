@@ -0,0 +1,83 @@
+import { DecorationSet } from 'prosemirror-view'
+import { Plugin } from 'prosemirror-state'
+import { setMeta } from '../lib.js'
+import { changedRanges, isSnapshotRendered } from '../utils.js'
+import { ySyncPluginKey } from './keys.js'
+
+/**
+ * @typedef {Object} DecorationPluginOpts
+ * @property {import('prosemirror-state').PluginKey} DecorationPluginOpts.key
+ * @property {string} DecorationPluginOpts.field The name of the setting in the plugin state and in the meta
+ *   of the transactions that change it (e.g. `enabled`)
+ * @property {any} DecorationPluginOpts.value The initial value of the setting
+ * @property {function(any):boolean} DecorationPluginOpts.isActive Whether decorations are shown for a value
+ *   of the setting
+ * @property {function(import('prosemirror-state').EditorState, DecorationSet, Array<{ from: number, to: number }>, any):DecorationSet} DecorationPluginOpts.refresh
+ *   Recompute the decorations of the dirty ranges
+ */
+
+/**
+ * Create a plugin that decorates the document with information that is computed from the Yjs
+ * items, e.g. authors or changes. The decorations are mapped through changes and only the ranges
+ * that changed are recomputed once the changes are written to Yjs. Decorations are hidden while a
+ * snapshot is rendered.
+ *
+ * The plugin state has the shape `{ [field]: value, decorations, dirty }`.
+ *
+ * @param {DecorationPluginOpts} opts
+ * @return {Plugin<any>}
+ */
+export const createDecorationPlugin = ({ key, field, value, isActive, refresh }) => new Plugin({
+  key,
+  state: {
+    init: (_, state) => ({
+      [field]: value,
+      decorations: DecorationSet.empty,
+      dirty: isActive(value) ? [{ from: 0, to: state.doc.content.size }] : []
+    }),
+    apply: (tr, pluginState, _oldState, newState) => {
+      const change = tr.getMeta(key)
+      const ystate = ySyncPluginKey.getState(newState)
+      let current = pluginState[field]
+      let { decorations, dirty } = pluginState
+      if (change !== undefined && change[field] !== undefined && change[field] !== current) {
+        current = change[field]
+        decorations = DecorationSet.empty
+        dirty = isActive(current) ? [{ from: 0, to: newState.doc.content.size }] : []
+      } else if (isActive(current) && tr.docChanged) {
+        decorations = decorations.map(tr.mapping, tr.doc)
+        dirty = dirty
+          .map(({ from, to }) => ({ from: tr.mapping.map(from, -1), to: tr.mapping.map(to, 1) }))
+          .concat(changedRanges(tr))
+      }
+      // Local changes are written to Yjs after the transaction is applied. Remote changes are
+      // already in Yjs.
+      if (
+        isActive(current) && dirty.length > 0 && !isSnapshotRendered(ystate) &&
+        ((change !== undefined && change.refresh) || ystate.isChangeOrigin)
+      ) {
+        decorations = refresh(newState, decorations, dirty, current)
+        dirty = []
+      }
+      return current === pluginState[field] && decorations === pluginState.decorations && dirty === pluginState.dirty
+        ? pluginState
+        : { [field]: current, decorations, dirty }
+    }
+  },
+  props: {
+    decorations: state => {
+      const pluginState = key.getState(state)
+      return pluginState && isActive(pluginState[field]) && !isSnapshotRendered(ySyncPluginKey.getState(state))
+        ? pluginState.decorations
+        : null
+    }
+  },
+  view: () => ({
+    update: view => {
+      const pluginState = key.getState(view.state)
+      if (pluginState && isActive(pluginState[field]) && pluginState.dirty.length > 0 && !isSnapshotRendered(ySyncPluginKey.getState(view.state))) {
+        setMeta(view, key, { refresh: true })
+      }
+    }
+  })
+})
@@ -21,3 +21,27 @@ export const yUndoPluginKey = new PluginKey('y-undo')
  * @public
  */
 export const yCursorPluginKey = new PluginKey('yjs-cursor')
+
+/**
+ * The unique prosemirror plugin key for blamePlugin
+ *
+ * @public
+ * @type {PluginKey<import('./blame-plugin').BlamePluginState>}
+ */
+export const yBlamePluginKey = new PluginKey('y-blame')
+
+/**
+ * The unique prosemirror plugin key for suggestionPlugin
+ *
+ * @public
+ * @type {PluginKey<import('./suggestion-plugin').SuggestionPluginState>}
+ */
+export const ySuggestionPluginKey = new PluginKey('y-suggestion')
+
+/**
+ * The unique prosemirror plugin key for baselinePlugin
+ *
+ * @public
+ * @type {PluginKey<import('./baseline-plugin').BaselinePluginState>}
+ */
+export const yBaselinePluginKey = new PluginKey('y-baseline')
@@ -0,0 +1,361 @@
+import { Plugin, TextSelection } from 'prosemirror-state'
+import { Fragment, Slice } from 'prosemirror-model'
+import { ReplaceStep } from 'prosemirror-transform'
+import * as random from 'lib0/random'
+import * as object from 'lib0/object'
+import { ySuggestionPluginKey, ySyncPluginKey } from './keys.js'
+
+/**
+ * @typedef {Object} SuggestionPluginState
+ * @property {boolean} SuggestionPluginState.enabled
+ * @property {any} SuggestionPluginState.user
+ * @property {string} SuggestionPluginState.markName
+ */
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {string} Suggestion.id
+ * @property {'added'|'removed'} Suggestion.type
+ * @property {any} Suggestion.user
+ * @property {Array<{ from: number, to: number }>} Suggestion.ranges
+ */
+
+/**
+ * The suggestion mark. Add it to your schema as `suggestion` to use the ySuggestionPlugin.
+ * Suggestions are rendered like the changes of a snapshot.
+ *
+ * @type {import('prosemirror-model').MarkSpec}
+ */
+export const suggestionMarkSpec = {
+  attrs: {
+    id: { default: null },
+    user: { default: null },
+    type: { default: null }
+  },
+  inclusive: false,
+  parseDOM: [{
+    tag: 'ychange[ychange_suggestion]',
+    getAttrs: dom => ({
+      id: /** @type {HTMLElement} */ (dom).getAttribute('ychange_suggestion'),
+      user: /** @type {HTMLElement} */ (dom).getAttribute('ychange_user'),
+      type: /** @type {HTMLElement} */ (dom).getAttribute('ychange_type')
+    })
+  }],
+  toDOM: mark => ['ychange', { ychange_suggestion: mark.attrs.id, ychange_user: mark.attrs.user, ychange_type: mark.attrs.type }, 0]
+}
+
+/**
+ * Mark deleted content as removed. Suggested insertions of the same user are dropped, they were
+ * never part of the document. Content that is already suggested for removal is kept as is.
+ *
+ * @param {Fragment} fragment
+ * @param {import('prosemirror-model').Mark} mark
+ * @return {Fragment}
+ */
+const markRemoved = (fragment, mark) => {
+  /**
+   * @type {Array<import('prosemirror-model').Node>}
+   */
+  const nodes = []
+  fragment.forEach(node => {
+    if (node.isInline) {
+      const suggestion = mark.type.isInSet(node.marks)
+      if (suggestion === undefined) {
+        nodes.push(node.mark(mark.addToSet(node.marks)))
+      } else if (suggestion.attrs.type !== 'added' || suggestion.attrs.user !== mark.attrs.user) {
+        nodes.push(node)
+      }
+    } else {
+      nodes.push(node.copy(markRemoved(node.content, mark)))
+    }
+  })
+  return Fragment.from(nodes)
+}
+
+/**
+ * @param {Fragment} fragment
+ * @return {boolean}
+ */
+const hasInlineContent = fragment => {
+  let found = false
+  fragment.descendants(node => {
+    found = found || node.isInline
+    return !found
+  })
+  return found
+}
+
+/**
+ * Whether the changes of a local transaction can be recorded as suggestions. Only insertions and
+ * deletions of inline content can be tracked. Changes of the block structure (e.g. splitting or
+ * joining blocks), of attributes and of formatting can't be represented as suggestions. Suggested
+ * insertions of other users can't be deleted, they must be accepted or rejected instead.
+ *
+ * @param {import('prosemirror-state').Transaction} tr
+ * @param {import('prosemirror-model').MarkType} markType
+ * @param {any} user
+ * @return {boolean}
+ */
+const isTrackable = (tr, markType, user) => tr.steps.every((step, i) => {
+  if (!(step instanceof ReplaceStep)) {
+    return false
+  }
+  const s = /** @type {any} */ (step)
+  const doc = tr.docs[i]
+  const deleted = doc.slice(s.from, s.to)
+  if ((deleted.size > 0 && !hasInlineContent(deleted.content)) || (s.slice.size > 0 && !hasInlineContent(s.slice.content))) {
+    return false
+  }
+  let foreignInsertion = false
+  doc.nodesBetween(s.from, s.to, node => {
+    const mark = node.isInline ? markType.isInSet(node.marks) : undefined
+    foreignInsertion = foreignInsertion || (mark !== undefined && mark.attrs.type === 'added' && mark.attrs.user !== user)
+    return !foreignInsertion
+  })
+  return !foreignInsertion
+})
+
+/**
+ * The id of a suggestion of the same user and type that is adjacent to pos.
+ *
+ * @param {import('prosemirror-model').Node|null|undefined} node
+ * @param {import('prosemirror-model').MarkType} markType
+ * @param {any} user
+ * @param {'added'|'removed'} type
+ * @return {string|null}
+ */
+const adjacentSuggestion = (node, markType, user, type) => {
+  const mark = node ? markType.isInSet(node.marks) : undefined
+  return mark !== undefined && mark.attrs.user === user && mark.attrs.type === type ? mark.attrs.id : null
+}
+
+/**
+ * Whether tr is a local change that is recorded as a suggestion. Remote changes, changes by the
+ * yUndoPlugin (which are applied through Yjs) and changes of this plugin are not tracked.
+ *
+ * @param {import('prosemirror-state').Transaction} tr
+ * @return {boolean}
+ */
+const isLocalChange = tr => {
+  const ysync = tr.getMeta(ySyncPluginKey)
+  return tr.docChanged && tr.getMeta(ySuggestionPluginKey) === undefined && !(ysync !== undefined && ysync.isChangeOrigin)
+}
+
+/**
+ * Record the changes of local transactions as suggestions. Deleted content is inserted again and
+ * marked as removed, inserted content is marked as added. Transactions that can't be tracked are
+ * refused before (see `isTrackable`).
+ *
+ * @param {ReadonlyArray<import('prosemirror-state').Transaction>} trs
+ * @param {import('prosemirror-state').EditorState} oldState
+ * @param {import('prosemirror-state').EditorState} newState
+ * @param {import('prosemirror-model').MarkType} markType
+ * @param {any} user
+ * @return {import('prosemirror-state').Transaction|null}
+ */
+const trackChanges = (trs, oldState, newState, markType, user) => {
+  const tr = newState.tr
+  /**
+   * Where the cursor should be placed after a deletion
+   * @type {number|null}
+   */
+  let cursor = null
+  trs.forEach((t, k) => {
+    if (!isLocalChange(t)) {
+      return
+    }
+    t.steps.forEach((step, i) => {
+      const s = /** @type {any} */ (step)
+      const mapping = t.mapping.slice(i + 1)
+      trs.slice(k + 1).forEach(t2 => mapping.appendMapping(t2.mapping))
+      mapping.appendMapping(tr.mapping)
+      const deleted = t.docs[i].slice(s.from, s.to)
+      const pos = mapping.map(s.from, -1)
+      const insertedFrom = mapping.map(s.from, 1)
+      const insertedTo = mapping.map(s.from + s.slice.size, -1)
+      const $pos = tr.doc.resolve(pos)
+      const removedId = adjacentSuggestion($pos.nodeBefore, markType, user, 'removed') || adjacentSuggestion($pos.nodeAfter, markType, user, 'removed') || random.uuidv4()
+      const content = markRemoved(deleted.content, markType.create({ id: removedId, user, type: 'removed' }))
+      let removedSize = 0
+      if (hasInlineContent(content)) {
+        const size = tr.doc.content.size
+        tr.replace(pos, pos, new Slice(content, deleted.openStart, deleted.openEnd))
+        removedSize = tr.doc.content.size - size
+        // backspace moves the cursor in front of the removed content
+        const sel = oldState.selection
+        cursor = trs.length === 1 && sel.empty && sel.from === s.to && s.slice.size === 0 ? pos : pos + removedSize
+      }
+      const from = insertedFrom + removedSize
+      const to = insertedTo + removedSize
+      if (from < to) {
+        const id = adjacentSuggestion(tr.doc.resolve(from).nodeBefore, markType, user, 'added') || random.uuidv4()
+        tr.addMark(from, to, markType.create({ id, user, type: 'added' }))
+      }
+    })
+  })
+  if (!tr.docChanged) {
+    return null
+  }
+  if (cursor !== null) {
+    tr.setSelection(TextSelection.create(tr.doc, cursor))
+  }
+  return tr.setMeta(ySuggestionPluginKey, { tracked: true })
+}
+
+/**
+ * @param {import('prosemirror-state').EditorState} state
+ * @return {import('prosemirror-model').MarkType|undefined}
+ */
+const getMarkType = state => state.schema.marks[ySuggestionPluginKey.getState(state)?.markName || 'suggestion']
+
+/**
+ * All suggestions of the document.
+ *
+ * @param {import('prosemirror-state').EditorState} state
+ * @return {Array<Suggestion>}
+ */
+export const getSuggestions = state => {
+  const markType = getMarkType(state)
+  /**
+   * @type {Map<string, Suggestion>}
+   */
+  const suggestions = new Map()
+  if (markType === undefined) {
+    return []
+  }
+  state.doc.descendants((node, pos) => {
+    const mark = node.isInline ? markType.isInSet(node.marks) : undefined
+    if (mark === undefined) {
+      return
+    }
+    const { id, user, type } = mark.attrs
+    let suggestion = suggestions.get(id)
+    if (suggestion === undefined) {
+      suggestion = { id, user, type, ranges: [] }
+      suggestions.set(id, suggestion)
+    }
+    const last = suggestion.ranges[suggestion.ranges.length - 1]
+    if (last !== undefined && last.to === pos) {
+      last.to = pos + node.nodeSize
+    } else {
+      suggestion.ranges.push({ from: pos, to: pos + node.nodeSize })
+    }
+  })
+  return Array.from(suggestions.values())
+}
+
+/**
+ * @param {string} id
+ * @param {boolean} accept
+ * @return {import('prosemirror-state').Command}
+ */
+const resolveSuggestion = (id, accept) => (state, dispatch) => {
+  const suggestion = getSuggestions(state).find(suggestion => suggestion.id === id)
+  if (suggestion === undefined) {
+    return false
+  }
+  if (dispatch) {
+    const markType = /** @type {import('prosemirror-model').MarkType} */ (getMarkType(state))
+    const tr = state.tr
+    if ((suggestion.type === 'added') === accept) {
+      suggestion.ranges.forEach(({ from, to }) => {
+        tr.removeMark(from, to, markType)
+      })
+    } else {
+      // delete the content including the block boundaries in between
+      /**
+       * @type {Array<{ from: number, to: number }>}
+       */
+      const ranges = []
+      suggestion.ranges.forEach(range => {
+        const last = ranges[ranges.length - 1]
+        if (last !== undefined && !hasInlineContent(state.doc.slice(last.to, range.from).content)) {
+          last.to = range.to
+        } else {
+          ranges.push({ ...range })
+        }
+      })
+      for (let i = ranges.length - 1; i >= 0; i--) {
+        tr.delete(ranges[i].from, ranges[i].to)
+      }
+    }
+    dispatch(tr.setMeta(ySuggestionPluginKey, { resolved: id }))
+  }
+  return true
+}
+
+/**
+ * Accept a suggestion. Accepted insertions become regular content, accepted deletions are
+ * removed from the document.
+ *
+ * @param {string} id
+ * @return {import('prosemirror-state').Command}
+ */
+export const acceptSuggestion = id => resolveSuggestion(id, true)
+
+/**
+ * Reject a suggestion. Rejected insertions are removed from the document.
+ *
+ * @param {string} id
+ * @return {import('prosemirror-state').Command}
+ */
+export const rejectSuggestion = id => resolveSuggestion(id, false)
+
+/**
+ * Toggle the suggestion mode.
+ *
+ * @type {import('prosemirror-state').Command}
+ */
+export const toggleSuggestionMode = (state, dispatch) => {
+  const suggestionState = ySuggestionPluginKey.getState(state)
+  if (suggestionState === undefined) {
+    return false
+  }
+  if (dispatch) {
+    dispatch(state.tr.setMeta(ySuggestionPluginKey, { enabled: !suggestionState.enabled }))
+  }
+  return true
+}
+
+/**
+ * A prosemirror plugin that records local changes as suggestions while the suggestion mode is
+ * enabled. Suggestions are marks, so they are stored as formatting attributes in Yjs and can be
+ * accepted or rejected by all users.
+ *
+ * The suggestions are appended to the local transaction, so the ySyncPlugin writes the change and
+ * its suggestion marks to Yjs in a single transaction, which the yUndoPlugin undoes as a single
+ * step. Local changes that can't be recorded as suggestions (e.g. splitting a paragraph or
+ * changing formatting) are refused while the suggestion mode is enabled.
+ *
+ * @public
+ * @param {object} opts
+ * @param {any} opts.user The user that is attributed to the suggestions
+ * @param {boolean} [opts.enabled] Whether the suggestion mode is initially enabled. Use `toggleSuggestionMode` to switch it
+ * @param {string} [opts.markName] The name of the suggestion mark in the schema (see `suggestionMarkSpec`)
+ * @return {Plugin<SuggestionPluginState>}
+ */
+export const ySuggestionPlugin = ({ user, enabled = false, markName = 'suggestion' }) => new Plugin({
+  key: ySuggestionPluginKey,
+  state: {
+    init: () => ({ enabled, user, markName }),
+    apply: (tr, pluginState) => {
+      const change = tr.getMeta(ySuggestionPluginKey)
+      return change !== undefined && change.enabled != null && change.enabled !== pluginState.enabled
+        ? object.assign({}, pluginState, { enabled: change.enabled })
+        : pluginState
+    }
+  },
+  filterTransaction: (tr, state) => {
+    const suggestionState = ySuggestionPluginKey.getState(state)
+    const markType = state.schema.marks[markName]
+    return !suggestionState?.enabled || markType === undefined || !isLocalChange(tr) || isTrackable(tr, markType, suggestionState.user)
+  },
+  appendTransaction: (trs, oldState, newState) => {
+    const suggestionState = ySuggestionPluginKey.getState(newState)
+    const markType = newState.schema.marks[markName]
+    if (!suggestionState?.enabled || markType === undefined) {
+      return null
+    }
+    return trackChanges(trs, oldState, newState, markType, suggestionState.user)
+  }
+})
@@ -7,39 +7,386 @@ import * as PModel from 'prosemirror-model'
 import { AllSelection, Plugin, TextSelection, NodeSelection } from "prosemirror-state"; // eslint-disable-line
 import * as math from 'lib0/math'
 import * as object from 'lib0/object'
+import * as array from 'lib0/array'
 import * as set from 'lib0/set'
-import { simpleDiff } from 'lib0/diff'
 import * as error from 'lib0/error'
+import { ReplaceStep, Transform } from 'prosemirror-transform'
 import { ySyncPluginKey, yUndoPluginKey } from './keys.js'
 import * as Y from 'yjs'
 import {
   absolutePositionToRelativePosition,
   relativePositionToAbsolutePosition
 } from '../lib.js'
-import * as random from 'lib0/random'
+import { collectChanges, summarizeChanges } from './changes.js'
 import * as environment from 'lib0/environment'
 import * as dom from 'lib0/dom'
 import * as eventloop from 'lib0/eventloop'
 import * as map from 'lib0/map'
 import * as utils from '../utils.js'
+import { collectMovedElement, collectMovedText, collectMoveSource, createMoveCollector, createMoveForwarder, defaultMoveExpiry, findMovedChildren, getMoveMap, recordMoves } from '../moves.js'
 import * as f from 'lib0/function'
 
+/**
+ * How content that doesn't match the schema is handled.
+ *
+ * - 'delete' deletes the content from the Yjs document (default)
+ * - 'repair' tries to fix the content (strip disallowed marks, fill or wrap content) and falls
+ *   back to 'placeholder' or 'skip'
+ * - 'placeholder' renders a placeholder node instead (see `placeholderNode`) and falls back to 'skip'
+ * - 'skip' doesn't render the content, but retains it in the Yjs document
+ *
+ * Text is never skipped. Unless the policy is 'delete', text is rendered without unknown marks.
+ * Elements of unknown node types are always rendered as placeholders if `placeholderNode` is set,
+ * so that node types can be added to the schema without deleting them on older clients. Elements
+ * in inline content are rendered with `inlinePlaceholderNode` instead.
+ *
+ * @typedef {'delete'|'repair'|'placeholder'|'skip'} InvalidContentPolicy
+ */
+
+/**
+ * @typedef {Object} InvalidContentEvent
+ * @property {Y.XmlElement|Y.XmlText|Y.XmlHook} InvalidContentEvent.type The Yjs type that couldn't be rendered
+ * @property {Error} InvalidContentEvent.error
+ * @property {'delete'|'repair'|'placeholder'|'skip'} InvalidContentEvent.resolution
+ */
+
+/**
+ * @typedef {Object} InvalidContentOpts
+ * @property {InvalidContentPolicy} [InvalidContentOpts.invalidContent]
+ * @property {string|null} [InvalidContentOpts.placeholderNode] Name of the node type that is rendered for invalid content.
+ *   If the node type has a `nodeName` attribute, it is set to the name of the Yjs element. If it has a `serialized`
+ *   attribute, it is set to the serialized Yjs element (see `placeholderNodeSpec`).
+ * @property {string|null} [InvalidContentOpts.inlinePlaceholderNode] Name of the node type that is rendered for invalid
+ *   content in textblocks (see `inlinePlaceholderNodeSpec`).
+ * @property {function(InvalidContentEvent):void} [InvalidContentOpts.onInvalidContent]
+ */
+
 /**
  * @typedef {Object} BindingMetadata
  * @property {ProsemirrorMapping} BindingMetadata.mapping
  * @property {Map<import('prosemirror-model').MarkType, boolean>} BindingMetadata.isOMark - is overlapping mark
+ * @property {InvalidContentPolicy} [BindingMetadata.invalidContent]
+ * @property {string|null} [BindingMetadata.placeholderNode]
+ * @property {string|null} [BindingMetadata.inlinePlaceholderNode]
+ * @property {function(InvalidContentEvent):void} [BindingMetadata.onInvalidContent]
+ * @property {boolean} [BindingMetadata.mutableNodeTypes]
+ * @property {StructuredAttributes} [BindingMetadata.structuredAttributes]
+ * @property {NodeAdapters} [BindingMetadata.nodeAdapters]
+ * @property {import('../moves.js').MoveCollector|null} [BindingMetadata.moves] Collects moved texts while the
+ *   Yjs type is updated
  */
 
 /**
+ * @typedef {InvalidContentOpts & { mutableNodeTypes?: boolean, structuredAttributes?: StructuredAttributes, nodeAdapters?: NodeAdapters, trackMoves?: boolean, moveExpiry?: number }} BindingOpts
+ */
+
+/**
+ * @param {BindingOpts} [opts]
  * @return {BindingMetadata}
  */
-export const createEmptyMeta = () => ({
+export const createEmptyMeta = ({ invalidContent = 'delete', placeholderNode = null, inlinePlaceholderNode = null, onInvalidContent, mutableNodeTypes = false, structuredAttributes = {}, nodeAdapters = {} } = {}) => ({
   mapping: new Map(),
-  isOMark: new Map()
+  isOMark: new Map(),
+  invalidContent,
+  placeholderNode,
+  inlinePlaceholderNode,
+  onInvalidContent,
+  mutableNodeTypes,
+  structuredAttributes,
+  nodeAdapters
 })
 
 export const MarkPrefix = '_mark_'
 
+/**
+ * The attribute of a Yjs element that overrides its `nodeName`. Y.XmlElement names can't be
+ * changed, so with the `mutableNodeTypes` option a block that changes its type (e.g. from a
+ * paragraph to a heading) keeps its Yjs element and stores the new type in this attribute.
+ */
+export const NodeTypeAttribute = '_nodeType'
+
+/**
+ * The name of the node type that a Yjs element represents.
+ *
+ * @param {Y.XmlElement} el
+ * @param {Y.Snapshot} [snapshot]
+ * @return {string}
+ */
+export const getNodeName = (el, snapshot) => {
+  const nodeType = snapshot === undefined ? el.getAttribute(NodeTypeAttribute) : el.getAttributes(snapshot)[NodeTypeAttribute]
+  return typeof nodeType === 'string' ? nodeType : el.nodeName
+}
+
+/**
+ * Structured attributes (see the `structuredAttributes` option) are stored as nested Y.Map and
+ * Y.Array, so that concurrent changes of different fields merge.
+ *
+ * @typedef {Object<string, Array<string>>} StructuredAttributes The names of the structured attributes of each node type
+ */
+
+/**
+ * @param {any} value
+ * @param {Y.Snapshot} [snapshot] If supplied, the content of a structured attribute is read at the snapshot
+ * @return {any} The plain value of an attribute
+ */
+export const attributeToJSON = (value, snapshot) => {
+  if (snapshot !== undefined && value instanceof Y.Map) {
+    const entries = Y.typeMapGetAllSnapshot(value, snapshot)
+    for (const key in entries) {
+      entries[key] = attributeToJSON(entries[key], snapshot)
+    }
+    return entries
+  } else if (snapshot !== undefined && value instanceof Y.Array) {
+    return Y.typeListToArraySnapshot(value, snapshot).map(v => attributeToJSON(v, snapshot))
+  }
+  return value instanceof Y.AbstractType ? value.toJSON() : value
+}
+
+/**
+ * The attributes of a Yjs element with structured attributes converted to plain values. When a
+ * snapshot is supplied, the fields of structured attributes are read at the snapshot as well.
+ *
+ * @param {Y.XmlElement} el
+ * @param {Y.Snapshot} [snapshot]
+ * @return {Object<string,any>}
+ */
+export const getPlainAttributes = (el, snapshot) => {
+  const attrs = el.getAttributes(snapshot)
+  for (const key in attrs) {
+    attrs[key] = attributeToJSON(attrs[key], snapshot)
+  }
+  return attrs
+}
+
+/**
+ * @param {BindingMetadata} meta
+ * @param {string} nodeName
+ * @param {string} key
+ * @return {boolean}
+ */
+const isStructuredAttribute = (meta, nodeName, key) =>
+  meta.structuredAttributes != null && (meta.structuredAttributes[nodeName] || []).includes(key)
+
+/**
+ * @param {any} value
+ * @return {boolean}
+ */
+const isPlainObject = (value) => isObject(value) && !array.isArray(value)
+
+/**
+ * Create the Yjs representation of a structured attribute. Objects are stored as Y.Map and arrays
+ * as Y.Array.
+ *
+ * @param {any} value
+ * @return {any}
+ */
+const createStructuredValue = (value) => {
+  if (array.isArray(value)) {
+    const yarray = new Y.Array()
+    yarray.insert(0, value.map(createStructuredValue))
+    return yarray
+  }
+  if (isPlainObject(value)) {
+    const ymap = new Y.Map()
+    object.forEach(value, (val, key) => {
+      ymap.set(key, createStructuredValue(val))
+    })
+    return ymap
+  }
+  return value
+}
+
+/**
+ * Update a structured attribute so that it matches `value`. Only the changed fields and items are
+ * written.
+ *
+ * @param {Y.AbstractType<any>} ytype
+ * @param {any} value
+ * @return {boolean} Whether the type could be updated. Otherwise, it must be replaced.
+ */
+const updateStructuredValue = (ytype, value) => {
+  if (ytype instanceof Y.Map && isPlainObject(value)) {
+    Array.from(ytype.keys()).forEach(key => {
+      if (!object.hasProperty(value, key)) {
+        ytype.delete(key)
+      }
+    })
+    object.forEach(value, (val, key) => {
+      const current = ytype.get(key)
+      if (
+        !(current instanceof Y.AbstractType && updateStructuredValue(current, val)) &&
+        !f.equalityDeep(attributeToJSON(current), val)
+      ) {
+        ytype.set(key, createStructuredValue(val))
+      }
+    })
+    return true
+  }
+  if (ytype instanceof Y.Array && array.isArray(value)) {
+    const current = ytype.toArray()
+    let start = 0
+    while (start < current.length && start < value.length && f.equalityDeep(attributeToJSON(current[start]), value[start])) {
+      start++
+    }
+    let end = 0
+    while (
+      end < current.length - start && end < value.length - start &&
+      f.equalityDeep(attributeToJSON(current[current.length - end - 1]), value[value.length - end - 1])
+    ) {
+      end++
+    }
+    // update changed items in place, then replace the remaining range
+    while (start < current.length - end && start < value.length - end) {
+      const item = current[start]
+      if (!(item instanceof Y.AbstractType && updateStructuredValue(item, value[start]))) {
+        break
+      }
+      start++
+    }
+    if (start < current.length - end) {
+      ytype.delete(start, current.length - end - start)
+    }
+    if (start < value.length - end) {
+      ytype.insert(start, value.slice(start, value.length - end).map(createStructuredValue))
+    }
+    return true
+  }
+  return false
+}
+
+/**
+ * Stores a node type in a custom Yjs representation instead of a Y.XmlElement, e.g. a table as a
+ * Y.Array of Y.Map rows. The node is represented by a Y.XmlHook (a Y.Map) whose hook name is the
+ * name of the node type, and which contains the data of the adapter. The content of the node is
+ * not bound to Yjs otherwise, so positions in the node are mapped to the position of the node.
+ *
+ * @typedef {Object} NodeAdapter
+ * @property {function(PModel.Node):Y.XmlHook} NodeAdapter.create Create the Yjs type of a node
+ * @property {function(Y.XmlHook, PModel.Node):void} NodeAdapter.update Update the Yjs type so that it represents the
+ *   node. Only the changed data should be written, so that concurrent changes merge.
+ * @property {function(Y.XmlHook, PModel.Schema):PModel.Node} NodeAdapter.render Create the node from the Yjs type.
+ *   Throws if the data is invalid.
+ * @property {function(Y.XmlHook, PModel.Node):boolean} NodeAdapter.equal Whether the Yjs type represents the node
+ */
+
+/**
+ * @typedef {Object<string, NodeAdapter>} NodeAdapters The adapters of node types by the name of the node type
+ */
+
+/**
+ * @param {BindingMetadata} meta
+ * @param {string} nodeName
+ * @return {NodeAdapter|null}
+ */
+const getNodeAdapter = (meta, nodeName) =>
+  meta.nodeAdapters != null && object.hasProperty(meta.nodeAdapters, nodeName) ? meta.nodeAdapters[nodeName] : null
+
+/**
+ * The adapter that updates a Yjs type to represent a ProseMirror node.
+ *
+ * @param {Y.AbstractType<any>} ytype
+ * @param {PModel.Node|Array<PModel.Node>} pnode
+ * @param {BindingMetadata} meta
+ * @return {NodeAdapter|null} null if the type is not a node of the same type with a custom representation
+ */
+const matchNodeAdapter = (ytype, pnode, meta) =>
+  ytype instanceof Y.XmlHook && !(pnode instanceof Array) && ytype.hookName === pnode.type.name
+    ? getNodeAdapter(meta, ytype.hookName)
+    : null
+
+/**
+ * Node spec for opaque placeholder nodes that represent Yjs elements which can't be rendered with
+ * the current schema. Add it to the schema and set the `placeholderNode` option to its name.
+ *
+ * The placeholder holds the serialized Yjs element. The Yjs element is retained when editing around
+ * the placeholder and recreated from the serialized content when the placeholder is copied.
+ *
+ * @type {PModel.NodeSpec}
+ */
+export const placeholderNodeSpec = {
+  group: 'block',
+  atom: true,
+  selectable: true,
+  attrs: {
+    nodeName: { default: null },
+    serialized: { default: null }
+  },
+  parseDOM: [{
+    tag: 'div[data-y-placeholder]',
+    getAttrs: (/** @type {any} */ dom) => ({
+      nodeName: dom.getAttribute('data-y-placeholder'),
+      serialized: JSON.parse(dom.getAttribute('data-serialized') || 'null')
+    })
+  }],
+  toDOM: node => ['div', {
+    'data-y-placeholder': node.attrs.nodeName,
+    'data-serialized': JSON.stringify(node.attrs.serialized)
+  }]
+}
+
+/**
+ * Node spec for placeholders of inline content, e.g. of an inline node type that doesn't exist in
+ * the current schema. Add it to the schema and set the `inlinePlaceholderNode` option to its name.
+ *
+ * @type {PModel.NodeSpec}
+ */
+export const inlinePlaceholderNodeSpec = {
+  ...placeholderNodeSpec,
+  group: 'inline',
+  inline: true,
+  parseDOM: [{
+    tag: 'span[data-y-placeholder]',
+    getAttrs: (/** @type {any} */ dom) => ({
+      nodeName: dom.getAttribute('data-y-placeholder'),
+      serialized: JSON.parse(dom.getAttribute('data-serialized') || 'null')
+    })
+  }],
+  toDOM: node => ['span', {
+    'data-y-placeholder': node.attrs.nodeName,
+    'data-serialized': JSON.stringify(node.attrs.serialized)
+  }]
+}
+
+/**
+ * @typedef {{ nodeName: string, attrs: Object<string,any>, children: Array<SerializedYType> } | { delta: Array<any> }} SerializedYType
+ */
+
+/**
+ * @param {Y.XmlElement|Y.XmlText} type
+ * @return {SerializedYType}
+ */
+export const serializeYType = type => type instanceof Y.XmlElement
+  ? { nodeName: type.nodeName, attrs: getPlainAttributes(type), children: type.toArray().map(child => serializeYType(/** @type {Y.XmlElement|Y.XmlText} */ (child))) }
+  : { delta: type.toDelta() }
+
+/**
+ * @param {SerializedYType} serialized
+ * @return {Y.XmlElement|Y.XmlText}
+ */
+export const deserializeYType = serialized => {
+  if ('delta' in serialized) {
+    const text = new Y.XmlText()
+    text.applyDelta(serialized.delta)
+    return text
+  }
+  const el = new Y.XmlElement(serialized.nodeName)
+  for (const key in serialized.attrs) {
+    el.setAttribute(key, serialized.attrs[key])
+  }
+  el.insert(0, serialized.children.map(deserializeYType))
+  return el
+}
+
+/**
+ * @param {any} pnode
+ * @param {BindingMetadata} meta
+ * @return {boolean}
+ */
+const isPlaceholderNode = (pnode, meta) =>
+  !(pnode instanceof Array) &&
+  (pnode.type.name === meta.placeholderNode || pnode.type.name === meta.inlinePlaceholderNode) &&
+  pnode.attrs.serialized != null
+
 /**
  * @param {Y.Item} item
  * @param {Y.Snapshot} [snapshot]
@@ -52,8 +399,9 @@ export const isVisible = (item, snapshot) =>
       !Y.isDeleted(snapshot.ds, item.id))
 
 /**
- * Either a node if type is YXmlElement or an Array of text nodes if YXmlText
- * @typedef {Map<Y.AbstractType<any>, PModel.Node | Array<PModel.Node>>} ProsemirrorMapping
+ * Either a node if type is YXmlElement or an Array of text nodes if YXmlText. Is null if the type is
+ * invalid and was skipped.
+ * @typedef {Map<Y.AbstractType<any>, PModel.Node | Array<PModel.Node> | null>} ProsemirrorMapping
  */
 
 /**
@@ -65,11 +413,37 @@ export const isVisible = (item, snapshot) =>
 /**
  * @typedef {Object} YSyncOpts
  * @property {Array<ColorDef>} [YSyncOpts.colors]
- * @property {Map<string,ColorDef>} [YSyncOpts.colorMapping]
+ * @property {ColorMapping} [YSyncOpts.colorMapping] The colors of the users (see `assignUserColor`)
  * @property {Y.PermanentUserData|null} [YSyncOpts.permanentUserData]
+ * @property {import('../attribution.js').AttributionStore|null} [YSyncOpts.attributionStore] Used to compute the
+ *   `timestamp` of changes
  * @property {ProsemirrorMapping} [YSyncOpts.mapping]
  * @property {function} [YSyncOpts.onFirstRender] Fired when the content from Yjs is initially rendered to ProseMirror
+ * @property {'diff'|'steps'} [YSyncOpts.syncMode] How local changes are written to Yjs. 'diff' (default) compares the
+ *   whole document with the Yjs type. 'steps' translates the steps of each transaction to targeted Yjs operations and
+ *   only falls back to diffing when a step can't be translated.
+ * @property {InvalidContentPolicy} [YSyncOpts.invalidContent] How content that doesn't match the schema is handled
+ * @property {string|null} [YSyncOpts.placeholderNode] Node type that is rendered for invalid content
+ * @property {string|null} [YSyncOpts.inlinePlaceholderNode] Node type that is rendered for invalid inline content
+ * @property {function(InvalidContentEvent):void} [YSyncOpts.onInvalidContent] Fired when content doesn't match the schema
+ * @property {boolean} [YSyncOpts.mutableNodeTypes] Keep the Yjs element of a block when its type changes, so that the
+ *   change merges with concurrent edits of its content (see `NodeTypeAttribute`). Clients of older versions render such
+ *   blocks with their original type.
+ * @property {StructuredAttributes} [YSyncOpts.structuredAttributes] Object- and array-valued attributes that are stored
+ *   as nested Y.Map and Y.Array, so that concurrent changes of different fields merge, e.g.
+ *   `{ table_cell: ['colwidth'] }`. Other clients render them without the option, but replace them as a whole.
+ * @property {NodeAdapters} [YSyncOpts.nodeAdapters] Node types that are stored in a custom Yjs representation (see
+ *   `NodeAdapter`). Must be the same on all clients, other clients don't render these nodes.
+ * @property {boolean} [YSyncOpts.trackMoves] Record moved blocks (see `getMoveMap`) and forward concurrent changes to
+ *   the moved content, so that they are not lost. Should be enabled on all clients.
+ * @property {number} [YSyncOpts.moveExpiry] The time in milliseconds after which recorded moves are removed (see
+ *   `defaultMoveExpiry`)
+ */
+
+/**
+ * The transaction origin of changes that are reverted with `revertChange`.
  */
+export const revertChangeOrigin = 'y-prosemirror-revert-change'
 
 /**
  * @type {Array<ColorDef>}
@@ -77,28 +451,107 @@ export const isVisible = (item, snapshot) =>
 const defaultColors = [{ light: '#ecd44433', dark: '#ecd444' }]
 
 /**
- * @param {Map<string,ColorDef>} colorMapping
+ * Assigns colors to users (see `assignUserColor`). Use a shared `Y.Map` (e.g.
+ * `getColorMapping(ydoc)`) so that all clients agree on the colors. A `Map` only lives on the
+ * current client. The keys are computed with `getUserColorKey`.
+ *
+ * @typedef {Map<string,ColorDef>|Y.Map<ColorDef>} ColorMapping
+ */
+
+/**
+ * The shared color mapping of a document.
+ *
+ * @param {Y.Doc} doc
+ * @return {Y.Map<ColorDef>}
+ */
+export const getColorMapping = (doc) => doc.getMap('colors')
+
+/**
+ * A stable key of a user. Users that aren't strings (e.g. objects of the PermanentUserData or
+ * client ids) are identified by their JSON representation.
+ *
+ * @param {any} user
+ * @return {string}
+ */
+export const getUserColorKey = user => typeof user === 'string' ? user : JSON.stringify(user ?? null)
+
+/**
+ * @param {ColorDef} a
+ * @param {ColorDef} b
+ */
+const isSameColor = (a, b) => a.light === b.light && a.dark === b.dark
+
+/**
+ * Get the color of a user. This doesn't change the color mapping, so it is safe to call while
+ * rendering. Users without an assigned color get a color that is computed from the hash of their
+ * key, which is the same on all clients.
+ *
+ * @param {ColorMapping} colorMapping
+ * @param {Array<ColorDef>} colors
+ * @param {any} user
+ * @return {ColorDef}
+ */
+export const getUserColor = (colorMapping, colors, user) => {
+  const key = getUserColorKey(user)
+  return colorMapping.get(key) ?? colors[utils.intHashOfJSON(key) % colors.length]
+}
+
+/**
+ * Assign a color to a user and store it in the color mapping. A new user gets the least used color
+ * of the palette, so no color is used twice until all colors are taken. Ties are resolved by
+ * hashing the user, so the colors don't depend on the client that assigns them.
+ *
+ * Call this for the local user when joining the document, and again when the color mapping
+ * changes (e.g. in an observer of the shared `Y.Map`). Users that were assigned the same color
+ * concurrently keep it only if it is the best choice left; otherwise, the user with the greater
+ * key moves to another color, which resolves the conflict on all clients in the same way.
+ *
+ * @param {ColorMapping} colorMapping
  * @param {Array<ColorDef>} colors
- * @param {string} user
+ * @param {any} user
  * @return {ColorDef}
  */
-const getUserColor = (colorMapping, colors, user) => {
-  // @todo do not hit the same color twice if possible
-  if (!colorMapping.has(user)) {
-    if (colorMapping.size < colors.length) {
-      const usedColors = set.create()
-      colorMapping.forEach((color) => usedColors.add(color))
-      colors = colors.filter((color) => !usedColors.has(color))
+export const assignUserColor = (colorMapping, colors, user) => {
+  const key = getUserColorKey(user)
+  const current = colorMapping.get(key)
+  // how often each color is used by the other users
+  const usage = colors.map(() => 0)
+  let conflict = false
+  colorMapping.forEach((used, otherKey) => {
+    if (otherKey === key) {
+      return
+    }
+    const index = colors.findIndex(c => isSameColor(c, used))
+    if (index >= 0) {
+      usage[index]++
+    }
+    conflict = conflict || (current !== undefined && isSameColor(current, used) && otherKey < key)
+  })
+  const minUsage = usage.reduce((a, b) => math.min(a, b))
+  const currentIndex = current !== undefined ? colors.findIndex(c => isSameColor(c, current)) : -1
+  if (current !== undefined && (currentIndex < 0 || !conflict || usage[currentIndex] === minUsage)) {
+    // colors that are not in the palette were chosen explicitly
+    return /** @type {ColorDef} */ (current)
+  }
+  const start = utils.intHashOfJSON(key) % colors.length
+  let color = colors[start]
+  for (let i = 0; i < colors.length; i++) {
+    const index = (start + i) % colors.length
+    if (usage[index] === minUsage) {
+      color = colors[index]
+      break
     }
-    colorMapping.set(user, random.oneOf(colors))
   }
-  return /** @type {ColorDef} */ (colorMapping.get(user))
+  colorMapping.set(key, color)
+  return color
 }
 
 /**
  * This plugin listens to changes in prosemirror view and keeps yXmlState and view in sync.
  *
  * This plugin also keeps references to the type and the shared document so other plugins can access it.
+ * It doesn't migrate content, because it may render the fragment before it was synced. Call
+ * `migrateYXmlFragment` after the fragment was synced, the migrated content is rendered like any other change.
  * @param {Y.XmlFragment} yXmlFragment
  * @param {YSyncOpts} opts
  * @return {any} Returns a prosemirror plugin that binds to this type
@@ -107,11 +560,22 @@ export const ySyncPlugin = (yXmlFragment, {
   colors = defaultColors,
   colorMapping = new Map(),
   permanentUserData = null,
+  attributionStore = null,
   onFirstRender = () => {},
-  mapping
+  mapping,
+  syncMode = 'diff',
+  invalidContent = 'delete',
+  placeholderNode = null,
+  inlinePlaceholderNode = null,
+  onInvalidContent,
+  mutableNodeTypes = false,
+  structuredAttributes = {},
+  nodeAdapters = {},
+  trackMoves = false,
+  moveExpiry = defaultMoveExpiry
 } = {}) => {
   let initialContentChanged = false
-  const binding = new ProsemirrorBinding(yXmlFragment, mapping)
+  const binding = new ProsemirrorBinding(yXmlFragment, mapping, { invalidContent, placeholderNode, inlinePlaceholderNode, onInvalidContent, mutableNodeTypes, structuredAttributes, nodeAdapters, trackMoves, moveExpiry })
   const plugin = new Plugin({
     props: {
       editable: (state) => {
@@ -136,7 +600,10 @@ export const ySyncPlugin = (yXmlFragment, {
           addToHistory: true,
           colors,
           colorMapping,
-          permanentUserData
+          permanentUserData,
+          attributionStore,
+          changes: [],
+          changeSummary: []
         }
       },
       apply: (tr, pluginState) => {
@@ -152,6 +619,14 @@ export const ySyncPlugin = (yXmlFragment, {
         pluginState.isChangeOrigin = change !== undefined &&
           !!change.isChangeOrigin
         pluginState.isUndoRedoOperation = change !== undefined && !!change.isChangeOrigin && !!change.isUndoRedoOperation
+        if (syncMode === 'steps' && tr.docChanged) {
+          binding._recordTransaction(tr, pluginState.isChangeOrigin)
+        }
+        if (tr.docChanged && (pluginState.changes.length > 0 || pluginState.snapshot != null || pluginState.prevSnapshot != null)) {
+          // collect the changes of the rendered snapshot
+          pluginState.changes = pluginState.snapshot != null || pluginState.prevSnapshot != null ? collectChanges(tr.doc) : []
+          pluginState.changeSummary = summarizeChanges(pluginState.changes)
+        }
         if (binding.prosemirrorView !== null) {
           if (
             change !== undefined &&
@@ -229,11 +704,20 @@ export const ySyncPlugin = (yXmlFragment, {
               binding.mux(() => {
                 /** @type {Y.Doc} */ (pluginState.doc).transact((tr) => {
                   tr.meta.set('addToHistory', pluginState.addToHistory)
-                  binding._prosemirrorChanged(view.state.doc)
+                  binding._prosemirrorChanged(
+                    view.state.doc,
+                    syncMode === 'steps' ? binding._takePendingSteps(view.state.doc, true) : null
+                  )
                 }, ySyncPluginKey)
               })
+              return
             }
           }
+          if (syncMode === 'steps') {
+            binding.mux(() => {
+              binding._takePendingSteps(view.state.doc, false)
+            })
+          }
         },
         destroy: () => {
           binding.destroy()
@@ -309,8 +793,9 @@ export class ProsemirrorBinding {
   /**
    * @param {Y.XmlFragment} yXmlFragment The bind source
    * @param {ProsemirrorMapping} mapping
+   * @param {BindingOpts} [opts]
    */
-  constructor (yXmlFragment, mapping = new Map()) {
+  constructor (yXmlFragment, mapping = new Map(), { invalidContent = 'delete', placeholderNode = null, inlinePlaceholderNode = null, onInvalidContent, mutableNodeTypes = false, structuredAttributes = {}, nodeAdapters = {}, trackMoves = false, moveExpiry = defaultMoveExpiry } = {}) {
     this.type = yXmlFragment
     /**
      * this will be set once the view is created
@@ -325,12 +810,29 @@ export class ProsemirrorBinding {
      * @type {Map<import('prosemirror-model').MarkType, boolean>}
      */
     this.isOMark = new Map()
+    /**
+     * @type {InvalidContentPolicy}
+     */
+    this.invalidContent = invalidContent
+    this.placeholderNode = placeholderNode
+    this.inlinePlaceholderNode = inlinePlaceholderNode
+    this.onInvalidContent = onInvalidContent
+    this.mutableNodeTypes = mutableNodeTypes
+    this.structuredAttributes = structuredAttributes
+    this.nodeAdapters = nodeAdapters
+    this.trackMoves = trackMoves
+    this.moveExpiry = moveExpiry
+    /**
+     * @type {import('../moves.js').MoveCollector|null}
+     */
+    this.moves = null
     this._observeFunction = this._typeChanged.bind(this)
     /**
      * @type {Y.Doc}
      */
     // @ts-ignore
     this.doc = yXmlFragment.doc
+    this._forwardMoves = createMoveForwarder(this.doc)
     /**
      * current selection as relative positions in the Yjs model
      */
@@ -347,6 +849,25 @@ export class ProsemirrorBinding {
       this.beforeTransactionSelection = null
     }
     this._domSelectionInView = null
+    /**
+     * Steps of local transactions that were not written to Yjs yet. Is null if the recorded steps
+     * can't be used to update Yjs.
+     *
+     * @type {Array<StepRecord>|null}
+     */
+    this._pendingSteps = []
+    /**
+     * The ProseMirror document that the Yjs type represents before the pending steps are applied.
+     *
+     * @type {PModel.Node|null}
+     */
+    this._stepsBaseDoc = null
+    /**
+     * Maps the Yjs types to the nodes of the rendered snapshot.
+     *
+     * @type {ProsemirrorMapping}
+     */
+    this._snapshotMapping = new Map()
   }
 
   /**
@@ -433,6 +954,42 @@ export class ProsemirrorBinding {
     })
   }
 
+  /**
+   * Revert a change of the rendered snapshot in the Yjs document. Removed content is inserted
+   * again, added content is deleted and attribute or formatting changes are set to their previous
+   * values. Call `unrenderSnapshot()` to see the result.
+   *
+   * @param {{ from: number, to: number }} change A range of the rendered snapshot, usually one of
+   *   `ySyncPluginKey.getState(state).changes`
+   * @return {boolean} Whether anything was reverted
+   */
+  revertChange (change) {
+    const { snapshot, prevSnapshot } = ySyncPluginKey.getState(this.prosemirrorView.state)
+    if (snapshot instanceof Uint8Array || prevSnapshot instanceof Uint8Array) {
+      throw error.create('Changes of snapshots that are rendered from updates can\'t be reverted')
+    }
+    if (prevSnapshot == null) {
+      return false
+    }
+    /**
+     * @type {Array<RevertOp>}
+     */
+    const ops = []
+    collectRevertOps(this.type, 0, change, ops, {
+      doc: this.prosemirrorView.state.doc,
+      mapping: this._snapshotMapping,
+      snapshot: snapshot || Y.snapshot(this.doc),
+      prevSnapshot
+    })
+    if (ops.length > 0) {
+      const meta = createEmptyMeta(this)
+      this.doc.transact(tr => {
+        ops.forEach(op => op(tr, meta))
+      }, revertChangeOrigin)
+    }
+    return ops.length > 0
+  }
+
   _forceRerender () {
     this.mapping.clear()
     this.mux(() => {
@@ -476,115 +1033,36 @@ export class ProsemirrorBinding {
    * @param {Object} pluginState
    */
   _renderSnapshot (snapshot, prevSnapshot, pluginState) {
-    /**
-     * The document that contains the full history of this document.
-     * @type {Y.Doc}
-     */
-    let historyDoc = this.doc
-    let historyType = this.type
     if (!snapshot) {
       snapshot = Y.snapshot(this.doc)
     }
-    if (snapshot instanceof Uint8Array || prevSnapshot instanceof Uint8Array) {
-      if (!(snapshot instanceof Uint8Array) || !(prevSnapshot instanceof Uint8Array)) {
-        // expected both snapshots to be v2 updates
-        error.unexpectedCase()
-      }
-      historyDoc = new Y.Doc({ gc: false })
-      Y.applyUpdateV2(historyDoc, prevSnapshot)
-      prevSnapshot = Y.snapshot(historyDoc)
-      Y.applyUpdateV2(historyDoc, snapshot)
-      snapshot = Y.snapshot(historyDoc)
-      if (historyType._item === null) {
-        /**
-         * If is a root type, we need to find the root key in the initial document
-         * and use it to get the history type.
-         */
-        const rootKey = Array.from(this.doc.share.keys()).find(
-          (key) => this.doc.share.get(key) === this.type
-        )
-        historyType = historyDoc.getXmlFragment(rootKey)
-      } else {
-        /**
-         * If it is a sub type, we use the item id to find the history type.
-         */
-        const historyStructs =
-          historyDoc.store.clients.get(historyType._item.id.client) ?? []
-        const itemIndex = Y.findIndexSS(
-          historyStructs,
-          historyType._item.id.clock
-        )
-        const item = /** @type {Y.Item} */ (historyStructs[itemIndex])
-        const content = /** @type {Y.ContentType} */ (item.content)
-        historyType = /** @type {Y.XmlFragment} */ (content.type)
-      }
-    }
     // clear mapping because we are going to rerender
     this.mapping.clear()
+    const meta = createEmptyMeta(this)
+    this._snapshotMapping = meta.mapping
     this.mux(() => {
-      historyDoc.transact((transaction) => {
-        // before rendering, we are going to sanitize ops and split deleted ops
-        // if they were deleted by seperate users.
-        /**
-         * @type {Y.PermanentUserData}
-         */
-        const pud = pluginState.permanentUserData
-        if (pud) {
-          pud.dss.forEach((ds) => {
-            Y.iterateDeletedStructs(transaction, ds, (_item) => {})
-          })
-        }
-        /**
-         * @param {'removed'|'added'} type
-         * @param {Y.ID} id
-         */
-        const computeYChange = (type, id) => {
-          const user = type === 'added'
-            ? pud.getUserByClientId(id.client)
-            : pud.getUserByDeletedId(id)
-          return {
-            user,
-            type,
-            color: getUserColor(
-              pluginState.colorMapping,
-              pluginState.colors,
-              user
-            )
-          }
+      const fragmentContent = createSnapshotDiffContent(
+        this.type,
+        this.prosemirrorView.state.schema,
+        snapshot,
+        prevSnapshot,
+        {
+          permanentUserData: pluginState.permanentUserData,
+          attributionStore: pluginState.attributionStore,
+          colors: pluginState.colors,
+          colorMapping: pluginState.colorMapping,
+          meta
         }
-        // Create document fragment and render
-        const fragmentContent = Y.typeListToArraySnapshot(
-          historyType,
-          new Y.Snapshot(prevSnapshot.ds, snapshot.sv)
-        ).map((t) => {
-          if (
-            !t._item.deleted || isVisible(t._item, snapshot) ||
-            isVisible(t._item, prevSnapshot)
-          ) {
-            return createNodeFromYElement(
-              t,
-              this.prosemirrorView.state.schema,
-              { mapping: new Map(), isOMark: new Map() },
-              snapshot,
-              prevSnapshot,
-              computeYChange
-            )
-          } else {
-            // No need to render elements that are not visible by either snapshot.
-            // If a client adds and deletes content in the same snapshot the element is not visible by either snapshot.
-            return null
-          }
-        }).filter((n) => n !== null)
-        // @ts-ignore
-        const tr = this._tr.replace(
-          0,
-          this.prosemirrorView.state.doc.content.size,
-          new PModel.Slice(PModel.Fragment.from(fragmentContent), 0, 0)
-        )
-        this.prosemirrorView.dispatch(
-          tr.setMeta(ySyncPluginKey, { isChangeOrigin: true })
-        )
-      }, ySyncPluginKey)
+      )
+      // @ts-ignore
+      const tr = this._tr.replace(
+        0,
+        this.prosemirrorView.state.doc.content.size,
+        new PModel.Slice(PModel.Fragment.from(fragmentContent), 0, 0)
+      )
+      this.prosemirrorView.dispatch(
+        tr.setMeta(ySyncPluginKey, { isChangeOrigin: true })
+      )
     })
   }
 
@@ -604,36 +1082,7 @@ export class ProsemirrorBinding {
       return
     }
     this.mux(() => {
-      /**
-       * @param {any} _
-       * @param {Y.AbstractType<any>} type
-       */
-      const delType = (_, type) => this.mapping.delete(type)
-      Y.iterateDeletedStructs(
-        transaction,
-        transaction.deleteSet,
-        (struct) => {
-          if (struct.constructor === Y.Item) {
-            const type = /** @type {Y.ContentType} */ (/** @type {Y.Item} */ (struct).content).type
-            type && this.mapping.delete(type)
-          }
-        }
-      )
-      transaction.changed.forEach(delType)
-      transaction.changedParentTypes.forEach(delType)
-      const fragmentContent = this.type.toArray().map((t) =>
-        createNodeIfNotExists(
-          /** @type {Y.XmlElement | Y.XmlHook} */ (t),
-          this.prosemirrorView.state.schema,
-          this
-        )
-      ).filter((n) => n !== null)
-      // @ts-ignore
-      let tr = this._tr.replace(
-        0,
-        this.prosemirrorView.state.doc.content.size,
-        new PModel.Slice(PModel.Fragment.from(fragmentContent), 0, 0)
-      )
+      let tr = updatePDocFromYTransaction(this.type, transaction, () => this._tr, this)
       restoreRelativeSelection(tr, this.beforeTransactionSelection, this)
       tr = tr.setMeta(ySyncPluginKey, { isChangeOrigin: true, isUndoRedoOperation: transaction.origin instanceof Y.UndoManager })
       if (
@@ -646,20 +1095,71 @@ export class ProsemirrorBinding {
   }
 
   /**
-   * @param {import('prosemirror-model').Node} doc
+   * @param {import('prosemirror-state').Transaction} tr
+   * @param {boolean} isChangeOrigin Whether the transaction was created by this binding
    */
-  _prosemirrorChanged (doc) {
-    this.doc.transact(() => {
-      updateYFragment(this.doc, this.type, doc, this)
-      this.beforeTransactionSelection = getRelativeSelection(
-        this,
-        this.prosemirrorView.state
-      )
-    }, ySyncPluginKey)
+  _recordTransaction (tr, isChangeOrigin) {
+    if (isChangeOrigin) {
+      // the Yjs type already contains this change
+      if (this._pendingSteps !== null && this._pendingSteps.length === 0) {
+        this._stepsBaseDoc = tr.doc
+      } else {
+        this._pendingSteps = null
+      }
+    } else if (this._pendingSteps !== null) {
+      tr.steps.forEach((step, i) => {
+        /** @type {Array<StepRecord>} */ (this._pendingSteps).push({
+          step,
+          before: tr.docs[i],
+          after: i + 1 < tr.docs.length ? tr.docs[i + 1] : tr.doc
+        })
+      })
+    }
   }
 
   /**
-   * View is ready to listen to changes. Register observers.
+   * Retrieve the recorded steps that transform the last synced document into `doc`.
+   *
+   * @param {PModel.Node} doc
+   * @param {boolean} willSync Whether the caller is going to write `doc` to Yjs
+   * @return {Array<StepRecord>|null} null if the steps can't be used to sync `doc`
+   */
+  _takePendingSteps (doc, willSync) {
+    const steps = this._pendingSteps
+    const isValid = steps !== null && (
+      steps.length === 0
+        ? this._stepsBaseDoc === doc
+        : steps[0].before === this._stepsBaseDoc && steps[steps.length - 1].after === doc
+    )
+    this._pendingSteps = []
+    this._stepsBaseDoc = willSync ? doc : null
+    return isValid ? steps : null
+  }
+
+  /**
+   * @param {import('prosemirror-model').Node} doc
+   * @param {Array<StepRecord>|null} [steps] If supplied, the steps are translated to Yjs operations
+   *   instead of comparing the whole document.
+   */
+  _prosemirrorChanged (doc, steps = null) {
+    this.doc.transact((tr) => {
+      this.moves = this.trackMoves ? createMoveCollector() : null
+      if (steps === null || !updateYFragmentFromSteps(this.doc, this.type, steps, this)) {
+        updateYFragment(this.doc, this.type, doc, this)
+      }
+      if (this.moves !== null) {
+        recordMoves(tr, this.moves, getMoveMap(this.type), this.moveExpiry)
+        this.moves = null
+      }
+      this.beforeTransactionSelection = getRelativeSelection(
+        this,
+        this.prosemirrorView.state
+      )
+    }, ySyncPluginKey)
+  }
+
+  /**
+   * View is ready to listen to changes. Register observers.
    * @param {any} prosemirrorView
    */
   initView (prosemirrorView) {
@@ -668,17 +1168,865 @@ export class ProsemirrorBinding {
     this.doc.on('beforeAllTransactions', this.beforeAllTransactions)
     this.doc.on('afterAllTransactions', this.afterAllTransactions)
     this.type.observeDeep(this._observeFunction)
+    if (this.trackMoves) {
+      getMoveMap(this.type).observe(this._forwardMoves)
+    }
   }
 
   destroy () {
     if (this.prosemirrorView == null) return
     this.prosemirrorView = null
     this.type.unobserveDeep(this._observeFunction)
+    if (this.trackMoves) {
+      getMoveMap(this.type).unobserve(this._forwardMoves)
+    }
     this.doc.off('beforeAllTransactions', this.beforeAllTransactions)
     this.doc.off('afterAllTransactions', this.afterAllTransactions)
   }
 }
 
+/**
+ * Render the changes of a Yjs transaction to the ProseMirror document that `meta.mapping`
+ * describes. Only the subtrees that changed are rebuilt and replaced, so that the mapping of the
+ * returned transaction stays accurate for decorations and node views of other plugins.
+ *
+ * @param {Y.XmlFragment} type
+ * @param {Y.Transaction} transaction
+ * @param {function():import('prosemirror-state').Transaction} createTr Creates a transaction of the current state
+ * @param {BindingMetadata} meta
+ * @return {import('prosemirror-state').Transaction}
+ */
+export const updatePDocFromYTransaction = (type, transaction, createTr, meta) => {
+  const tr = createTr()
+  const collected = collectRenderOps(type, transaction, tr.doc, meta)
+  /**
+   * @param {any} _
+   * @param {Y.AbstractType<any>} type
+   */
+  const delType = (_, type) => meta.mapping.delete(type)
+  Y.iterateDeletedStructs(
+    transaction,
+    transaction.deleteSet,
+    (struct) => {
+      if (struct.constructor === Y.Item) {
+        const type = /** @type {Y.ContentType} */ (/** @type {Y.Item} */ (struct).content).type
+        type && meta.mapping.delete(type)
+      }
+    }
+  )
+  transaction.changed.forEach(delType)
+  transaction.changedParentTypes.forEach(delType)
+  if (collected === null) {
+    return rerenderYFragment(type, tr, createTr, meta)
+  }
+  const { ops, positions } = collected
+  // apply the changes from right to left so that the computed positions remain valid
+  ops.sort((a, b) => b.from - a.from).forEach(op => {
+    op.step = tr.steps.length
+    applyRenderOp(tr, op, meta)
+    op.endStep = tr.steps.length
+  })
+  // point the mapping to the nodes that are in the updated document
+  ops.forEach(op => {
+    // the operations that were applied later only changed content before op.from
+    let pos = tr.mapping.slice(op.endStep).map(tr.mapping.slice(op.step, op.endStep).map(op.from, -1))
+    const ytypes = /** @type {Array<Y.AbstractType<any>>} */ (op.ytypes !== null ? op.ytypes : [op.ytype])
+    ytypes.forEach(ytype => {
+      const rendered = /** @type {PModel.Node | null | undefined} */ (meta.mapping.get(ytype))
+      if (rendered == null) {
+        return
+      }
+      const child = tr.doc.nodeAt(pos)
+      if (child !== null && child !== rendered && child.eq(rendered)) {
+        meta.mapping.set(ytype, child)
+        if (ytype instanceof Y.XmlElement) {
+          remapChangedNodes(ytype, child, meta.mapping)
+        }
+      }
+      pos += rendered.nodeSize
+    })
+  })
+  // the ancestors of the rebuilt subtrees were only changed by steps inside of them
+  positions.forEach((pos, ytype) => {
+    if (!meta.mapping.has(ytype) && ops.every(op => op.ytype !== ytype)) {
+      const child = tr.doc.nodeAt(tr.mapping.map(pos))
+      child !== null && meta.mapping.set(ytype, child)
+    }
+  })
+  return tr
+}
+
+/**
+ * @typedef {Object} RenderOp
+ * @property {number} RenderOp.from Start of the replaced range in the document before the transaction
+ * @property {number} RenderOp.to End of the replaced range in the document before the transaction
+ * @property {Array<Y.AbstractType<any>>|null} RenderOp.ytypes The inserted children of the fragment that replace the
+ *   range, or null if `ytype` is rebuilt
+ * @property {Y.AbstractType<any>|null} RenderOp.ytype The changed element or hook that is rendered at `from`
+ * @property {PModel.Node|null} RenderOp.oldNode The node that `ytype` was rendered to
+ * @property {number} [RenderOp.step] The index of the first step of the operation
+ * @property {number} [RenderOp.endStep] The index of the first step after the operation
+ */
+
+/**
+ * @param {import('prosemirror-state').Transaction} tr
+ * @param {RenderOp} op
+ * @param {BindingMetadata} meta
+ */
+const applyRenderOp = (tr, op, meta) => {
+  const schema = tr.doc.type.schema
+  if (op.ytypes !== null) {
+    const nodes = /** @type {Array<PModel.Node>} */ (op.ytypes.map(t => createNodeIfNotExists(/** @type {Y.XmlElement | Y.XmlHook} */ (t), schema, meta)).filter(n => n !== null))
+    try {
+      replaceStrict(tr, new ReplaceStep(op.from, op.to, new PModel.Slice(PModel.Fragment.from(nodes), 0, 0)))
+    } catch (e) {
+      if (!(e instanceof RangeError)) {
+        throw e
+      }
+      // the new children don't fit. Let ProseMirror fit them into the replaced range.
+      tr.replaceWith(op.from, op.to, nodes)
+    }
+    return
+  }
+  const newNode = createNodeFromYElement(/** @type {Y.XmlElement | Y.XmlHook} */ (op.ytype), schema, meta)
+  if (newNode === null) {
+    tr.delete(op.from, op.to)
+    return
+  }
+  // apply the steps to a copy first, so that a failing step doesn't leave the subtree half-updated
+  const scratch = new Transform(tr.doc)
+  try {
+    updatePNode(scratch, /** @type {PModel.Node} */ (op.oldNode), newNode, op.from)
+    scratch.steps.forEach(step => { tr.step(step) })
+  } catch (e) {
+    if (!(e instanceof RangeError)) {
+      throw e
+    }
+    // an intermediate step produced invalid content. Fall back to replacing the subtree.
+    tr.replaceWith(op.from, op.to, newNode)
+  }
+}
+
+/**
+ * Find the subtrees that a transaction changed and their positions in `doc`. The positions are
+ * computed from the nodes in `meta.mapping`, so this must be called before the mapping of the
+ * changed types is removed.
+ *
+ * @param {Y.XmlFragment} type
+ * @param {Y.Transaction} transaction
+ * @param {PModel.Node} doc
+ * @param {BindingMetadata} meta
+ * @return {{ ops: Array<RenderOp>, positions: Map<Y.AbstractType<any>, number> }|null} The operations and the
+ *   positions of the changed types and their ancestors. null if the mapping doesn't describe `doc`
+ */
+const collectRenderOps = (type, transaction, doc, meta) => {
+  /**
+   * @param {Y.Item} item
+   */
+  const isNew = item => item.id.clock >= (transaction.beforeState.get(item.id.client) || 0)
+  /**
+   * @param {Y.AbstractType<any>|null} ytype
+   */
+  const isRendered = ytype => {
+    for (; ytype !== type; ytype = ytype.parent) {
+      if (ytype === null || ytype._item === null || ytype._item.deleted || isNew(ytype._item)) {
+        return false
+      }
+    }
+    return true
+  }
+  /**
+   * @type {Set<Y.AbstractType<any>>}
+   */
+  const units = new Set()
+  let valid = true
+  transaction.changed.forEach((_, changed) => {
+    if (changed === type || !isRendered(changed)) {
+      return
+    }
+    // the element or hook that renders the changed type. Text and nested attribute values are
+    // rendered by their parent.
+    let unit = /** @type {Y.AbstractType<any>} */ (changed)
+    while (unit !== type && (!(unit instanceof Y.XmlElement || unit instanceof Y.XmlHook) || !(meta.mapping.get(unit) instanceof PModel.Node))) {
+      unit = unit.parent
+    }
+    if (unit === type) {
+      valid = false
+    }
+    units.add(unit)
+  })
+  if (!valid) {
+    return null
+  }
+  /**
+   * @type {Map<PModel.Node, Map<PModel.Node, Array<number>>>}
+   */
+  const offsets = new Map()
+  /**
+   * The offsets of child in parent. The same node can occur several times in a document.
+   *
+   * @param {PModel.Node} parent
+   * @param {PModel.Node} child
+   * @return {Array<number>}
+   */
+  const getOffsets = (parent, child) => map.setIfUndefined(offsets, parent, () => {
+    /**
+     * @type {Map<PModel.Node, Array<number>>}
+     */
+    const m = new Map()
+    parent.forEach((n, offset) => {
+      map.setIfUndefined(m, n, () => /** @type {Array<number>} */ ([])).push(offset)
+    })
+    return m
+  }).get(child) || []
+  /**
+   * @type {Map<Y.AbstractType<any>, number>}
+   */
+  const positions = new Map()
+  /**
+   * The position of the node that ytype was rendered to.
+   *
+   * @param {Y.AbstractType<any>} ytype
+   * @return {number|null}
+   */
+  const getPos = ytype => {
+    let pos = positions.get(ytype)
+    if (pos === undefined) {
+      const parent = ytype.parent
+      const node = meta.mapping.get(ytype)
+      const parentNode = parent === type ? doc : meta.mapping.get(parent)
+      const start = parent === type ? 0 : getPos(parent)
+      const candidates = node instanceof PModel.Node && parentNode instanceof PModel.Node ? getOffsets(parentNode, node) : []
+      // ambiguous if the node occurs several times
+      if (candidates.length !== 1 || start === null) {
+        return null
+      }
+      pos = parent === type ? candidates[0] : start + 1 + candidates[0]
+      positions.set(ytype, pos)
+    }
+    return pos
+  }
+  /**
+   * @type {Array<RenderOp>}
+   */
+  const ops = []
+  units.forEach(unit => {
+    // skip units that are rebuilt as part of a changed ancestor
+    let parent = unit.parent
+    while (parent !== type && !units.has(parent)) {
+      parent = parent.parent
+    }
+    if (parent !== type) {
+      return
+    }
+    const pos = getPos(unit)
+    if (pos === null) {
+      valid = false
+      return
+    }
+    const oldNode = /** @type {PModel.Node} */ (meta.mapping.get(unit))
+    ops.push({ from: pos, to: pos + oldNode.nodeSize, ytypes: null, ytype: unit, oldNode })
+  })
+  if (transaction.changed.has(type)) {
+    // the children of the fragment changed. Replace each run of deleted and inserted children.
+    let pos = 0
+    /**
+     * @type {RenderOp|null}
+     */
+    let run = null
+    for (let item = type._start; item !== null && valid; item = item.right) {
+      const child = item.content instanceof Y.ContentType ? item.content.type : null
+      if (child === null) {
+        continue
+      }
+      if (!(child instanceof Y.XmlElement || child instanceof Y.XmlHook)) {
+        valid = false
+        break
+      }
+      const wasVisible = !isNew(item) && (!item.deleted || Y.isDeleted(transaction.deleteSet, item.id))
+      const isVisible = !item.deleted
+      let size = 0
+      if (wasVisible) {
+        const node = /** @type {PModel.Node | null | undefined} */ (meta.mapping.get(child))
+        if (node === undefined || (node !== null && !getOffsets(doc, node).includes(pos))) {
+          valid = false
+          break
+        }
+        size = node === null ? 0 : node.nodeSize
+      }
+      if (wasVisible && isVisible) {
+        run = null
+      } else if (wasVisible || isVisible) {
+        if (run === null) {
+          run = { from: pos, to: pos, ytypes: [], ytype: null, oldNode: null }
+          ops.push(run)
+        }
+        run.to += size
+        if (isVisible) {
+          /** @type {Array<Y.AbstractType<any>>} */ (run.ytypes).push(child)
+        }
+      }
+      pos += size
+    }
+    if (valid && pos !== doc.content.size) {
+      valid = false
+    }
+  }
+  return valid ? { ops, positions } : null
+}
+
+/**
+ * Render the whole fragment and update the changed parts of the document. Used if the mapping
+ * doesn't describe the current document.
+ *
+ * @param {Y.XmlFragment} type
+ * @param {import('prosemirror-state').Transaction} tr
+ * @param {function():import('prosemirror-state').Transaction} createTr
+ * @param {BindingMetadata} meta
+ * @return {import('prosemirror-state').Transaction}
+ */
+const rerenderYFragment = (type, tr, createTr, meta) => {
+  const doc = tr.doc
+  const fragmentContent = type.toArray().map((t) =>
+    createNodeIfNotExists(
+      /** @type {Y.XmlElement | Y.XmlHook} */ (t),
+      doc.type.schema,
+      meta
+    )
+  ).filter((n) => n !== null)
+  try {
+    updatePNodeContent(tr, doc, doc.type.create(doc.attrs, fragmentContent, doc.marks), 0)
+    remapChangedNodes(type, tr.doc, meta.mapping)
+  } catch (e) {
+    if (!(e instanceof RangeError)) {
+      throw e
+    }
+    // an intermediate step produced invalid content. Fall back to replacing the whole document.
+    // @ts-ignore
+    tr = createTr().replace(
+      0,
+      doc.content.size,
+      new PModel.Slice(PModel.Fragment.from(fragmentContent), 0, 0)
+    )
+  }
+  return tr
+}
+
+/**
+ * Find the ranges of children that differ between two lists of child nodes. Children that are
+ * identical (or equal) in both lists are used as anchors, so that changes in distinct places of
+ * the document result in distinct ranges.
+ *
+ * @param {Array<PModel.Node>} oldChildren
+ * @param {Array<PModel.Node>} newChildren
+ * @return {Array<{ oldFrom: number, oldTo: number, newFrom: number, newTo: number }>}
+ */
+const diffChildren = (oldChildren, newChildren) => {
+  /**
+   * @type {Map<PModel.Node, Array<number>>}
+   */
+  const oldIndexes = new Map()
+  oldChildren.forEach((child, i) => {
+    map.setIfUndefined(oldIndexes, child, () => /** @type {Array<number>} */ ([])).push(i)
+  })
+  const ranges = []
+  let i = 0
+  let j = 0
+  while (i < oldChildren.length || j < newChildren.length) {
+    if (i < oldChildren.length && j < newChildren.length && oldChildren[i] === newChildren[j]) {
+      i++
+      j++
+      continue
+    }
+    // find the next child that exists in both lists
+    let k = j
+    let syncIndex = oldChildren.length
+    for (; k < newChildren.length; k++) {
+      const idx = (oldIndexes.get(newChildren[k]) || []).find(idx => idx >= i)
+      if (idx !== undefined) {
+        syncIndex = idx
+        break
+      }
+    }
+    let oldFrom = i
+    let newFrom = j
+    let oldTo = syncIndex
+    let newTo = k
+    // trim children that are equal, but not identical
+    while (oldFrom < oldTo && newFrom < newTo && oldChildren[oldFrom].eq(newChildren[newFrom])) {
+      oldFrom++
+      newFrom++
+    }
+    while (oldFrom < oldTo && newFrom < newTo && oldChildren[oldTo - 1].eq(newChildren[newTo - 1])) {
+      oldTo--
+      newTo--
+    }
+    if (oldFrom < oldTo || newFrom < newTo) {
+      ranges.push({ oldFrom, oldTo, newFrom, newTo })
+    }
+    i = syncIndex
+    j = k
+  }
+  return ranges
+}
+
+/**
+ * Apply a replace step without fitting its content. Throws a RangeError if the resulting content
+ * doesn't match the schema.
+ *
+ * @param {Transform} tr
+ * @param {ReplaceStep} step
+ */
+const replaceStrict = (tr, step) => {
+  const result = tr.maybeStep(step)
+  if (result.failed !== null) {
+    throw new RangeError(result.failed)
+  }
+}
+
+/**
+ * Update the inline content of a textblock. Changes that only affect formatting are applied as
+ * mark steps, everything else is replaced as a single range.
+ *
+ * @param {Transform} tr
+ * @param {PModel.Node} oldNode
+ * @param {PModel.Node} newNode
+ * @param {number} start position of the content of oldNode in tr.doc
+ */
+const updatePInlineContent = (tr, oldNode, newNode, start) => {
+  const diffStart = oldNode.content.findDiffStart(newNode.content)
+  if (diffStart == null) {
+    return
+  }
+  let { a: endA, b: endB } = /** @type {{a:number,b:number}} */ (oldNode.content.findDiffEnd(newNode.content))
+  const overlap = diffStart - math.min(endA, endB)
+  if (overlap > 0) {
+    endA += overlap
+    endB += overlap
+  }
+  const oldSlice = oldNode.content.cut(diffStart, endA)
+  const newSlice = newNode.content.cut(diffStart, endB)
+  let onlyText = true
+  oldSlice.forEach(n => { onlyText = onlyText && n.isText })
+  newSlice.forEach(n => { onlyText = onlyText && n.isText })
+  if (onlyText && endA === endB && oldSlice.textBetween(0, oldSlice.size) === newSlice.textBetween(0, newSlice.size)) {
+    // only the formatting changed
+    const boundaries = set.create()
+    oldSlice.forEach((n, offset) => { boundaries.add(offset) })
+    newSlice.forEach((n, offset) => { boundaries.add(offset) })
+    boundaries.add(oldSlice.size)
+    const sorted = Array.from(boundaries).sort((a, b) => a - b)
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const from = start + diffStart + sorted[i]
+      const to = start + diffStart + sorted[i + 1]
+      const oldMarks = oldSlice.child(oldSlice.findIndex(sorted[i]).index).marks
+      const newMarks = newSlice.child(newSlice.findIndex(sorted[i]).index).marks
+      oldMarks.forEach(mark => {
+        if (!mark.isInSet(newMarks)) {
+          tr.removeMark(from, to, mark)
+        }
+      })
+      newMarks.forEach(mark => {
+        if (!mark.isInSet(oldMarks)) {
+          tr.addMark(from, to, mark)
+        }
+      })
+    }
+  } else {
+    replaceStrict(tr, new ReplaceStep(start + diffStart, start + endA, new PModel.Slice(newSlice, 0, 0)))
+  }
+}
+
+/**
+ * Update a single node. If the node type didn't change, we only update attributes, marks and the
+ * changed parts of its content. Otherwise the node is replaced.
+ *
+ * @param {Transform} tr
+ * @param {PModel.Node} oldNode
+ * @param {PModel.Node} newNode
+ * @param {number} pos position of oldNode in tr.doc
+ */
+const updatePNode = (tr, oldNode, newNode, pos) => {
+  if (oldNode === newNode) {
+    return
+  }
+  if (oldNode.type !== newNode.type || oldNode.isText) {
+    replaceStrict(tr, new ReplaceStep(pos, pos + oldNode.nodeSize, new PModel.Slice(PModel.Fragment.from(newNode), 0, 0)))
+    return
+  }
+  // update the content first, node steps don't change positions
+  updatePNodeContent(tr, oldNode, newNode, pos + 1)
+  for (const key in newNode.attrs) {
+    if (!f.equalityDeep(oldNode.attrs[key], newNode.attrs[key])) {
+      tr.setNodeAttribute(pos, key, newNode.attrs[key])
+    }
+  }
+  if (!PModel.Mark.sameSet(oldNode.marks, newNode.marks)) {
+    oldNode.marks.forEach(mark => {
+      if (!mark.isInSet(newNode.marks)) {
+        tr.removeNodeMark(pos, mark)
+      }
+    })
+    newNode.marks.forEach(mark => {
+      if (!mark.isInSet(oldNode.marks)) {
+        tr.addNodeMark(pos, mark)
+      }
+    })
+  }
+}
+
+/**
+ * Transform the content of oldNode into the content of newNode using steps that are scoped to
+ * the changed subtrees. Content is replaced without fitting (see `replaceStrict`), so that
+ * intermediate content that doesn't match the schema throws instead of being altered silently.
+ *
+ * @param {Transform} tr
+ * @param {PModel.Node} oldNode
+ * @param {PModel.Node} newNode
+ * @param {number} start position of the content of oldNode in tr.doc
+ */
+const updatePNodeContent = (tr, oldNode, newNode, start) => {
+  if (oldNode.inlineContent && newNode.inlineContent) {
+    updatePInlineContent(tr, oldNode, newNode, start)
+    return
+  }
+  /**
+   * @type {Array<PModel.Node>}
+   */
+  const oldChildren = []
+  /**
+   * @type {Array<number>}
+   */
+  const oldPositions = []
+  oldNode.forEach((child, offset) => {
+    oldChildren.push(child)
+    oldPositions.push(start + offset)
+  })
+  oldPositions.push(start + oldNode.content.size)
+  /**
+   * @type {Array<PModel.Node>}
+   */
+  const newChildren = []
+  newNode.forEach(child => { newChildren.push(child) })
+  const ranges = diffChildren(oldChildren, newChildren)
+  // apply the changes from right to left so that the computed positions remain valid
+  for (let r = ranges.length - 1; r >= 0; r--) {
+    const { oldFrom, oldTo, newFrom, newTo } = ranges[r]
+    if (oldTo - oldFrom === newTo - newFrom) {
+      for (let i = oldTo - oldFrom - 1; i >= 0; i--) {
+        updatePNode(tr, oldChildren[oldFrom + i], newChildren[newFrom + i], oldPositions[oldFrom + i])
+      }
+    } else {
+      replaceStrict(tr, new ReplaceStep(
+        oldPositions[oldFrom],
+        oldPositions[oldTo],
+        new PModel.Slice(PModel.Fragment.from(newChildren.slice(newFrom, newTo)), 0, 0)
+      ))
+    }
+  }
+}
+
+/**
+ * After updating the document incrementally, the changed nodes in the document are no longer
+ * identical to the nodes we rendered. Update the mapping so that it points to the nodes that
+ * actually are in the document.
+ *
+ * @param {Y.XmlFragment} ytype
+ * @param {PModel.Node} pnode
+ * @param {ProsemirrorMapping} mapping
+ */
+const remapChangedNodes = (ytype, pnode, mapping) => {
+  let pos = 0
+  ytype.toArray().forEach(ychild => {
+    if (ychild instanceof Y.XmlText) {
+      pos += ychild.length
+      return
+    }
+    const mapped = /** @type {PModel.Node | undefined} */ (mapping.get(ychild))
+    if (mapped == null || pos >= pnode.content.size) {
+      return
+    }
+    const child = pnode.child(pnode.content.findIndex(pos).index)
+    if (child !== mapped && child.eq(mapped)) {
+      mapping.set(ychild, child)
+      if (ychild instanceof Y.XmlElement) {
+        remapChangedNodes(ychild, child, mapping)
+      }
+    }
+    pos += mapped.nodeSize
+  })
+}
+
+/**
+ * Render the differences between two snapshots of a type. Both snapshots can also be v2 updates
+ * that contain the full history of the document.
+ *
+ * @param {Y.XmlFragment} type
+ * @param {PModel.Schema} schema
+ * @param {Y.Snapshot|Uint8Array} snapshot
+ * @param {Y.Snapshot|Uint8Array} prevSnapshot
+ * @param {Object} opts
+ * @param {Y.PermanentUserData|null} [opts.permanentUserData]
+ * @param {import('../attribution.js').AttributionStore|null} [opts.attributionStore]
+ * @param {Array<ColorDef>} [opts.colors]
+ * @param {ColorMapping} [opts.colorMapping]
+ * @param {BindingMetadata} [opts.meta]
+ * @return {Array<PModel.Node>}
+ */
+export const createSnapshotDiffContent = (type, schema, snapshot, prevSnapshot, {
+  permanentUserData = null,
+  attributionStore = null,
+  colors = defaultColors,
+  colorMapping = new Map(),
+  meta = createEmptyMeta()
+} = {}) => {
+  /**
+   * The document that contains the full history of this document.
+   * @type {Y.Doc}
+   */
+  let historyDoc = /** @type {Y.Doc} */ (type.doc)
+  let historyType = type
+  if (snapshot instanceof Uint8Array || prevSnapshot instanceof Uint8Array) {
+    if (!(snapshot instanceof Uint8Array) || !(prevSnapshot instanceof Uint8Array)) {
+      // expected both snapshots to be v2 updates
+      error.unexpectedCase()
+    }
+    historyDoc = new Y.Doc({ gc: false })
+    Y.applyUpdateV2(historyDoc, prevSnapshot)
+    prevSnapshot = Y.snapshot(historyDoc)
+    Y.applyUpdateV2(historyDoc, snapshot)
+    snapshot = Y.snapshot(historyDoc)
+    historyType = utils.getTypeInDoc(historyType, historyDoc)
+  }
+  /**
+   * @type {Array<PModel.Node>}
+   */
+  let fragmentContent = []
+  historyDoc.transact((transaction) => {
+    // before rendering, we are going to sanitize ops and split deleted ops
+    // if they were deleted by seperate users.
+    const pud = permanentUserData
+    if (pud) {
+      pud.dss.forEach((ds) => {
+        Y.iterateDeletedStructs(transaction, ds, (_item) => {})
+      })
+    }
+    if (attributionStore) {
+      attributionStore.splitItems(transaction)
+    }
+    /**
+     * @param {'removed'|'added'} type
+     * @param {Y.ID} id
+     */
+    const computeYChange = (type, id) => {
+      const user = pud == null
+        ? null
+        : type === 'added'
+          ? pud.getUserByClientId(id.client)
+          : pud.getUserByDeletedId(id)
+      const timestamp = attributionStore == null
+        ? null
+        : type === 'added'
+          ? attributionStore.getTimestampById(id)
+          : attributionStore.getTimestampByDeletedId(id)
+      return {
+        user,
+        type,
+        color: getUserColor(
+          colorMapping,
+          colors,
+          user
+        ),
+        timestamp
+      }
+    }
+    const snap = /** @type {Y.Snapshot} */ (snapshot)
+    const prevSnap = /** @type {Y.Snapshot} */ (prevSnapshot)
+    // Create document fragment and render
+    fragmentContent = Y.typeListToArraySnapshot(
+      historyType,
+      new Y.Snapshot(prevSnap.ds, snap.sv)
+    ).map((t) => {
+      if (
+        !t._item.deleted || isVisible(t._item, snap) ||
+        isVisible(t._item, prevSnap)
+      ) {
+        return createNodeFromYElement(
+          t,
+          schema,
+          meta,
+          snap,
+          prevSnap,
+          computeYChange
+        )
+      } else {
+        // No need to render elements that are not visible by either snapshot.
+        // If a client adds and deletes content in the same snapshot the element is not visible by either snapshot.
+        return null
+      }
+    }).filter((n) => n !== null)
+  }, ySyncPluginKey)
+  return fragmentContent
+}
+
+/**
+ * @typedef {function(Y.Transaction, BindingMetadata):void} RevertOp
+ */
+
+/**
+ * @typedef {Object} RenderedSnapshot
+ * @property {PModel.Node} RenderedSnapshot.doc
+ * @property {ProsemirrorMapping} RenderedSnapshot.mapping
+ * @property {Y.Snapshot} RenderedSnapshot.snapshot
+ * @property {Y.Snapshot} RenderedSnapshot.prevSnapshot
+ */
+
+/**
+ * Find the position of an item in the current document. Deleted items resolve to the position
+ * where they would be inserted again.
+ *
+ * @param {Y.Doc} doc
+ * @param {Y.ID} id
+ */
+const getCurrentPosition = (doc, id) =>
+  Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON({ item: id, assoc: 0 }), doc)
+
+/**
+ * @param {Y.Transaction} tr
+ * @param {Array<{ id: Y.ID, len: number }>} ranges
+ */
+const deleteRanges = (tr, ranges) => {
+  const ds = Y.createDeleteSet()
+  ranges.forEach(({ id, len }) => {
+    map.setIfUndefined(ds.clients, id.client, () => /** @type {Array<any>} */ ([])).push({ clock: id.clock, len })
+  })
+  Y.iterateDeletedStructs(tr, ds, struct => {
+    if (struct instanceof Y.Item && !struct.deleted) {
+      struct.delete(tr)
+    }
+  })
+}
+
+/**
+ * The ids of the characters [start, end) of a text rendered in a snapshot diff.
+ *
+ * @param {Y.XmlText} ytext
+ * @param {number} start
+ * @param {number} end
+ * @param {RenderedSnapshot} rendered
+ * @return {Array<{ id: Y.ID, len: number }>}
+ */
+const getRenderedTextRanges = (ytext, start, end, { snapshot, prevSnapshot }) => {
+  const ranges = []
+  let offset = 0
+  for (let n = ytext._start; n !== null && offset < end; n = n.right) {
+    if (n.countable && (isVisible(n, snapshot) || isVisible(n, prevSnapshot))) {
+      const s = math.max(start - offset, 0)
+      const e = math.min(end - offset, n.length)
+      if (s < e) {
+        ranges.push({ id: Y.createID(n.id.client, n.id.clock + s), len: e - s })
+      }
+      offset += n.length
+    }
+  }
+  return ranges
+}
+
+/**
+ * Collect the operations that revert the changes of the rendered snapshot in range.
+ *
+ * @param {Y.XmlFragment} ytype
+ * @param {number} pos The position of the rendered content of ytype
+ * @param {{ from: number, to: number }} range
+ * @param {Array<RevertOp>} ops
+ * @param {RenderedSnapshot} rendered
+ */
+const collectRevertOps = (ytype, pos, { from, to }, ops, rendered) => {
+  const renderedChildren = new Y.Snapshot(rendered.prevSnapshot.ds, rendered.snapshot.sv)
+  for (let n = ytype._start; n !== null && pos < to; n = n.right) {
+    const child = n.content instanceof Y.ContentType ? n.content.type : null
+    const id = n.id
+    if (child instanceof Y.XmlText) {
+      if (!isVisible(n, renderedChildren)) {
+        continue
+      }
+      const size = getRenderedTextRanges(child, 0, Number.MAX_SAFE_INTEGER, rendered).reduce((size, { len }) => size + len, 0)
+      rendered.doc.nodesBetween(math.max(from, pos), math.min(to, pos + size), (pnode, npos) => {
+        const ychange = pnode.isText ? pnode.marks.find(mark => mark.type.name === 'ychange')?.attrs : null
+        if (ychange == null) {
+          return
+        }
+        const start = math.max(from, npos)
+        const end = math.min(to, npos + pnode.nodeSize)
+        const ranges = getRenderedTextRanges(child, start - pos, end - pos, rendered)
+        if (ranges.length === 0) {
+          return
+        }
+        switch (ychange.type) {
+          case 'added':
+            ops.push(tr => deleteRanges(tr, ranges))
+            break
+          case 'removed': {
+            const text = /** @type {string} */ (pnode.text).slice(start - npos, end - npos)
+            ops.push((tr, meta) => {
+              const { type, index } = /** @type {Y.AbsolutePosition} */ (getCurrentPosition(tr.doc, ranges[0].id))
+              const ytext = /** @type {Y.XmlText} */ (type)
+              ytext.insert(index, text, marksToAttributes(pnode.marks, meta))
+            })
+            break
+          }
+          case 'format':
+            if (ychange.before != null) {
+              ops.push(tr => {
+                ranges.forEach(({ id, len }) => {
+                  const { type, index } = /** @type {Y.AbsolutePosition} */ (getCurrentPosition(tr.doc, id))
+                  const item = /** @type {Y.Item} */ (Y.getItem(tr.doc.store, id))
+                  if (!item.deleted) {
+                    const ytext = /** @type {Y.XmlText} */ (type)
+                    ytext.format(index, len, ychange.before)
+                  }
+                })
+              })
+            }
+        }
+      })
+      pos += size
+    } else {
+      const mapped = child !== null ? rendered.mapping.get(child) : null
+      if (mapped == null || mapped instanceof Array) {
+        continue
+      }
+      const ychange = mapped.attrs.ychange
+      if (pos + mapped.nodeSize > from) {
+        if (ychange == null || pos < from || pos + mapped.nodeSize > to) {
+          collectRevertOps(/** @type {Y.XmlElement} */ (child), pos + 1, { from, to }, ops, rendered)
+        } else if (ychange.type === 'added') {
+          ops.push(tr => deleteRanges(tr, [{ id, len: 1 }]))
+        } else if (ychange.type === 'removed') {
+          ops.push((tr, meta) => {
+            const { type, index } = /** @type {Y.AbsolutePosition} */ (getCurrentPosition(tr.doc, id))
+            const parent = /** @type {Y.XmlFragment} */ (type)
+            parent.insert(index, [createTypeFromElementNode(mapped, meta)])
+          })
+        } else if (ychange.type === 'attributes' && ychange.before != null) {
+          ops.push((tr, meta) => {
+            const item = /** @type {Y.Item} */ (Y.getItem(tr.doc.store, id))
+            const el = /** @type {Y.XmlElement} */ (/** @type {Y.ContentType} */ (item.content).type)
+            object.forEach(ychange.before, (val, key) => {
+              if (val === null) {
+                el.removeAttribute(key)
+              } else {
+                el.setAttribute(key, isStructuredAttribute(meta, getNodeName(el), key) ? createStructuredValue(val) : val)
+              }
+            })
+          })
+        }
+      }
+      pos += mapped.nodeSize
+    }
+  }
+}
+
 /**
  * @private
  * @param {Y.XmlElement | Y.XmlHook} el
@@ -699,31 +2047,28 @@ const createNodeIfNotExists = (
 ) => {
   const node = /** @type {PModel.Node} */ (meta.mapping.get(el))
   if (node === undefined) {
-    if (el instanceof Y.XmlElement) {
-      return createNodeFromYElement(
-        el,
-        schema,
-        meta,
-        snapshot,
-        prevSnapshot,
-        computeYChange
-      )
-    } else {
-      throw error.methodUnimplemented() // we are currently not handling hooks
-    }
+    return createNodeFromYElement(
+      el,
+      schema,
+      meta,
+      snapshot,
+      prevSnapshot,
+      computeYChange
+    )
   }
   return node
 }
 
 /**
  * @private
- * @param {Y.XmlElement} el
+ * @param {Y.XmlElement | Y.XmlHook} el
  * @param {any} schema
  * @param {BindingMetadata} meta
  * @param {Y.Snapshot} [snapshot]
  * @param {Y.Snapshot} [prevSnapshot]
  * @param {function('removed' | 'added', Y.ID):any} [computeYChange]
- * @return {PModel.Node | null} Returns node if node could be created. Otherwise it deletes the yjs type and returns null
+ * @return {PModel.Node | null} Returns node if node could be created. Otherwise the invalid content is handled as
+ *   configured in `meta.invalidContent` (by default, the yjs type is deleted and null is returned)
  */
 export const createNodeFromYElement = (
   el,
@@ -733,12 +2078,20 @@ export const createNodeFromYElement = (
   prevSnapshot,
   computeYChange
 ) => {
+  if (el instanceof Y.XmlHook) {
+    return createNodeFromYHook(el, schema, meta)
+  }
+  const nodeName = getNodeName(el, snapshot)
+  if ((meta.placeholderNode || meta.inlinePlaceholderNode) && schema.nodes[nodeName] === undefined) {
+    // render a placeholder without rendering the content
+    return handleInvalidElement(el, schema, meta, [], snapshot, new RangeError(`Unknown node type: ${nodeName}`))
+  }
   const children = []
   /**
-   * @param {Y.XmlElement | Y.XmlText} type
+   * @param {Y.XmlElement | Y.XmlText | Y.XmlHook} type
    */
   const createChildren = (type) => {
-    if (type instanceof Y.XmlElement) {
+    if (type instanceof Y.XmlElement || type instanceof Y.XmlHook) {
       const n = createNodeIfNotExists(
         type,
         schema,
@@ -750,83 +2103,403 @@ export const createNodeFromYElement = (
       if (n !== null) {
         children.push(n)
       }
-    } else {
-      // If the next ytext exists and was created by us, move the content to the current ytext.
-      // This is a fix for #160 -- duplication of characters when two Y.Text exist next to each
-      // other.
-      const nextytext = /** @type {Y.ContentType} */ (type._item.right?.content)?.type
-      if (nextytext instanceof Y.Text && !nextytext._item.deleted && nextytext._item.id.client === nextytext.doc.clientID) {
-        type.applyDelta([
-          { retain: type.length },
-          ...nextytext.toDelta()
-        ])
-        nextytext.doc.transact(tr => {
-          nextytext._item.delete(tr)
-        })
+    } else {
+      // If the next ytext exists and was created by us, move the content to the current ytext.
+      // This is a fix for #160 -- duplication of characters when two Y.Text exist next to each
+      // other.
+      // Snapshots are rendered without modifying the document.
+      const nextytext = snapshot === undefined ? /** @type {Y.ContentType} */ (type._item.right?.content)?.type : undefined
+      if (nextytext instanceof Y.Text && !nextytext._item.deleted && nextytext._item.id.client === nextytext.doc.clientID) {
+        type.applyDelta([
+          { retain: type.length },
+          ...nextytext.toDelta()
+        ])
+        nextytext.doc.transact(tr => {
+          nextytext._item.delete(tr)
+        })
+      }
+      // now create the prosemirror text nodes
+      const ns = createTextNodesFromYText(
+        type,
+        schema,
+        meta,
+        snapshot,
+        prevSnapshot,
+        computeYChange
+      )
+      if (ns !== null) {
+        ns.forEach((textchild) => {
+          if (textchild !== null) {
+            children.push(textchild)
+          }
+        })
+      }
+    }
+  }
+  if (snapshot === undefined || prevSnapshot === undefined) {
+    el.toArray().forEach(createChildren)
+  } else {
+    Y.typeListToArraySnapshot(el, new Y.Snapshot(prevSnapshot.ds, snapshot.sv))
+      .forEach(createChildren)
+  }
+  try {
+    const attrs = getPlainAttributes(el, snapshot)
+    if (snapshot !== undefined) {
+      if (!isVisible(/** @type {Y.Item} */ (el._item), snapshot)) {
+        attrs.ychange = computeYChange
+          ? computeYChange('removed', /** @type {Y.Item} */ (el._item).id)
+          : { type: 'removed' }
+      } else if (!isVisible(/** @type {Y.Item} */ (el._item), prevSnapshot)) {
+        attrs.ychange = computeYChange
+          ? computeYChange('added', /** @type {Y.Item} */ (el._item).id)
+          : { type: 'added' }
+      } else if (prevSnapshot !== undefined) {
+        const change = computeAttributeChange(el, attrs, snapshot, prevSnapshot, computeYChange)
+        if (change !== null) {
+          attrs.ychange = /** @type {any} */ (change)
+        }
+      }
+    }
+    const nodeAttrs = {}
+    const nodeMarks = []
+
+    for (const key in attrs) {
+      if (key.startsWith(MarkPrefix)) {
+        const markName = key.replace(MarkPrefix, '')
+        const markValue = attrs[key]
+        if (isObject(markValue)) {
+          nodeMarks.push(schema.mark(markName, /** @type {Object} */ (markValue).attrs))
+        }
+      } else if (key !== NodeTypeAttribute) {
+        nodeAttrs[key] = attrs[key]
+      }
+    }
+
+    const node = schema.node(nodeName, nodeAttrs, children, nodeMarks)
+    meta.mapping.set(el, node)
+    return node
+  } catch (e) {
+    // an error occured while creating the node. This is probably a result of a concurrent action
+    // or of a client that uses a different schema.
+    return handleInvalidElement(el, schema, meta, children, snapshot, /** @type {Error} */ (e))
+  }
+}
+
+/**
+ * Render a Yjs type with a custom representation (see `NodeAdapter`). Snapshots render its
+ * current content. Hooks without an adapter are retained, but not rendered.
+ *
+ * @param {Y.XmlHook} hook
+ * @param {PModel.Schema} schema
+ * @param {BindingMetadata} meta
+ * @return {PModel.Node | null}
+ */
+const createNodeFromYHook = (hook, schema, meta) => {
+  const adapter = schema.nodes[hook.hookName] === undefined ? null : getNodeAdapter(meta, hook.hookName)
+  let node = null
+  try {
+    if (adapter === null) {
+      throw new RangeError(`No adapter for node type: ${hook.hookName}`)
+    }
+    node = adapter.render(hook, schema)
+  } catch (e) {
+    if (adapter !== null && (meta.invalidContent || 'delete') === 'delete') {
+      /** @type {Y.Doc} */ (hook.doc).transact((transaction) => {
+        /** @type {Y.Item} */ (hook._item).delete(transaction)
+      }, ySyncPluginKey)
+      meta.mapping.delete(hook)
+      emitInvalidContent(hook, meta, /** @type {Error} */ (e), 'delete')
+      return null
+    }
+    emitInvalidContent(hook, meta, /** @type {Error} */ (e), 'skip')
+  }
+  meta.mapping.set(hook, node)
+  return node
+}
+
+/**
+ * Compute the attributes that changed between prevSnapshot and snapshot. Attributes that don't
+ * exist are `null`.
+ *
+ * @param {Object<string,any>} before
+ * @param {Object<string,any>} after
+ * @return {{ before: Object<string,any>, after: Object<string,any> } | null}
+ */
+const diffAttributes = (before, after) => {
+  const b = {}
+  const a = {}
+  let changed = false
+  for (const key of set.from(object.keys(before).concat(object.keys(after)))) {
+    if (key !== 'ychange' && !f.equalityDeep(before[key] ?? null, after[key] ?? null)) {
+      b[key] = before[key] ?? null
+      a[key] = after[key] ?? null
+      changed = true
+    }
+  }
+  return changed ? { before: b, after: a } : null
+}
+
+/**
+ * @param {Y.Item|null} item
+ * @param {Y.Snapshot} [snapshot]
+ * @return {Y.Item|null}
+ */
+const findVisibleItem = (item, snapshot) => {
+  while (item !== null && !isVisible(item, snapshot)) {
+    item = item.left
+  }
+  return item
+}
+
+/**
+ * Create a ychange attribute that describes how the attributes of an element changed between
+ * prevSnapshot and snapshot.
+ *
+ * @param {Y.XmlElement} el
+ * @param {Object<string,any>} attrs The attributes at snapshot
+ * @param {Y.Snapshot|undefined} snapshot `undefined` compares the current state
+ * @param {Y.Snapshot} prevSnapshot
+ * @param {function('removed' | 'added', Y.ID):any} [computeYChange]
+ * @return {{ type: 'attributes', before: Object<string,any>, after: Object<string,any> } | null}
+ */
+export const computeAttributeChange = (el, attrs, snapshot, prevSnapshot, computeYChange) => {
+  const diff = diffAttributes(getPlainAttributes(el, prevSnapshot), attrs)
+  if (diff === null) {
+    return null
+  }
+  // attribute the change to the user who set (or removed) the first changed attribute
+  const key = object.keys(diff.after)[0]
+  const added = findVisibleItem(el._map.get(key) || null, snapshot)
+  const removed = added === null ? findVisibleItem(el._map.get(key) || null, prevSnapshot) : null
+  const change = computeYChange && (added || removed)
+    ? computeYChange(added ? 'added' : 'removed', /** @type {Y.Item} */ (added || removed).id)
+    : {}
+  return object.assign({}, change, { type: 'attributes' }, diff)
+}
+
+/**
+ * Like `text.toDelta(snapshot, prevSnapshot, computeYChange)`. Additionally, text that was
+ * formatted between prevSnapshot and snapshot is marked with a
+ * `{ type: 'format', before, after }` ychange attribute.
+ *
+ * @param {Y.XmlText} text
+ * @param {Y.Snapshot} snapshot
+ * @param {Y.Snapshot} prevSnapshot
+ * @param {function('removed' | 'added', Y.ID):any} [computeYChange]
+ * @return {Array<any>}
+ */
+export const toDeltaWithFormatChanges = (text, snapshot, prevSnapshot, computeYChange) => {
+  const delta = text.toDelta(snapshot, prevSnapshot, computeYChange)
+  // The same content with the formatting of prevSnapshot
+  const prevDelta = text.toDelta(prevSnapshot, snapshot)
+  /**
+   * Format items that were added or removed between both snapshots.
+   *
+   * @type {Array<{ index: number, item: Y.Item, added: boolean }>}
+   */
+  const formatChanges = []
+  let index = 0
+  for (let n = text._start; n !== null; n = n.right) {
+    const inSnapshot = isVisible(n, snapshot)
+    const inPrevSnapshot = isVisible(n, prevSnapshot)
+    if (n.content instanceof Y.ContentFormat) {
+      if (inSnapshot !== inPrevSnapshot) {
+        formatChanges.push({ index, item: n, added: inSnapshot })
+      }
+    } else if ((inSnapshot || inPrevSnapshot) && n.countable) {
+      index += n.length
+    }
+  }
+  if (formatChanges.length === 0) {
+    return delta
+  }
+  /**
+   * @param {any} op
+   */
+  const opLength = op => typeof op.insert === 'string' ? op.insert.length : 1
+  const result = []
+  let prevIndex = 0
+  let prevOffset = 0
+  index = 0
+  for (const op of delta) {
+    const len = opLength(op)
+    for (let offset = 0; offset < len;) {
+      const prevOp = prevDelta[prevIndex]
+      const chunkLen = math.min(opLength(prevOp) - prevOffset, len - offset)
+      const after = object.assign({}, op.attributes)
+      const before = object.assign({}, prevOp.attributes)
+      delete before.ychange
+      const diff = after.ychange === undefined && typeof op.insert === 'string' ? diffAttributes(before, after) : null
+      if (diff === null) {
+        result.push(offset === 0 && chunkLen === len ? op : { insert: op.insert.slice(offset, offset + chunkLen), attributes: op.attributes })
+      } else {
+        const pos = index + offset
+        let formatChange = formatChanges[0]
+        for (let i = 1; i < formatChanges.length && formatChanges[i].index <= pos; i++) {
+          formatChange = formatChanges[i]
+        }
+        const change = computeYChange ? computeYChange(formatChange.added ? 'added' : 'removed', formatChange.item.id) : {}
+        after.ychange = object.assign({}, change, { type: 'format' }, diff)
+        result.push({ insert: op.insert.slice(offset, offset + chunkLen), attributes: after })
       }
-      // now create the prosemirror text nodes
-      const ns = createTextNodesFromYText(
-        type,
-        schema,
-        meta,
-        snapshot,
-        prevSnapshot,
-        computeYChange
-      )
-      if (ns !== null) {
-        ns.forEach((textchild) => {
-          if (textchild !== null) {
-            children.push(textchild)
-          }
-        })
+      offset += chunkLen
+      prevOffset += chunkLen
+      if (prevOffset === opLength(prevOp)) {
+        prevIndex++
+        prevOffset = 0
       }
     }
+    index += len
   }
-  if (snapshot === undefined || prevSnapshot === undefined) {
-    el.toArray().forEach(createChildren)
-  } else {
-    Y.typeListToArraySnapshot(el, new Y.Snapshot(prevSnapshot.ds, snapshot.sv))
-      .forEach(createChildren)
+  return result
+}
+
+/**
+ * @param {Y.XmlElement|Y.XmlText|Y.XmlHook} type
+ * @param {BindingMetadata} meta
+ * @param {Error} error
+ * @param {InvalidContentEvent['resolution']} resolution
+ */
+const emitInvalidContent = (type, meta, error, resolution) => {
+  if (meta.onInvalidContent) {
+    meta.onInvalidContent({ type, error, resolution })
+  }
+}
+
+/**
+ * Try to create a valid node from content that doesn't match the schema. Unknown and disallowed
+ * marks are removed, children are wrapped if necessary and missing content is filled.
+ *
+ * @param {Y.XmlElement} el
+ * @param {PModel.Schema} schema
+ * @param {Array<PModel.Node>} children
+ * @param {Y.Snapshot} [snapshot]
+ * @return {PModel.Node | null}
+ */
+const repairNode = (el, schema, children, snapshot) => {
+  const type = schema.nodes[getNodeName(el, snapshot)]
+  if (type === undefined) {
+    return null
   }
   try {
-    const attrs = el.getAttributes(snapshot)
-    if (snapshot !== undefined) {
-      if (!isVisible(/** @type {Y.Item} */ (el._item), snapshot)) {
-        attrs.ychange = computeYChange
-          ? computeYChange('removed', /** @type {Y.Item} */ (el._item).id)
-          : { type: 'removed' }
-      } else if (!isVisible(/** @type {Y.Item} */ (el._item), prevSnapshot)) {
-        attrs.ychange = computeYChange
-          ? computeYChange('added', /** @type {Y.Item} */ (el._item).id)
-          : { type: 'added' }
-      }
-    }
+    const attrs = getPlainAttributes(el, snapshot)
     const nodeAttrs = {}
     const nodeMarks = []
-
     for (const key in attrs) {
       if (key.startsWith(MarkPrefix)) {
-        const markName = key.replace(MarkPrefix, '')
-        const markValue = attrs[key]
-        if (isObject(markValue)) {
-          nodeMarks.push(schema.mark(markName, /** @type {Object} */ (markValue).attrs))
+        const markType = schema.marks[key.replace(MarkPrefix, '')]
+        if (markType !== undefined && isObject(attrs[key])) {
+          nodeMarks.push(markType.create(/** @type {any} */ (attrs[key]).attrs))
         }
-      } else {
+      } else if (key !== NodeTypeAttribute) {
         nodeAttrs[key] = attrs[key]
       }
     }
+    let match = type.contentMatch
+    const content = []
+    for (let i = 0; i < children.length; i++) {
+      let child = children[i]
+      child = child.mark(child.marks.filter(mark => type.allowsMarkType(mark.type)))
+      const wrapping = match.matchType(child.type) ? [] : match.findWrapping(child.type)
+      /**
+       * @type {PModel.Node|null}
+       */
+      let wrapped = child
+      for (let j = (wrapping || []).length - 1; j >= 0 && wrapped !== null; j--) {
+        wrapped = /** @type {Array<PModel.NodeType>} */ (wrapping)[j].createAndFill(null, wrapped)
+      }
+      const next = wrapping !== null && wrapped !== null ? match.matchType(wrapped.type) : null
+      if (next !== null) {
+        // children that can't be placed here are dropped
+        content.push(/** @type {PModel.Node} */ (wrapped))
+        match = next
+      }
+    }
+    const fill = match.fillBefore(PModel.Fragment.empty, true)
+    if (fill === null) {
+      return null
+    }
+    return type.createChecked(nodeAttrs, PModel.Fragment.from(content).append(fill), nodeMarks)
+  } catch (e) {
+    return null
+  }
+}
 
-    const node = schema.node(el.nodeName, nodeAttrs, children, nodeMarks)
-    meta.mapping.set(el, node)
-    return node
+/**
+ * @param {Y.XmlElement} el
+ * @param {PModel.Schema} schema
+ * @param {BindingMetadata} meta
+ * @return {PModel.Node | null}
+ */
+const createPlaceholderNode = (el, schema, meta) => {
+  const parent = el.parent
+  const isInline = parent instanceof Y.XmlElement && schema.nodes[getNodeName(parent)]?.inlineContent === true
+  const name = isInline ? meta.inlinePlaceholderNode : meta.placeholderNode
+  const type = name ? schema.nodes[name] : undefined
+  if (type === undefined) {
+    return null
+  }
+  try {
+    const attrs = {}
+    if (type.spec.attrs && type.spec.attrs.nodeName) {
+      attrs.nodeName = getNodeName(el)
+    }
+    if (type.spec.attrs && type.spec.attrs.serialized) {
+      attrs.serialized = serializeYType(el)
+    }
+    return type.create(attrs)
   } catch (e) {
-    // an error occured while creating the node. This is probably a result of a concurrent action.
+    return null
+  }
+}
+
+/**
+ * @param {Y.XmlElement} el
+ * @param {PModel.Schema} schema
+ * @param {BindingMetadata} meta
+ * @param {Array<PModel.Node>} children
+ * @param {Y.Snapshot|undefined} snapshot
+ * @param {Error} error
+ * @return {PModel.Node | null}
+ */
+const handleInvalidElement = (el, schema, meta, children, snapshot, error) => {
+  const policy = meta.invalidContent || 'delete'
+  let node = null
+  if (schema.nodes[getNodeName(el, snapshot)] === undefined) {
+    // unknown node types are probably created by a client with a newer schema
+    node = createPlaceholderNode(el, schema, meta)
+    if (node !== null) {
+      emitInvalidContent(el, meta, error, 'placeholder')
+      meta.mapping.set(el, node)
+      return node
+    }
+  }
+  if (policy === 'delete') {
     /** @type {Y.Doc} */ (el.doc).transact((transaction) => {
       /** @type {Y.Item} */ (el._item).delete(transaction)
     }, ySyncPluginKey)
     meta.mapping.delete(el)
+    emitInvalidContent(el, meta, error, 'delete')
     return null
   }
+  if (policy === 'repair') {
+    node = repairNode(el, schema, children, snapshot)
+    if (node !== null) {
+      emitInvalidContent(el, meta, error, 'repair')
+    }
+  }
+  if (node === null && policy !== 'skip') {
+    node = createPlaceholderNode(el, schema, meta)
+    if (node !== null) {
+      emitInvalidContent(el, meta, error, 'placeholder')
+    }
+  }
+  if (node === null) {
+    // the content is not rendered, but retained in Yjs
+    emitInvalidContent(el, meta, error, 'skip')
+  }
+  meta.mapping.set(el, node)
+  return node
 }
 
 /**
@@ -848,7 +2521,9 @@ const createTextNodesFromYText = (
   computeYChange
 ) => {
   const nodes = []
-  const deltas = text.toDelta(snapshot, prevSnapshot, computeYChange)
+  const deltas = snapshot !== undefined && prevSnapshot !== undefined
+    ? toDeltaWithFormatChanges(text, snapshot, prevSnapshot, computeYChange)
+    : text.toDelta(snapshot, prevSnapshot, computeYChange)
   try {
     for (let i = 0; i < deltas.length; i++) {
       const delta = deltas[i]
@@ -856,10 +2531,25 @@ const createTextNodesFromYText = (
     }
   } catch (e) {
     // an error occured while creating the node. This is probably a result of a concurrent action.
-    /** @type {Y.Doc} */ (text.doc).transact((transaction) => {
-      /** @type {Y.Item} */ (text._item).delete(transaction)
-    }, ySyncPluginKey)
-    return null
+    if ((_meta.invalidContent || 'delete') === 'delete') {
+      /** @type {Y.Doc} */ (text.doc).transact((transaction) => {
+        /** @type {Y.Item} */ (text._item).delete(transaction)
+      }, ySyncPluginKey)
+      emitInvalidContent(text, _meta, /** @type {Error} */ (e), 'delete')
+      return null
+    }
+    // render the text without the marks that are unknown to the schema
+    const repaired = deltas.map(delta => {
+      const attrs = object.assign({}, delta.attributes)
+      for (const key in attrs) {
+        if (schema.marks[yattr2markname(key)] === undefined) {
+          delete attrs[key]
+        }
+      }
+      return schema.text(delta.insert, attributesToMarks(attrs, schema))
+    })
+    emitInvalidContent(text, _meta, /** @type {Error} */ (e), 'repair')
+    return repaired
   }
   // @ts-ignore
   return nodes
@@ -879,6 +2569,9 @@ const createTypeFromTextNodes = (nodes, meta) => {
     attributes: marksToAttributes(node.marks, meta)
   }))
   type.applyDelta(delta)
+  if (meta.moves) {
+    collectMovedText(meta.moves, nodes, type)
+  }
   meta.mapping.set(type, nodes)
   return type
 }
@@ -890,12 +2583,25 @@ const createTypeFromTextNodes = (nodes, meta) => {
  * @return {Y.XmlElement}
  */
 const createTypeFromElementNode = (node, meta) => {
+  if (isPlaceholderNode(node, meta)) {
+    // recreate the element that is represented by the placeholder
+    const type = /** @type {Y.XmlElement} */ (deserializeYType(node.attrs.serialized))
+    meta.mapping.set(type, node)
+    return type
+  }
+  const adapter = getNodeAdapter(meta, node.type.name)
+  if (adapter !== null) {
+    const hook = adapter.create(node)
+    meta.mapping.set(hook, node)
+    // a Y.XmlHook is inserted like an element
+    return /** @type {any} */ (hook)
+  }
   const type = new Y.XmlElement(node.type.name)
   const nodeMarksAttr = nodeMarksToAttributes(node.marks)
   for (const key in node.attrs) {
     const val = node.attrs[key]
     if (val !== null && key !== 'ychange') {
-      type.setAttribute(key, val)
+      type.setAttribute(key, isStructuredAttribute(meta, node.type.name, key) ? createStructuredValue(val) : val)
     }
   }
   for (const key in nodeMarksAttr) {
@@ -907,6 +2613,9 @@ const createTypeFromElementNode = (node, meta) => {
       createTypeFromTextOrElementNode(n, meta)
     )
   )
+  if (meta.moves) {
+    collectMovedElement(meta.moves, node, type)
+  }
   meta.mapping.set(type, node)
   return type
 }
@@ -935,7 +2644,7 @@ const equalAttrs = (pattrs, yattrs) => {
   const keys = Object.keys(pattrs).filter((key) => pattrs[key] !== null)
   let eq =
     keys.length ===
-    (yattrs == null ? 0 : Object.keys(yattrs).filter((key) => yattrs[key] !== null && !key.startsWith(MarkPrefix)).length)
+    (yattrs == null ? 0 : Object.keys(yattrs).filter((key) => yattrs[key] !== null && !key.startsWith(MarkPrefix) && key !== NodeTypeAttribute).length)
   for (let i = 0; i < keys.length && eq; i++) {
     const key = keys[i]
     const l = pattrs[key]
@@ -1008,18 +2717,26 @@ const equalYTextPText = (ytext, ptexts) => {
 /**
  * @param {Y.XmlElement|Y.XmlText|Y.XmlHook} ytype
  * @param {any|Array<any>} pnode
+ * @param {BindingMetadata} meta
  */
-const equalYTypePNode = (ytype, pnode) => {
+const equalYTypePNode = (ytype, pnode, meta) => {
+  if (isPlaceholderNode(pnode, meta)) {
+    return ytype instanceof Y.XmlElement && f.equalityDeep(serializeYType(ytype), pnode.attrs.serialized)
+  }
+  if (ytype instanceof Y.XmlHook) {
+    const adapter = matchNodeAdapter(ytype, pnode, meta)
+    return adapter !== null && adapter.equal(ytype, pnode)
+  }
   if (
     ytype instanceof Y.XmlElement && !(pnode instanceof Array) &&
     matchNodeName(ytype, pnode)
   ) {
     const normalizedContent = normalizePNodeContent(pnode)
     return ytype._length === normalizedContent.length &&
-      equalAttrs(pnode.attrs, ytype.getAttributes()) &&
+      equalAttrs(pnode.attrs, getPlainAttributes(ytype)) &&
       equalMarks(pnode.marks, ytype.getAttributes()) &&
       ytype.toArray().every((ychild, i) =>
-        equalYTypePNode(ychild, normalizedContent[i])
+        equalYTypePNode(ychild, normalizedContent[i], meta)
       )
   }
   return ytype instanceof Y.XmlText && pnode instanceof Array &&
@@ -1057,7 +2774,7 @@ const computeChildEqualityFactor = (ytype, pnode, meta) => {
     const leftP = pChildren[left]
     if (mappedIdentity(meta.mapping.get(leftY), leftP)) {
       foundMappedChild = true // definite (good) match!
-    } else if (!equalYTypePNode(leftY, leftP)) {
+    } else if (!equalYTypePNode(leftY, leftP, meta)) {
       break
     }
   }
@@ -1066,7 +2783,7 @@ const computeChildEqualityFactor = (ytype, pnode, meta) => {
     const rightP = pChildren[pChildCnt - right - 1]
     if (mappedIdentity(meta.mapping.get(rightY), rightP)) {
       foundMappedChild = true
-    } else if (!equalYTypePNode(rightY, rightP)) {
+    } else if (!equalYTypePNode(rightY, rightP, meta)) {
       break
     }
   }
@@ -1103,7 +2820,108 @@ const ytextTrans = (ytext) => {
 }
 
 /**
- * @todo test this more
+ * The formatting changes that are required to format `ytext` like `content`. Formatting that
+ * can't be represented in the schema is retained.
+ *
+ * @param {Y.Text} ytext A text with the same string content as `content`
+ * @param {Array<{ insert: string, attributes: Object<string,any> }>} content
+ * @param {import('prosemirror-model').Schema} schema
+ * @return {Array<{ index: number, length: number, attributes: Object<string,any> }>}
+ */
+const computeYTextFormats = (ytext, content, schema) => {
+  /**
+   * @type {Array<{ index: number, length: number, attributes: Object<string,any> }>}
+   */
+  const formats = []
+  const delta = ytext.toDelta()
+  let index = 0
+  let di = 0
+  let dOffset = 0
+  let ci = 0
+  let cOffset = 0
+  while (di < delta.length && ci < content.length) {
+    const d = delta[di]
+    if (typeof d.insert !== 'string') {
+      // embeds are not rendered
+      index += 1
+      di += 1
+      continue
+    }
+    const c = content[ci]
+    const len = math.min(d.insert.length - dOffset, c.insert.length - cOffset)
+    const yattrs = d.attributes || {}
+    /**
+     * @type {Object<string,any>}
+     */
+    const attributes = {}
+    for (const key in c.attributes) {
+      if (!f.equalityDeep(yattrs[key] ?? null, c.attributes[key])) {
+        attributes[key] = c.attributes[key]
+      }
+    }
+    for (const key in yattrs) {
+      if (c.attributes[key] === undefined && schema.marks[yattr2markname(key)] !== undefined) {
+        attributes[key] = null
+      }
+    }
+    if (object.length(attributes) > 0) {
+      const last = formats[formats.length - 1]
+      if (last !== undefined && last.index + last.length === index && f.equalityDeep(last.attributes, attributes)) {
+        last.length += len
+      } else {
+        formats.push({ index, length: len, attributes })
+      }
+    }
+    index += len
+    dOffset += len
+    cOffset += len
+    if (dOffset === d.insert.length) {
+      di += 1
+      dOffset = 0
+    }
+    if (cOffset === c.insert.length) {
+      ci += 1
+      cOffset = 0
+    }
+  }
+  return formats
+}
+
+/**
+ * The formatting that can't be represented in the schema and that text inserted at `index` would
+ * inherit.
+ *
+ * @param {Y.Text} ytext
+ * @param {number} index
+ * @param {import('prosemirror-model').Schema} schema
+ * @return {Object<string,any>}
+ */
+const unknownAttributesAt = (ytext, index, schema) => {
+  /**
+   * @type {Object<string,any>}
+   */
+  const attrs = {}
+  if (index === 0) {
+    return attrs
+  }
+  let pos = 0
+  for (const d of ytext.toDelta()) {
+    pos += typeof d.insert === 'string' ? d.insert.length : 1
+    if (pos >= index) {
+      for (const key in d.attributes) {
+        if (schema.marks[yattr2markname(key)] === undefined) {
+          attrs[key] = d.attributes[key]
+        }
+      }
+      break
+    }
+  }
+  return attrs
+}
+
+/**
+ * Update a Y.Text so that it matches the prosemirror text nodes. Only the changed text and the
+ * changed formatting is written to Yjs.
  *
  * @param {Y.Text} ytext
  * @param {Array<any>} ptexts
@@ -1112,19 +2930,49 @@ const ytextTrans = (ytext) => {
 const updateYText = (ytext, ptexts, meta) => {
   meta.mapping.set(ytext, ptexts)
   const { nAttrs, str } = ytextTrans(ytext)
+  const schema = ptexts[0].type.schema
+  for (const key in nAttrs) {
+    // retain formatting that can't be represented in this schema
+    if (schema.marks[yattr2markname(key)] === undefined) {
+      delete nAttrs[key]
+    }
+  }
   const content = ptexts.map((p) => ({
-    insert: /** @type {any} */ (p).text,
+    insert: /** @type {string} */ (p.text),
     attributes: Object.assign({}, nAttrs, marksToAttributes(p.marks, meta))
   }))
-  const { insert, remove, index } = simpleDiff(
+  const changes = utils.diffText(
     str,
     content.map((c) => c.insert).join('')
   )
-  ytext.delete(index, remove)
-  ytext.insert(index, insert)
-  ytext.applyDelta(
-    content.map((c) => ({ retain: c.insert.length, attributes: c.attributes }))
-  )
+  // the index of each change in the new text
+  let shift = 0
+  const targets = changes.map(({ index, remove, insert }) => {
+    const target = index + shift
+    shift += insert.length - remove
+    return target
+  })
+  // apply the changes from the end, so that the indexes of the other changes stay valid
+  for (let i = changes.length - 1; i >= 0; i--) {
+    const { index, remove, insert } = changes[i]
+    ytext.delete(index, remove)
+    // insert each run with its formatting, so that it doesn't inherit the formatting of its
+    // neighbours and doesn't need to be formatted afterwards
+    const target = targets[i]
+    const unknownAttrs = insert.length > 0 ? unknownAttributesAt(ytext, index, schema) : {}
+    let pos = 0
+    content.forEach(({ insert: runText, attributes }) => {
+      const from = math.max(pos, target)
+      const to = math.min(pos + runText.length, target + insert.length)
+      if (from < to) {
+        ytext.insert(index + from - target, runText.slice(from - pos, to - pos), object.assign({}, unknownAttrs, attributes))
+      }
+      pos += runText.length
+    })
+  }
+  computeYTextFormats(ytext, content, schema).forEach(({ index, length, attributes }) => {
+    ytext.format(index, length, attributes)
+  })
 }
 
 const hashedMarkNameRegex = /(.*)(--[a-zA-Z0-9+/=]{8})$/
@@ -1152,7 +3000,7 @@ export const attributesToMarks = (attrs, schema) => {
 }
 
 /**
- * @param {Array<import('prosemirror-model').Mark>} marks
+ * @param {ReadonlyArray<import('prosemirror-model').Mark>} marks
  * @param {BindingMetadata} meta
  */
 const marksToAttributes = (marks, meta) => {
@@ -1192,7 +3040,8 @@ const nodeMarksToAttributes = (marks) => {
 export const updateYFragment = (y, yDomFragment, pNode, meta) => {
   if (
     yDomFragment instanceof Y.XmlElement &&
-    yDomFragment.nodeName !== pNode.type.name
+    getNodeName(yDomFragment) !== pNode.type.name &&
+    !meta.mutableNodeTypes
   ) {
     throw new Error('node name mismatch!')
   }
@@ -1202,12 +3051,22 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
     const yDomAttrs = yDomFragment.getAttributes()
     const pAttrs = pNode.attrs
     const pNodeMarksAttr = nodeMarksToAttributes(pNode.marks)
+    /**
+     * @type {Object<string,any>}
+     */
     const attrs = { ...pAttrs, ...pNodeMarksAttr }
+    if (yDomFragment.nodeName !== pNode.type.name) {
+      attrs[NodeTypeAttribute] = pNode.type.name
+    }
 
     for (const key in attrs) {
       if (attrs[key] !== null) {
-        if (yDomAttrs[key] !== attrs[key] && key !== 'ychange') {
-          yDomFragment.setAttribute(key, attrs[key])
+        const yattr = yDomAttrs[key]
+        if (
+          yattr !== attrs[key] && key !== 'ychange' &&
+          !(yattr instanceof Y.AbstractType && updateStructuredValue(yattr, attrs[key]))
+        ) {
+          yDomFragment.setAttribute(key, isStructuredAttribute(meta, pNode.type.name, key) ? createStructuredValue(attrs[key]) : attrs[key])
         }
       } else {
         yDomFragment.removeAttribute(key)
@@ -1220,10 +3079,53 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
       }
     }
   }
-  // update children
-  const pChildren = normalizePNodeContent(pNode)
+  updateYChildren(y, yDomFragment, normalizePNodeContent(pNode), 0, yDomFragment.length, meta)
+}
+
+/**
+ * Update a range of children of a yDom node so that they match `pChildren`.
+ *
+ * @param {{transact: Function}} y
+ * @param {Y.XmlFragment} yDomFragment
+ * @param {NormalizedPNodeContent} pChildren
+ * @param {number} from Index of the first child in yDomFragment that is updated
+ * @param {number} to Index after the last child in yDomFragment that is updated
+ * @param {BindingMetadata} meta
+ */
+const updateYChildren = (y, yDomFragment, pChildren, from, to, meta) => {
   const pChildCnt = pChildren.length
-  const yChildren = yDomFragment.toArray()
+  /**
+   * @type {Array<Y.XmlElement|Y.XmlText|Y.XmlHook>}
+   */
+  const yChildren = []
+  /**
+   * The index of each child in yDomFragment. Invalid children that were skipped when rendering
+   * are not part of yChildren and are retained.
+   *
+   * @type {Array<number>}
+   */
+  const yIndexes = []
+  yDomFragment.slice(from, to).forEach((ychild, i) => {
+    if (meta.mapping.get(ychild) !== null) {
+      yChildren.push(ychild)
+      yIndexes.push(from + i)
+    }
+  })
+  yIndexes.push(to)
+  if (meta.moves) {
+    const moved = findMovedChildren(yChildren, pChildren, meta.mapping)
+    if (moved.length > 0) {
+      moved.forEach(i => collectMoveSource(/** @type {import('../moves.js').MoveCollector} */ (meta.moves), yChildren[i], meta.mapping))
+      // delete the moved children, their content is copied to their new position
+      y.transact(() => {
+        for (let i = moved.length - 1; i >= 0; i--) {
+          meta.mapping.delete(yChildren[moved[i]])
+          yDomFragment.delete(yIndexes[moved[i]], 1)
+        }
+      })
+      return updateYChildren(y, yDomFragment, pChildren, from, to - moved.length, meta)
+    }
+  }
   const yChildCnt = yChildren.length
   const minCnt = math.min(pChildCnt, yChildCnt)
   let left = 0
@@ -1233,7 +3135,7 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
     const leftY = yChildren[left]
     const leftP = pChildren[left]
     if (!mappedIdentity(meta.mapping.get(leftY), leftP)) {
-      if (equalYTypePNode(leftY, leftP)) {
+      if (equalYTypePNode(leftY, leftP, meta)) {
         // update mapping
         meta.mapping.set(leftY, leftP)
       } else {
@@ -1246,7 +3148,7 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
     const rightY = yChildren[yChildCnt - right - 1]
     const rightP = pChildren[pChildCnt - right - 1]
     if (!mappedIdentity(meta.mapping.get(rightY), rightP)) {
-      if (equalYTypePNode(rightY, rightP)) {
+      if (equalYTypePNode(rightY, rightP, meta)) {
         // update mapping
         meta.mapping.set(rightY, rightP)
       } else {
@@ -1261,7 +3163,20 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
       const leftP = pChildren[left]
       const rightY = yChildren[yChildCnt - right - 1]
       const rightP = pChildren[pChildCnt - right - 1]
-      if (leftY instanceof Y.XmlText && leftP instanceof Array) {
+      const adapter = matchNodeAdapter(leftY, leftP, meta)
+      const rightAdapter = matchNodeAdapter(rightY, rightP, meta)
+      if (mappedIdentity(meta.mapping.get(leftY), leftP)) {
+        // e.g. placeholders of invalid content that are retained
+        left += 1
+      } else if (adapter !== null) {
+        adapter.update(/** @type {Y.XmlHook} */ (leftY), /** @type {PModel.Node} */ (leftP))
+        meta.mapping.set(leftY, leftP)
+        left += 1
+      } else if (rightAdapter !== null) {
+        rightAdapter.update(/** @type {Y.XmlHook} */ (rightY), /** @type {PModel.Node} */ (rightP))
+        meta.mapping.set(rightY, rightP)
+        right += 1
+      } else if (leftY instanceof Y.XmlText && leftP instanceof Array) {
         if (!equalYTextPText(leftY, leftP)) {
           updateYText(leftY, leftP, meta)
         }
@@ -1271,6 +3186,11 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
           matchNodeName(leftY, leftP)
         let updateRight = rightY instanceof Y.XmlElement &&
           matchNodeName(rightY, rightP)
+        if (!updateLeft && !updateRight && meta.mutableNodeTypes) {
+          // e.g. a paragraph that was converted to a heading
+          updateLeft = isConvertedElement(leftY, leftP, meta)
+          updateRight = !updateLeft && isConvertedElement(rightY, rightP, meta)
+        }
         if (updateLeft && updateRight) {
           // decide which which element to update
           const equalityLeft = computeChildEqualityFactor(
@@ -1316,9 +3236,9 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
           )
           right += 1
         } else {
-          meta.mapping.delete(yDomFragment.get(left))
-          yDomFragment.delete(left, 1)
-          yDomFragment.insert(left, [
+          meta.mapping.delete(leftY)
+          yDomFragment.delete(yIndexes[left], 1)
+          yDomFragment.insert(yIndexes[left], [
             createTypeFromTextOrElementNode(leftP, meta)
           ])
           left += 1
@@ -1334,23 +3254,177 @@ export const updateYFragment = (y, yDomFragment, pNode, meta) => {
       // Only delete the content of the Y.Text to retain remote changes on the same Y.Text object
       yChildren[0].delete(0, yChildren[0].length)
     } else if (yDelLen > 0) {
-      yDomFragment.slice(left, left + yDelLen).forEach(type => meta.mapping.delete(type))
-      yDomFragment.delete(left, yDelLen)
+      // delete consecutive children at once
+      for (let i = left + yDelLen - 1; i >= left;) {
+        let j = i
+        while (j > left && yIndexes[j - 1] === yIndexes[j] - 1) {
+          j--
+        }
+        yChildren.slice(j, i + 1).forEach(type => meta.mapping.delete(type))
+        yDomFragment.delete(yIndexes[j], i - j + 1)
+        i = j - 1
+      }
     }
     if (left + right < pChildCnt) {
       const ins = []
       for (let i = left; i < pChildCnt - right; i++) {
         ins.push(createTypeFromTextOrElementNode(pChildren[i], meta))
       }
-      yDomFragment.insert(left, ins)
+      yDomFragment.insert(yIndexes[left], ins)
     }
   }, ySyncPluginKey)
 }
 
+/**
+ * Whether a prosemirror node is a Yjs element with a different node type, i.e. whether the
+ * element should be converted instead of being replaced.
+ *
+ * @param {Y.XmlElement|Y.XmlText|Y.XmlHook} ytype
+ * @param {PModel.Node|Array<PModel.Node>} pNode
+ * @param {BindingMetadata} meta
+ * @return {boolean}
+ */
+const isConvertedElement = (ytype, pNode, meta) => {
+  if (!(ytype instanceof Y.XmlElement) || pNode instanceof Array || isPlaceholderNode(pNode, meta)) {
+    return false
+  }
+  if (ytype.length === 0 && pNode.childCount === 0) {
+    return true
+  }
+  const { equalityFactor, foundMappedChild } = computeChildEqualityFactor(ytype, pNode, meta)
+  return foundMappedChild || equalityFactor > 0
+}
+
 /**
  * @function
  * @param {Y.XmlElement} yElement
  * @param {any} pNode Prosemirror Node
  */
 const matchNodeName = (yElement, pNode) =>
-  !(pNode instanceof Array) && yElement.nodeName === pNode.type.name
+  !(pNode instanceof Array) && getNodeName(yElement) === pNode.type.name
+
+/**
+ * A step of a local transaction together with the documents before and after the step.
+ *
+ * @typedef {Object} StepRecord
+ * @property {import('prosemirror-transform').Step} StepRecord.step
+ * @property {PModel.Node} StepRecord.before
+ * @property {PModel.Node} StepRecord.after
+ */
+
+/**
+ * Write the change of a single ProseMirror step to the yDom fragment. Only the children that are
+ * affected by the step are compared and updated.
+ *
+ * @param {{transact: Function}} y
+ * @param {Y.XmlFragment} yXmlFragment The type that represents `record.before`
+ * @param {StepRecord} record
+ * @param {BindingMetadata} meta
+ * @return {boolean} false if the step could not be translated
+ */
+const updateYFragmentFromStep = (y, yXmlFragment, { step, before, after }, meta) => {
+  const s = /** @type {any} */ (step)
+  let from
+  let to
+  if (typeof s.from === 'number' && typeof s.to === 'number') {
+    // ReplaceStep, ReplaceAroundStep, AddMarkStep, RemoveMarkStep
+    from = s.from
+    to = s.to
+  } else if (typeof s.pos === 'number') {
+    // AttrStep, AddNodeMarkStep, RemoveNodeMarkStep change the node after pos
+    const node = before.nodeAt(s.pos)
+    if (node === null) {
+      return false
+    }
+    from = s.pos
+    to = s.pos + node.nodeSize
+  } else {
+    return false
+  }
+  const $from = before.resolve(from)
+  const $to = before.resolve(to)
+  let depth = $from.sharedDepth(to)
+  if (s.slice instanceof PModel.Slice) {
+    // open slices change the structure of the ancestors (e.g. when a paragraph is split)
+    depth = math.min(depth, math.min($from.depth - s.slice.openStart, $to.depth - s.slice.openEnd))
+  }
+  if (depth < 0) {
+    return false
+  }
+  /**
+   * @type {Array<Y.XmlFragment>}
+   */
+  const yPath = [yXmlFragment]
+  /**
+   * @type {Array<PModel.Node>}
+   */
+  const pPath = [after]
+  let ytype = yXmlFragment
+  let pnode = before
+  let anode = after
+  for (let d = 0; d < depth; d++) {
+    if (pnode.inlineContent || ytype.length !== pnode.childCount) {
+      return false
+    }
+    const index = $from.index(d)
+    const ychild = ytype.get(index)
+    pnode = pnode.child(index)
+    anode = anode.child(index)
+    if (!(ychild instanceof Y.XmlElement) || getNodeName(ychild) !== pnode.type.name || anode.type !== pnode.type) {
+      return false
+    }
+    ytype = ychild
+    yPath.push(ytype)
+    pPath.push(anode)
+  }
+  if (pnode.inlineContent) {
+    // inline content is represented by a few Y.XmlText and inline nodes. Simply compare the
+    // whole textblock.
+    updateYFragment(y, ytype, anode, meta)
+  } else {
+    if (ytype.length !== pnode.childCount) {
+      return false
+    }
+    const childFrom = $from.index(depth)
+    const childTo = $to.indexAfter(depth)
+    const newChildTo = anode.childCount - (pnode.childCount - childTo)
+    if (newChildTo < childFrom) {
+      return false
+    }
+    /**
+     * @type {Array<PModel.Node>}
+     */
+    const pChildren = []
+    for (let i = childFrom; i < newChildTo; i++) {
+      pChildren.push(anode.child(i))
+    }
+    y.transact(() => {
+      updateYChildren(y, ytype, pChildren, childFrom, childTo, meta)
+    }, ySyncPluginKey)
+  }
+  // the ancestors of the changed content are represented by new ProseMirror nodes
+  yPath.forEach((ytype, d) => {
+    meta.mapping.set(ytype, pPath[d])
+  })
+  return true
+}
+
+/**
+ * Update a yDom fragment by translating ProseMirror steps to targeted Yjs operations.
+ *
+ * Stops at the first step that can't be translated. In this case the caller must sync the
+ * remaining changes using `updateYFragment`.
+ *
+ * This is a y-prosemirror internal feature that you can use at your own risk.
+ *
+ * @private
+ * @unstable
+ *
+ * @param {{transact: Function}} y
+ * @param {Y.XmlFragment} yXmlFragment The type that represents the document before the first step
+ * @param {Array<StepRecord>} steps
+ * @param {BindingMetadata} meta
+ * @return {boolean} Whether all steps were translated
+ */
+export const updateYFragmentFromSteps = (y, yXmlFragment, steps, meta) =>
+  steps.every(record => updateYFragmentFromStep(y, yXmlFragment, record, meta))
@@ -1,6 +1,6 @@
 import { Plugin } from 'prosemirror-state'
 
-import { getRelativeSelection } from './sync-plugin.js'
+import { getNodeName, getRelativeSelection, revertChangeOrigin } from './sync-plugin.js'
 import { UndoManager, Item, ContentType, XmlElement, Text } from 'yjs'
 import { yUndoPluginKey, ySyncPluginKey } from './keys.js'
 
@@ -50,7 +50,7 @@ export const defaultProtectedNodes = new Set(['paragraph'])
 export const defaultDeleteFilter = (item, protectedNodes) => !(item instanceof Item) ||
   !(item.content instanceof ContentType) ||
   !(item.content.type instanceof Text ||
-  (item.content.type instanceof XmlElement && protectedNodes.has(item.content.type.nodeName))) ||
+  (item.content.type instanceof XmlElement && protectedNodes.has(getNodeName(item.content.type)))) ||
   item.content.type._length === 0
 
 /**
@@ -66,7 +66,7 @@ export const yUndoPlugin = ({ protectedNodes = defaultProtectedNodes, trackedOri
       // TODO: check if plugin order matches and fix
       const ystate = ySyncPluginKey.getState(state)
       const _undoManager = undoManager || new UndoManager(ystate.type, {
-        trackedOrigins: new Set([ySyncPluginKey].concat(trackedOrigins)),
+        trackedOrigins: new Set([ySyncPluginKey, revertChangeOrigin].concat(trackedOrigins)),
         deleteFilter: (item) => defaultDeleteFilter(item, protectedNodes),
         captureTransaction: tr => tr.meta.get('addToHistory') !== false
       })
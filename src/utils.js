@@ -1,3 +1,4 @@
+import * as Y from 'yjs'
 import * as sha256 from 'lib0/hash/sha256'
 import * as buf from 'lib0/buffer'
 
@@ -18,3 +19,198 @@ const _convolute = digest => {
  * @param {any} json
  */
 export const hashOfJSON = (json) => buf.toBase64(_convolute(sha256.digest(buf.encodeAny(json))))
+
+/**
+ * A non-negative integer hash of a JSON value. Unlike `hashOfJSON`, the result can be used to
+ * pick an index.
+ *
+ * @param {any} json
+ * @return {number}
+ */
+export const intHashOfJSON = json => {
+  const digest = sha256.digest(buf.encodeAny(json))
+  return (digest[0] << 16) | (digest[1] << 8) | digest[2]
+}
+
+/**
+ * @param {any} ystate The state of the ySyncPlugin
+ * @return {boolean}
+ */
+export const isSnapshotRendered = ystate => ystate.snapshot != null || ystate.prevSnapshot != null
+
+/**
+ * The ranges of the new document that were changed by a transaction. This includes steps that
+ * don't change positions, e.g. formatting and attribute changes.
+ *
+ * @param {import('prosemirror-state').Transaction} tr
+ * @return {Array<{ from: number, to: number }>}
+ */
+export const changedRanges = tr => {
+  /**
+   * @type {Array<{ from: number, to: number }>}
+   */
+  const ranges = []
+  tr.mapping.maps.forEach((stepMap, i) => {
+    const rest = tr.mapping.slice(i + 1)
+    const step = /** @type {any} */ (tr.steps[i])
+    if (step && typeof step.pos === 'number') {
+      // node attribute and node mark steps
+      ranges.push({ from: rest.map(step.pos, -1), to: rest.map(step.pos, 1) })
+    } else if (step && step.slice === undefined && typeof step.from === 'number' && typeof step.to === 'number') {
+      // mark steps
+      ranges.push({ from: rest.map(step.from, -1), to: rest.map(step.to, 1) })
+    }
+    stepMap.forEach((_oldStart, _oldEnd, newStart, newEnd) => {
+      ranges.push({ from: rest.map(newStart, -1), to: rest.map(newEnd, 1) })
+    })
+  })
+  return ranges
+}
+
+/**
+ * Find a type in another document that contains the same history, e.g. a copy of the document.
+ *
+ * @param {Y.XmlFragment} type
+ * @param {Y.Doc} doc
+ * @return {Y.XmlFragment}
+ */
+export const getTypeInDoc = (type, doc) => {
+  if (type._item === null) {
+    // root types are identified by their key
+    return doc.getXmlFragment(Y.findRootTypeKey(type))
+  }
+  // other types are identified by the id of their item
+  const structs = doc.store.clients.get(type._item.id.client) ?? []
+  const item = /** @type {Y.Item} */ (structs[Y.findIndexSS(structs, type._item.id.clock)])
+  return /** @type {Y.XmlFragment} */ (/** @type {Y.ContentType} */ (item.content).type)
+}
+
+/**
+ * A change of a text: `remove` characters at `index` are replaced with `insert`.
+ *
+ * @typedef {Object} TextChange
+ * @property {number} TextChange.index
+ * @property {number} TextChange.remove
+ * @property {string} TextChange.insert
+ */
+
+/**
+ * Compute the shortest edit script of two arrays (Myers' algorithm).
+ *
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @param {number} maxEdits
+ * @return {Array<{ aStart: number, aEnd: number, bStart: number, bEnd: number }>|null} The changed
+ *   regions, or null if more than `maxEdits` insertions and deletions are required
+ */
+const myersDiff = (a, b, maxEdits) => {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, maxEdits)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  /**
+   * @type {Array<Int32Array>}
+   */
+  const trace = []
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        // walk back through the trace and collect the changed regions
+        /**
+         * @type {Array<{ aStart: number, aEnd: number, bStart: number, bEnd: number }>}
+         */
+        const regions = []
+        for (let e = d; e > 0; e--) {
+          const tv = trace[e]
+          const k = x - y
+          const prevK = k === -e || (k !== e && tv[offset + k - 1] < tv[offset + k + 1]) ? k + 1 : k - 1
+          const prevX = tv[offset + prevK]
+          const prevY = prevX - prevK
+          while (x > prevX && y > prevY) {
+            x--
+            y--
+          }
+          const last = regions[regions.length - 1]
+          if (last !== undefined && last.aStart === x && last.bStart === y) {
+            last.aStart = prevX
+            last.bStart = prevY
+          } else {
+            regions.push({ aStart: prevX, aEnd: x, bStart: prevY, bEnd: y })
+          }
+          x = prevX
+          y = prevY
+        }
+        return regions.reverse()
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Compute the changes between two texts. Unlike `simpleDiff`, the result contains a change for
+ * each changed region, so that text between the regions is retained. Changes that are separated
+ * by short runs of equal text are merged, so that e.g. a replaced word isn't described as many
+ * changes of single characters. Surrogate pairs are never split.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maxEdits] If more insertions and deletions of characters are required, the
+ *   texts are compared like `simpleDiff` does.
+ * @return {Array<TextChange>} The changes, sorted by index. The indexes refer to `a`.
+ */
+export const diffText = (a, b, maxEdits = 500) => {
+  const ca = Array.from(a)
+  const cb = Array.from(b)
+  let prefix = 0
+  while (prefix < ca.length && prefix < cb.length && ca[prefix] === cb[prefix]) {
+    prefix++
+  }
+  let suffix = 0
+  while (suffix < ca.length - prefix && suffix < cb.length - prefix && ca[ca.length - suffix - 1] === cb[cb.length - suffix - 1]) {
+    suffix++
+  }
+  const ma = ca.slice(prefix, ca.length - suffix)
+  const mb = cb.slice(prefix, cb.length - suffix)
+  if (ma.length === 0 && mb.length === 0) {
+    return []
+  }
+  const regions = (myersDiff(ma, mb, maxEdits) || [{ aStart: 0, aEnd: ma.length, bStart: 0, bEnd: mb.length }])
+    .map(({ aStart, aEnd, bStart, bEnd }) => ({ aStart: aStart + prefix, aEnd: aEnd + prefix, bStart: bStart + prefix, bEnd: bEnd + prefix }))
+  /**
+   * @type {Array<{ aStart: number, aEnd: number, bStart: number, bEnd: number }>}
+   */
+  const merged = []
+  regions.forEach(region => {
+    const last = merged[merged.length - 1]
+    const gap = last === undefined ? 0 : region.aStart - last.aEnd
+    if (last !== undefined && gap <= Math.max(last.aEnd - last.aStart, last.bEnd - last.bStart) && gap <= Math.max(region.aEnd - region.aStart, region.bEnd - region.bStart)) {
+      last.aEnd = region.aEnd
+      last.bEnd = region.bEnd
+    } else {
+      merged.push(region)
+    }
+  })
+  // translate the indexes of characters to the indexes of UTF-16 code units
+  let index = 0
+  let pos = 0
+  return merged.map(({ aStart, aEnd, bStart, bEnd }) => {
+    for (; pos < aStart; pos++) {
+      index += ca[pos].length
+    }
+    const start = index
+    for (; pos < aEnd; pos++) {
+      index += ca[pos].length
+    }
+    return { index: start, remove: index - start, insert: cb.slice(bStart, bEnd).join('') }
+  })
+}
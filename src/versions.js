@@ -0,0 +1,105 @@
+import * as Y from 'yjs'
+import * as error from 'lib0/error'
+import * as random from 'lib0/random'
+import { ySyncPluginKey, yUndoPluginKey } from './plugins/keys.js'
+import { yXmlFragmentToProseMirrorRootNode } from './lib.js'
+import { getTypeInDoc } from './utils.js'
+
+/**
+ * A named version of the document.
+ *
+ * @typedef {Object} Version
+ * @property {string} Version.id
+ * @property {string} Version.label
+ * @property {any} Version.author
+ * @property {number} Version.timestamp
+ * @property {Uint8Array} Version.snapshot Encoded Y.Snapshot
+ */
+
+/**
+ * @param {Y.Doc} doc
+ */
+const checkGc = doc => {
+  if (doc.gc) {
+    throw error.create('Versions require a document that was created with `gc: false`')
+  }
+}
+
+/**
+ * The default place for versions of a document.
+ *
+ * @param {Y.Doc} doc
+ * @return {Y.Array<Version>}
+ */
+export const getVersions = doc => doc.getArray('versions')
+
+/**
+ * Save the current state of the document as a named version.
+ *
+ * @param {Y.Doc} doc
+ * @param {Object} opts
+ * @param {string} opts.label
+ * @param {any} [opts.author]
+ * @param {number} [opts.timestamp]
+ * @param {Y.Array<Version>} [opts.versions] Where the version is stored. Defaults to `getVersions(doc)`
+ * @return {Version}
+ */
+export const saveVersion = (doc, { label, author = null, timestamp = Date.now(), versions = getVersions(doc) }) => {
+  checkGc(doc)
+  /**
+   * @type {Version}
+   */
+  const version = {
+    id: random.uuidv4(),
+    label,
+    author,
+    timestamp,
+    snapshot: Y.encodeSnapshot(Y.snapshot(doc))
+  }
+  versions.push([version])
+  return version
+}
+
+/**
+ * All versions, sorted by timestamp.
+ *
+ * @param {Y.Array<Version>} versions
+ * @return {Array<Version>}
+ */
+export const listVersions = versions => versions.toArray().sort((a, b) => a.timestamp - b.timestamp)
+
+/**
+ * Render the differences between two versions. Call `binding.unrenderSnapshot()` to show the
+ * current document again.
+ *
+ * @param {import('prosemirror-view').EditorView} view
+ * @param {Version} from
+ * @param {Version} to
+ */
+export const compareVersions = (view, from, to) => {
+  const { binding } = ySyncPluginKey.getState(view.state)
+  checkGc(binding.doc)
+  binding.renderSnapshot(Y.decodeSnapshot(to.snapshot), Y.decodeSnapshot(from.snapshot))
+}
+
+/**
+ * Restore a version. The content of the version is applied as a new change, which can be undone
+ * if the yUndoPlugin is used. The history of the document is retained.
+ *
+ * @param {import('prosemirror-view').EditorView} view
+ * @param {Version} version
+ */
+export const restoreVersion = (view, version) => {
+  const { binding, snapshot, prevSnapshot } = ySyncPluginKey.getState(view.state)
+  checkGc(binding.doc)
+  if (snapshot != null || prevSnapshot != null) {
+    binding.unrenderSnapshot()
+  }
+  const versionDoc = Y.createDocFromSnapshot(binding.doc, Y.decodeSnapshot(version.snapshot))
+  const doc = yXmlFragmentToProseMirrorRootNode(getTypeInDoc(binding.type, versionDoc), view.state.schema, binding)
+  const undoManager = yUndoPluginKey.getState(view.state)?.undoManager
+  // restoring a version is a separate undo step
+  undoManager?.stopCapturing()
+  view.dispatch(view.state.tr.replaceWith(0, view.state.doc.content.size, doc.content))
+  undoManager?.stopCapturing()
+}
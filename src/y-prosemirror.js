@@ -12,6 +12,17 @@ export {
   getRelativeSelection,
   ProsemirrorBinding,
   updateYFragment,
+  updatePDocFromYTransaction,
+  placeholderNodeSpec,
+  inlinePlaceholderNodeSpec,
+  revertChangeOrigin,
+  getColorMapping,
+  getUserColor,
+  getUserColorKey,
+  assignUserColor,
+  NodeTypeAttribute,
+  getNodeName,
+  getPlainAttributes,
 } from "./plugins/sync-plugin.js";
 
 export {
@@ -24,10 +35,46 @@ export {
   yUndoPlugin,
 } from "./plugins/undo-plugin.js";
 
+export {
+  defaultResolveUser,
+  defaultBlameTextBuilder,
+  defaultBlameBlockBuilder,
+  toggleBlame,
+  yBlamePlugin,
+} from "./plugins/blame-plugin.js";
+
+export {
+  defaultBaselineAddedBuilder,
+  defaultBaselineRemovedBuilder,
+  defaultBaselineChangedBuilder,
+  setBaseline,
+  yBaselinePlugin,
+} from "./plugins/baseline-plugin.js";
+
+export {
+  suggestionMarkSpec,
+  getSuggestions,
+  acceptSuggestion,
+  rejectSuggestion,
+  toggleSuggestionMode,
+  ySuggestionPlugin,
+} from "./plugins/suggestion-plugin.js";
+
+export {
+  collectChanges,
+  summarizeChanges,
+  nextChange,
+  prevChange,
+  revertChange,
+} from "./plugins/changes.js";
+
 export {
   ySyncPluginKey,
   yUndoPluginKey,
   yCursorPluginKey,
+  yBlamePluginKey,
+  ySuggestionPluginKey,
+  yBaselinePluginKey,
 } from "./plugins/keys.js";
 export {
   absolutePositionToRelativePosition,
@@ -41,7 +88,32 @@ export {
   yXmlFragmentToProsemirrorJSON,
   yXmlFragmentToProsemirror,
   prosemirrorToYXmlFragment,
+  applyProsemirrorDocToYXmlFragment,
   yXmlFragmentToProseMirrorRootNode,
   yXmlFragmentToProseMirrorFragment,
+  yXmlFragmentToProseMirrorDiffDoc,
   initProseMirrorDoc,
 } from "./lib.js";
+export {
+  getSchemaVersion,
+  migrateYXmlFragment,
+  renameNodeType,
+  renameNodeAttribute,
+} from "./migrations.js";
+export {
+  getVersions,
+  saveVersion,
+  listVersions,
+  compareVersions,
+  restoreVersion,
+} from "./versions.js";
+
+export { AttributionStore } from "./attribution.js";
+
+export { HeadlessProsemirrorBinding } from "./headless.js";
+
+export { CollabAuthority, YCollabBridge, collabOrigin } from "./collab.js";
+
+export { yUpdateToChangeRecords } from "./activity.js";
+
+export { defaultMoveExpiry, getMoveMap, moveOrigin } from "./moves.js";
@@ -6,24 +6,70 @@ import * as Y from 'yjs'
 import { applyRandomTests } from 'yjs/testHelper'
 
 import {
+  absolutePositionToRelativePosition,
+  relativePositionToAbsolutePosition,
+  compareVersions,
+  yUpdateToChangeRecords,
+  CollabAuthority,
+  YCollabBridge,
+  applyProsemirrorDocToYXmlFragment,
+  HeadlessProsemirrorBinding,
+  NodeTypeAttribute,
+  getPlainAttributes,
+  getMoveMap,
+  AttributionStore,
+  createDecorations,
+  getColorMapping,
+  getUserColor,
+  getUserColorKey,
+  assignUserColor,
+  nextChange,
+  prevChange,
+  revertChange,
+  toggleBlame,
+  setBaseline,
+  yBaselinePlugin,
+  yBaselinePluginKey,
+  acceptSuggestion,
+  getSuggestions,
+  rejectSuggestion,
+  suggestionMarkSpec,
+  ySuggestionPlugin,
+  yBlamePlugin,
+  yBlamePluginKey,
+  getSchemaVersion,
+  getVersions,
+  listVersions,
+  restoreVersion,
+  saveVersion,
+  initProseMirrorDoc,
+  migrateYXmlFragment,
+  renameNodeAttribute,
+  renameNodeType,
   prosemirrorJSONToYDoc,
   prosemirrorJSONToYXmlFragment,
+  prosemirrorToYXmlFragment,
   redo,
   undo,
   yDocToProsemirrorJSON,
+  placeholderNodeSpec,
+  inlinePlaceholderNodeSpec,
   ySyncPlugin,
   ySyncPluginKey,
   yUndoPlugin,
   yUndoPluginKey,
-  yXmlFragmentToProsemirrorJSON
+  yXmlFragmentToProsemirrorJSON,
+  yXmlFragmentToProseMirrorDiffDoc,
+  yXmlFragmentToProseMirrorRootNode
 } from '../src/y-prosemirror.js'
 import { EditorState, Plugin, TextSelection } from 'prosemirror-state'
 import { EditorView } from 'prosemirror-view'
-import { Schema } from 'prosemirror-model'
+import { Schema, Node as PNode } from 'prosemirror-model'
 import * as basicSchema from 'prosemirror-schema-basic'
 import { findWrapping } from 'prosemirror-transform'
 import { schema as complexSchema } from './complexSchema.js'
 import * as promise from 'lib0/promise'
+import { Awareness } from 'y-protocols/awareness'
 
 const schema = new Schema({
   nodes: basicSchema.nodes,
@@ -351,6 +397,98 @@ export const testInsertRightMatch = (_tc) => {
   t.assert(lastP.toString() === '<paragraph></paragraph>', 'last paragraph remains empty and is placed at the end')
 }
 
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testMultiRegionTextDiff = (_tc) => {
+  const ydoc1 = new Y.Doc()
+  const ydoc2 = new Y.Doc()
+  const view1 = createNewProsemirrorView(ydoc1)
+  const view2 = createNewProsemirrorView(ydoc2)
+  view1.dispatch(view1.state.tr.insert(0, schema.node('paragraph', undefined, schema.text('one two three four five 🙂'))))
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+  /**
+   * @type {Array<Uint8Array>}
+   */
+  const updates = []
+  ydoc1.on('update', update => { updates.push(update) })
+  // two separate changes in one transaction
+  const tr = view1.state.tr.insertText('4', 15, 19).insertText('1', 1, 4)
+  const end = tr.doc.child(0).nodeSize - 1
+  view1.dispatch(tr.insertText('🙃', end - 2, end))
+  t.assert(updates.length === 1)
+  const { ds } = Y.decodeUpdate(updates[0])
+  let deleted = 0
+  ds.clients.forEach(deletes => deletes.forEach(({ len }) => { deleted += len }))
+  t.assert(deleted === 3 + 4 + 2, 'only the changed characters are deleted')
+  // a concurrent change between the changed regions is retained
+  view2.dispatch(view2.state.tr.insertText('X', 8))
+  Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+  t.compare(view1.state.doc.textContent, '1 twoX three 4 five 🙃')
+  t.compare(view2.state.doc.textContent, '1 twoX three 4 five 🙃')
+}
+
+/**
+ * Typing and toggling marks only writes the changed formatting to Yjs.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testFormatMinimalTextUpdates = (_tc) => {
+  const ydoc = new Y.Doc()
+  const view = createNewProsemirrorView(ydoc)
+  view.dispatch(view.state.tr.insert(0, schema.node('paragraph', undefined, [
+    schema.text('plain '),
+    schema.text('bold', [schema.mark('strong')]),
+    schema.text(' text '),
+    schema.text('italic', [schema.mark('em')]),
+    schema.text(' and more plain text')
+  ])))
+  /**
+   * @param {import('prosemirror-state').Transaction} tr
+   */
+  const measure = tr => {
+    /**
+     * @type {Array<Uint8Array>}
+     */
+    const updates = []
+    /**
+     * @param {Uint8Array} update
+     */
+    const onUpdate = update => { updates.push(update) }
+    ydoc.on('update', onUpdate)
+    view.dispatch(tr)
+    ydoc.off('update', onUpdate)
+    const { structs, ds } = Y.decodeUpdate(updates[0])
+    return {
+      size: updates[0].length,
+      formats: structs.filter(struct => struct instanceof Y.Item && struct.content instanceof Y.ContentFormat).length,
+      deleted: ds.clients.size
+    }
+  }
+  // typing inside and next to formatted text
+  ;[
+    () => view.state.tr.insertText('x', 3),
+    () => view.state.tr.insertText('x', 10),
+    () => view.state.tr.insert(13, schema.text('x')),
+    () => view.state.tr.insert(8, schema.text('x'))
+  ].forEach(createTr => {
+    const { size, formats, deleted } = measure(createTr())
+    t.assert(formats === 0 && deleted === 0 && size < 30)
+  })
+  // toggling marks of the word "boxld"
+  ;[
+    () => view.state.tr.addMark(9, 14, schema.mark('em')),
+    () => view.state.tr.removeMark(9, 14, schema.mark('em')),
+    () => view.state.tr.removeMark(9, 14, schema.mark('strong')),
+    () => view.state.tr.addMark(9, 14, schema.mark('strong'))
+  ].forEach(createTr => {
+    const { size, formats } = measure(createTr())
+    t.assert(formats <= 2 && size < 70)
+  })
+  t.assert(yXmlFragmentToProseMirrorRootNode(ydoc.getXmlFragment('prosemirror'), schema).eq(view.state.doc))
+}
+
 export const testAddToHistory = (_tc) => {
   const ydoc = new Y.Doc()
   const view = createNewProsemirrorViewWithUndoManager(ydoc)
@@ -474,78 +612,1392 @@ export const testVersioning = async (_tc) => {
   const yxml = ydoc.get('prosemirror', Y.XmlFragment)
   const permanentUserData = new Y.PermanentUserData(ydoc)
   permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'me')
-  ydoc.gc = false
-  console.log('yxml', yxml.toString())
-  const view = createNewComplexProsemirrorView(ydoc)
+  ydoc.gc = false
+  console.log('yxml', yxml.toString())
+  const view = createNewComplexProsemirrorView(ydoc)
+  const p = new Y.XmlElement('paragraph')
+  const ytext = new Y.XmlText('hello world!')
+  p.insert(0, [ytext])
+  yxml.insert(0, [p])
+  const snapshot1 = Y.snapshot(ydoc)
+  const snapshotDoc1 = Y.encodeStateAsUpdateV2(ydoc)
+  ytext.delete(0, 6)
+  const snapshot2 = Y.snapshot(ydoc)
+  const snapshotDoc2 = Y.encodeStateAsUpdateV2(ydoc)
+  view.dispatch(
+    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshot2, prevSnapshot: snapshot1, permanentUserData })
+  )
+  await promise.wait(50)
+  console.log('calculated diff via snapshots: ', view.state.doc.toJSON())
+  // recreate the JSON, because ProseMirror messes with the constructors
+  const viewstate1 = JSON.parse(JSON.stringify(view.state.doc.toJSON().content[0].content))
+  const expectedState = [{
+    type: 'text',
+    marks: [{ type: 'ychange', attrs: { user: 'me', type: 'removed' } }],
+    text: 'hello '
+  }, {
+    type: 'text',
+    text: 'world!'
+  }]
+  console.log('calculated diff via snapshots: ', JSON.stringify(viewstate1))
+  t.compare(viewstate1, expectedState)
+
+  t.info('now check whether we get the same result when rendering the updates')
+  view.dispatch(
+    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshotDoc2, prevSnapshot: snapshotDoc1, permanentUserData })
+  )
+  await promise.wait(50)
+
+  const viewstate2 = JSON.parse(JSON.stringify(view.state.doc.toJSON().content[0].content))
+  console.log('calculated diff via updates: ', JSON.stringify(viewstate2))
+  t.compare(viewstate2, expectedState)
+}
+
+export const testVersioningWithGarbageCollection = async (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'me')
+  console.log('yxml', yxml.toString())
+  const view = createNewComplexProsemirrorView(ydoc)
+  const p = new Y.XmlElement('paragraph')
+  const ytext = new Y.XmlText('hello world!')
+  p.insert(0, [ytext])
+  yxml.insert(0, [p])
+  const snapshotDoc1 = Y.encodeStateAsUpdateV2(ydoc)
+  ytext.delete(0, 6)
+  const snapshotDoc2 = Y.encodeStateAsUpdateV2(ydoc)
+  view.dispatch(
+    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshotDoc2, prevSnapshot: snapshotDoc1, permanentUserData })
+  )
+  await promise.wait(50)
+  console.log('calculated diff via snapshots: ', view.state.doc.toJSON())
+  // recreate the JSON, because ProseMirror messes with the constructors
+  const viewstate1 = JSON.parse(JSON.stringify(view.state.doc.toJSON().content[0].content))
+  const expectedState = [{
+    type: 'text',
+    marks: [{ type: 'ychange', attrs: { user: 'me', type: 'removed' } }],
+    text: 'hello '
+  }, {
+    type: 'text',
+    text: 'world!'
+  }]
+  console.log('calculated diff via snapshots: ', JSON.stringify(viewstate1))
+  t.compare(viewstate1, expectedState)
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testNavigateSnapshotChanges = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'me')
+  const view = createNewComplexProsemirrorView(ydoc)
+  const p = new Y.XmlElement('paragraph')
+  const ytext = new Y.XmlText('hello world!')
+  p.insert(0, [ytext])
+  yxml.insert(0, [p])
+  const snapshot1 = Y.snapshot(ydoc)
+  ytext.delete(0, 2)
+  ytext.delete(4, 2)
+  const p2 = new Y.XmlElement('paragraph')
+  p2.insert(0, [new Y.XmlText('new')])
+  yxml.insert(1, [p2])
+  const snapshot2 = Y.snapshot(ydoc)
+  await promise.wait(10)
+  t.compare(ySyncPluginKey.getState(view.state).changes, [])
+  view.dispatch(
+    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshot2, prevSnapshot: snapshot1, permanentUserData })
+  )
+  await promise.wait(50)
+  const { changes, changeSummary } = ySyncPluginKey.getState(view.state)
+  t.compare(changes, [
+    { from: 1, to: 3, type: 'removed', user: 'me' },
+    { from: 7, to: 9, type: 'removed', user: 'me' },
+    { from: 14, to: 19, type: 'added', user: 'me' }
+  ])
+  t.compare(changeSummary, [{ user: 'me', added: 1, removed: 2, changed: 0 }])
+  // jsdom can't scroll, so the commands are applied to the state directly
+  let state = view.state.apply(view.state.tr.setSelection(TextSelection.create(view.state.doc, 1)))
+  /**
+   * @param {import('prosemirror-state').Transaction} tr
+   */
+  const dispatch = tr => {
+    state = state.apply(tr)
+  }
+  t.assert(nextChange(state, dispatch))
+  t.compare([state.selection.from, state.selection.to], [7, 9])
+  t.assert(nextChange(state, dispatch))
+  t.compare(state.doc.textBetween(state.selection.from, state.selection.to), 'new')
+  t.assert(!nextChange(state, dispatch), 'there is no next change')
+  t.assert(prevChange(state, dispatch))
+  t.compare([state.selection.from, state.selection.to], [7, 9])
+  t.assert(prevChange(state, dispatch))
+  t.compare([state.selection.from, state.selection.to], [1, 3])
+  t.assert(!prevChange(state))
+  ySyncPluginKey.getState(view.state).binding.unrenderSnapshot()
+  t.compare(ySyncPluginKey.getState(view.state).changes, [])
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testRevertSnapshotChanges = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'me')
+  const view = createNewComplexProsemirrorView(ydoc, true)
+  const undoManager = yUndoPluginKey.getState(view.state).undoManager
+  const p1 = new Y.XmlElement('paragraph')
+  const ytext = new Y.XmlText()
+  ytext.insert(0, 'hello ')
+  ytext.insert(6, 'world!', { strong: {} })
+  p1.insert(0, [ytext])
+  const p2 = new Y.XmlElement('paragraph')
+  p2.insert(0, [new Y.XmlText('second')])
+  yxml.insert(0, [p1, p2])
+  const snapshot1 = Y.snapshot(ydoc)
+  ytext.delete(4, 4)
+  const p3 = new Y.XmlElement('paragraph')
+  p3.insert(0, [new Y.XmlText('new')])
+  yxml.insert(1, [p3])
+  yxml.delete(2)
+  const snapshot2 = Y.snapshot(ydoc)
+  const changed = yxml.toString()
+  await promise.wait(10)
+  undoManager.clear()
+  view.dispatch(
+    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshot2, prevSnapshot: snapshot1, permanentUserData })
+  )
+  await promise.wait(50)
+  const changes = ySyncPluginKey.getState(view.state).changes
+  t.compare(changes.map(change => change.type), ['removed', 'added', 'removed'])
+  // restore the removed text
+  t.assert(revertChange(view, changes[0]))
+  t.compare(ytext.toDelta(), [{ insert: 'hello ' }, { insert: 'world!', attributes: { strong: {} } }])
+  // remove the added paragraph and restore the deleted paragraph
+  t.assert(revertChange(view, changes[1]))
+  t.assert(revertChange(view, changes[2]))
+  t.compare(yxml.toString(), '<paragraph>hello <strong>world!</strong></paragraph><paragraph>second</paragraph>')
+  t.assert(!revertChange(view, { from: 3, to: 3 }), 'there is nothing to revert in an empty range')
+  // reverting is tracked by the undo manager
+  t.assert(undoManager.undoStack.length === 1)
+  undo(view.state)
+  t.compare(yxml.toString(), changed)
+  ySyncPluginKey.getState(view.state).binding.unrenderSnapshot()
+  t.compare(view.state.doc.textContent, 'hellrld!new')
+}
+
+/**
+ * A schema with a block and an inline node that are stored as Y.XmlHook (see `createLabelAdapter`)
+ */
+const schemaWithHooks = new Schema({
+  nodes: schema.spec.nodes
+    .addToEnd('figure', { group: 'block', atom: true, attrs: { label: { default: '' } }, toDOM: () => ['figure'] })
+    .addToEnd('mention', { group: 'inline', inline: true, atom: true, attrs: { label: { default: '' } }, toDOM: () => ['span'] }),
+  marks: schema.spec.marks
+})
+
+/**
+ * Stores the label of a node in a Y.XmlHook
+ *
+ * @param {string} name
+ * @return {import('../src/plugins/sync-plugin.js').NodeAdapter}
+ */
+const createLabelAdapter = name => ({
+  create: node => {
+    const hook = new Y.XmlHook(name)
+    hook.set('label', node.attrs.label)
+    return hook
+  },
+  update: (hook, node) => {
+    hook.set('label', node.attrs.label)
+  },
+  render: (hook, schema) => schema.node(name, { label: hook.get('label') }),
+  equal: (hook, node) => hook.get('label') === node.attrs.label
+})
+
+/**
+ * @type {import('../src/plugins/sync-plugin.js').NodeAdapters}
+ */
+const labelAdapters = { figure: createLabelAdapter('figure'), mention: createLabelAdapter('mention') }
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testBlameMode = async (_tc) => {
+  const ydoc = new Y.Doc()
+  const remoteDoc = new Y.Doc()
+  ydoc.on('update', update => Y.applyUpdate(remoteDoc, update))
+  remoteDoc.on('update', update => Y.applyUpdate(ydoc, update))
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'alice')
+  new Y.PermanentUserData(remoteDoc).setUserMapping(remoteDoc, remoteDoc.clientID, 'bob')
+  const view = new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [
+        ySyncPlugin(ydoc.get('prosemirror', Y.XmlFragment), { permanentUserData }),
+        yBlamePlugin({ enabled: true })
+      ]
+    })
+  })
+  const getBlame = () => yBlamePluginKey.getState(view.state).decorations.find()
+    .map(deco => ({ from: deco.from, to: deco.to, user: deco.spec.user }))
+    .sort((a, b) => a.from - b.from || b.to - a.to)
+  view.dispatch(view.state.tr.insert(0, schema.node('paragraph', undefined, schema.text('hello'))))
+  await promise.wait(10)
+  t.compare(getBlame(), [
+    { from: 0, to: 7, user: 'alice' },
+    { from: 1, to: 6, user: 'alice' },
+    { from: 7, to: 9, user: 'alice' }
+  ])
+  // remote changes are attributed immediately
+  const remoteText = /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (remoteDoc.get('prosemirror', Y.XmlFragment).get(0)).get(0))
+  remoteText.insert(5, ' world')
+  t.compare(getBlame(), [
+    { from: 0, to: 13, user: 'alice' },
+    { from: 1, to: 6, user: 'alice' },
+    { from: 6, to: 12, user: 'bob' },
+    { from: 13, to: 15, user: 'alice' }
+  ])
+  // the document is still editable
+  view.dispatch(view.state.tr.insertText('!', 12))
+  await promise.wait(10)
+  t.compare(getBlame(), [
+    { from: 0, to: 14, user: 'alice' },
+    { from: 1, to: 6, user: 'alice' },
+    { from: 6, to: 12, user: 'bob' },
+    { from: 12, to: 13, user: 'alice' },
+    { from: 14, to: 16, user: 'alice' }
+  ])
+  t.assert(toggleBlame(view.state, view.dispatch))
+  t.assert(!yBlamePluginKey.getState(view.state).enabled)
+  t.compare(getBlame(), [])
+  // nodes that are stored as Y.XmlHook take up space before the blamed content
+  const hookDoc = new Y.Doc()
+  const hookUserData = new Y.PermanentUserData(hookDoc)
+  hookUserData.setUserMapping(hookDoc, hookDoc.clientID, 'alice')
+  const hookView = new EditorView(null, {
+    state: EditorState.create({
+      schema: schemaWithHooks,
+      plugins: [
+        ySyncPlugin(hookDoc.get('prosemirror', Y.XmlFragment), { permanentUserData: hookUserData, nodeAdapters: labelAdapters }),
+        yBlamePlugin({ enabled: true })
+      ]
+    })
+  })
+  hookView.dispatch(hookView.state.tr.replaceWith(0, hookView.state.doc.content.size, [
+    schemaWithHooks.node('figure', { label: 'chart' }),
+    schemaWithHooks.node('paragraph', undefined, [
+      schemaWithHooks.node('mention', { label: 'bob' }),
+      schemaWithHooks.text('hello')
+    ])
+  ]))
+  await promise.wait(10)
+  t.compare(yBlamePluginKey.getState(hookView.state).decorations.find()
+    .map(deco => ({ from: deco.from, to: deco.to, user: deco.spec.user }))
+    .sort((a, b) => a.from - b.from || b.to - a.to), [
+    { from: 1, to: 9, user: 'alice' },
+    { from: 3, to: 8, user: 'alice' }
+  ])
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testSharedUserColors = (_tc) => {
+  const colors = [
+    { light: '#ff000033', dark: '#ff0000' },
+    { light: '#00ff0033', dark: '#00ff00' },
+    { light: '#0000ff33', dark: '#0000ff' }
+  ]
+  const ydoc = new Y.Doc()
+  const remoteDoc = new Y.Doc()
+  ydoc.on('update', update => Y.applyUpdate(remoteDoc, update))
+  remoteDoc.on('update', update => Y.applyUpdate(ydoc, update))
+  // users without an assigned color get the color of their hash on every client
+  t.compare(getUserColor(new Map(), colors, 'carol'), getUserColor(getColorMapping(remoteDoc), colors, 'carol'))
+  t.compare(getUserColor(new Map(), colors, { name: 'carol' }), getUserColor(new Map(), colors, { name: 'carol' }))
+  t.compare(getColorMapping(remoteDoc).size, 0, 'getting a color doesn\'t change the mapping')
+  const users = ['alice', 'bob', 'carol', 'dave']
+  const assigned = users.map(user => assignUserColor(getColorMapping(ydoc), colors, user))
+  t.assert(new Set(assigned.slice(0, 3).map(color => color.dark)).size === 3, 'no color is reused until all are taken')
+  t.compare(users.map(user => getUserColor(getColorMapping(remoteDoc), colors, user)), assigned)
+  t.compare(users.map(user => assignUserColor(getColorMapping(remoteDoc), colors, user)), assigned, 'assigned colors are kept')
+  // object users are identified by their JSON representation
+  const objectUsers = [{ name: 'erin' }, { name: 'frank' }]
+  const objectColors = objectUsers.map(user => assignUserColor(new Map(), colors, user))
+  t.compare(objectUsers.map(user => getUserColorKey(user)), ['{"name":"erin"}', '{"name":"frank"}'])
+  t.compare(objectUsers.map(user => getUserColor(new Map(), colors, user)), objectColors)
+  // users that are assigned the same color concurrently are moved to distinct colors
+  const doc1 = new Y.Doc()
+  const doc2 = new Y.Doc()
+  const user1 = 'user0'
+  let user2 = 'user1'
+  for (let i = 1; getUserColor(new Map(), colors, user2) !== getUserColor(new Map(), colors, user1); i++) {
+    user2 = 'user' + i
+  }
+  t.compare(assignUserColor(getColorMapping(doc1), colors, user1), assignUserColor(getColorMapping(doc2), colors, user2))
+  Y.applyUpdate(doc2, Y.encodeStateAsUpdate(doc1))
+  Y.applyUpdate(doc1, Y.encodeStateAsUpdate(doc2))
+  t.compare(assignUserColor(getColorMapping(doc1), colors, user1), assignUserColor(getColorMapping(doc2), colors, user1))
+  t.compare(assignUserColor(getColorMapping(doc1), colors, user2), assignUserColor(getColorMapping(doc2), colors, user2))
+  Y.applyUpdate(doc2, Y.encodeStateAsUpdate(doc1))
+  Y.applyUpdate(doc1, Y.encodeStateAsUpdate(doc2))
+  t.assert(getUserColor(getColorMapping(doc1), colors, user1).dark !== getUserColor(getColorMapping(doc1), colors, user2).dark)
+  t.compare(getColorMapping(doc1).toJSON(), getColorMapping(doc2).toJSON())
+  // cursors use the same colors
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  new Y.PermanentUserData(remoteDoc).setUserMapping(remoteDoc, remoteDoc.clientID, 'bob')
+  const state = EditorState.create({
+    schema,
+    plugins: [ySyncPlugin(ydoc.get('prosemirror', Y.XmlFragment), { colors, colorMapping: getColorMapping(ydoc), permanentUserData })]
+  })
+  const view = new EditorView(null, { state })
+  view.dispatch(view.state.tr.insertText('hello', 1))
+  const remoteFragment = remoteDoc.get('prosemirror', Y.XmlFragment)
+  const awareness = new Awareness(remoteDoc)
+  awareness.setLocalState({
+    user: { name: 'bob', color: '#ffa500' },
+    cursor: {
+      anchor: Y.createRelativePositionFromTypeIndex(/** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (remoteFragment.get(0)).get(0)), 1),
+      head: Y.createRelativePositionFromTypeIndex(/** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (remoteFragment.get(0)).get(0)), 3)
+    }
+  })
+  /**
+   * @param {boolean} sharedColors
+   */
+  const cursorColor = sharedColors => {
+    let color = null
+    createDecorations(view.state, awareness, () => true, () => document.createElement('span'), user => {
+      color = user.color
+      return {}
+    }, sharedColors)
+    return color
+  }
+  t.compare(cursorColor(false), '#ffa500')
+  t.compare(cursorColor(true), assigned[1].dark)
+  awareness.destroy()
+  view.destroy()
+}
+
+const schemaWithSuggestions = new Schema({
+  nodes: schema.spec.nodes,
+  marks: schema.spec.marks.addToEnd('suggestion', suggestionMarkSpec)
+})
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testSuggestionMode = (_tc) => {
+  const ydoc = new Y.Doc()
+  const remoteDoc = new Y.Doc()
+  ydoc.on('update', update => Y.applyUpdate(remoteDoc, update))
+  remoteDoc.on('update', update => Y.applyUpdate(ydoc, update))
+  const view = new EditorView(null, {
+    state: EditorState.create({
+      schema: schemaWithSuggestions,
+      plugins: [
+        ySyncPlugin(ydoc.get('prosemirror', Y.XmlFragment)),
+        yUndoPlugin(),
+        ySuggestionPlugin({ user: 'alice', enabled: true })
+      ]
+    })
+  })
+  const remoteView = createNewProsemirrorViewWithSchema(remoteDoc, schemaWithSuggestions, false)
+  const ytext = () => /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (remoteDoc.get('prosemirror', Y.XmlFragment).get(0)).get(0))
+  remoteView.dispatch(remoteView.state.tr.insertText('hello world', 1))
+  t.compare(view.state.doc.textContent, 'hello world')
+  // suggestions can be undone
+  view.dispatch(view.state.tr.insertText('!', 12))
+  t.compare(ytext().toDelta()[1].attributes.suggestion.type, 'added')
+  yUndoPluginKey.getState(view.state).undoManager.stopCapturing()
+  undo(view.state)
+  t.compare(remoteView.state.doc.textContent, 'hello world')
+  view.dispatch(view.state.tr.insertText(' big', 6))
+  view.dispatch(view.state.tr.delete(11, 16))
+  t.compare(view.state.doc.textContent, 'hello big world', 'deleted content is kept')
+  const [inserted, deleted] = getSuggestions(remoteView.state)
+  t.compare(ytext().toDelta(), [
+    { insert: 'hello' },
+    { insert: ' big', attributes: { suggestion: { id: inserted.id, user: 'alice', type: 'added' } } },
+    { insert: ' ' },
+    { insert: 'world', attributes: { suggestion: { id: deleted.id, user: 'alice', type: 'removed' } } }
+  ])
+  t.compare([inserted.type, deleted.type], ['added', 'removed'])
+  t.compare(deleted.ranges, [{ from: 11, to: 16 }])
+  // other users accept and reject the suggestions
+  t.assert(acceptSuggestion(inserted.id)(remoteView.state, remoteView.dispatch))
+  t.assert(rejectSuggestion(deleted.id)(remoteView.state, remoteView.dispatch))
+  t.compare(ytext().toDelta(), [{ insert: 'hello big world' }])
+  t.compare(getSuggestions(view.state), [])
+  view.dispatch(view.state.tr.delete(6, 10))
+  t.assert(acceptSuggestion(getSuggestions(remoteView.state)[0].id)(remoteView.state, remoteView.dispatch))
+  t.compare(view.state.doc.textContent, 'hello world')
+  t.assert(!acceptSuggestion('unknown')(remoteView.state))
+  // suggested deletions are undone in a single step
+  const undoManager = yUndoPluginKey.getState(view.state).undoManager
+  undoManager.stopCapturing()
+  view.dispatch(view.state.tr.delete(1, 6))
+  t.compare(getSuggestions(remoteView.state).map(suggestion => suggestion.type), ['removed'])
+  undoManager.stopCapturing()
+  undo(view.state)
+  t.compare(ytext().toDelta(), [{ insert: 'hello world' }])
+  // changes that can't be tracked are refused
+  const doc = view.state.doc
+  view.dispatch(view.state.tr.split(6))
+  view.dispatch(view.state.tr.addMark(1, 6, schemaWithSuggestions.marks.strong.create()))
+  t.assert(view.state.doc === doc, 'splits and formatting changes are refused')
+  // suggested insertions of other users can't be deleted
+  remoteView.dispatch(remoteView.state.tr.insert(12, schemaWithSuggestions.text('!', [schemaWithSuggestions.marks.suggestion.create({ id: 'bob-1', user: 'bob', type: 'added' })])))
+  view.dispatch(view.state.tr.delete(7, 13))
+  t.compare(view.state.doc.textContent, 'hello world!')
+  t.compare(getSuggestions(view.state).map(suggestion => suggestion.user), ['bob'])
+}
+
+/**
+ * Suggestions of concurrent users are merged.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testConcurrentSuggestions = (_tc) => {
+  const ydoc1 = new Y.Doc()
+  const ydoc2 = new Y.Doc()
+  /**
+   * @param {Y.Doc} ydoc
+   * @param {string} user
+   */
+  const createView = (ydoc, user) => new EditorView(null, {
+    state: EditorState.create({
+      schema: schemaWithSuggestions,
+      plugins: [
+        ySyncPlugin(ydoc.get('prosemirror', Y.XmlFragment)),
+        yUndoPlugin(),
+        ySuggestionPlugin({ user, enabled: true })
+      ]
+    })
+  })
+  const view1 = createView(ydoc1, 'alice')
+  const view2 = createView(ydoc2, 'bob')
+  const p = new Y.XmlElement('paragraph')
+  p.insert(0, [new Y.XmlText('hello world')])
+  ydoc1.getXmlFragment('prosemirror').insert(0, [p])
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+  // the edits are not adjacent, Yjs orders concurrent formatting of adjacent text by clientID
+  view1.dispatch(view1.state.tr.delete(2, 3))
+  view1.dispatch(view1.state.tr.insertText('oh, ', 1))
+  view2.dispatch(view2.state.tr.delete(7, 12))
+  view2.dispatch(view2.state.tr.insertText('!', 12))
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+  Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+  t.compare(view1.state.doc.toJSON(), view2.state.doc.toJSON())
+  t.compare(view1.state.doc.textContent, 'oh, hello world!')
+  t.compare(getSuggestions(view1.state).map(({ user, type }) => ({ user, type })), [
+    { user: 'alice', type: 'added' },
+    { user: 'alice', type: 'removed' },
+    { user: 'bob', type: 'removed' },
+    { user: 'bob', type: 'added' }
+  ])
+  // suggestions of the other user are resolved
+  const removed = getSuggestions(view1.state).find(({ user, type }) => user === 'bob' && type === 'removed')
+  t.assert(acceptSuggestion(/** @type {any} */ (removed).id)(view1.state, view1.dispatch))
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+  t.compare(view2.state.doc.textContent, 'oh, hello !')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testLiveBaselineDiff = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
+  const remoteDoc = new Y.Doc({ gc: false })
+  ydoc.on('update', update => Y.applyUpdate(remoteDoc, update))
+  remoteDoc.on('update', update => Y.applyUpdate(ydoc, update))
+  const view = new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [ySyncPlugin(ydoc.get('prosemirror', Y.XmlFragment)), yBaselinePlugin()]
+    })
+  })
+  view.dispatch(view.state.tr.replaceWith(0, view.state.doc.content.size, [
+    schema.node('paragraph', undefined, schema.text('hello world')),
+    schema.node('paragraph', undefined, schema.text('second'))
+  ]))
+  const getChanges = () => yBaselinePluginKey.getState(view.state).decorations.find()
+    .map(deco => ({ from: deco.from, to: deco.to, type: deco.spec.type, text: deco.spec.text }))
+    .sort((a, b) => a.from - b.from || a.to - b.to)
+  t.assert(setBaseline(Y.snapshot(ydoc))(view.state, view.dispatch))
+  await promise.wait(10)
+  t.compare(getChanges(), [])
+  // local changes
+  view.dispatch(view.state.tr.insertText('big ', 7))
+  await promise.wait(10)
+  t.compare(getChanges(), [{ from: 7, to: 11, type: 'added', text: undefined }])
+  // remote changes are shown immediately
+  const remoteFragment = remoteDoc.get('prosemirror', Y.XmlFragment)
+  const remoteText = /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (remoteFragment.get(0)).get(0))
+  remoteText.delete(10, 5)
+  const p = new Y.XmlElement('paragraph')
+  p.insert(0, [new Y.XmlText('new')])
+  remoteDoc.transact(() => {
+    remoteFragment.delete(1)
+    remoteFragment.insert(1, [p])
+  })
+  t.compare(view.state.doc.textContent, 'hello big new', 'decorations don\'t change the content')
+  t.assert(view.editable)
+  t.compare(getChanges(), [
+    { from: 7, to: 11, type: 'added', text: undefined },
+    { from: 11, to: 11, type: 'removed', text: 'world' },
+    { from: 12, to: 17, type: 'added', text: undefined },
+    { from: 13, to: 16, type: 'added', text: undefined },
+    { from: 17, to: 17, type: 'removed', text: 'second' }
+  ])
+  t.assert(setBaseline(null)(view.state, view.dispatch))
+  t.compare(getChanges(), [])
+}
+
+/**
+ * Changes of block attributes and of formatting since the baseline are decorated.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testBaselineAttributeAndFormatChanges = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  const view = new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [ySyncPlugin(yxml), yBaselinePlugin()]
+    })
+  })
+  const heading = new Y.XmlElement('heading')
+  heading.setAttribute('level', 1)
+  heading.insert(0, [new Y.XmlText('title')])
+  const p = new Y.XmlElement('paragraph')
+  const ytext = new Y.XmlText('hello world')
+  p.insert(0, [ytext])
+  yxml.insert(0, [heading, p])
+  t.assert(setBaseline(Y.snapshot(ydoc))(view.state, view.dispatch))
+  await promise.wait(10)
+  const getChanges = () => yBaselinePluginKey.getState(view.state).decorations.find()
+    .map(deco => ({ from: deco.from, to: deco.to, type: deco.spec.type }))
+    .sort((a, b) => a.from - b.from || a.to - b.to)
+  t.compare(getChanges(), [])
+  // remote changes
+  heading.setAttribute('level', 2)
+  ytext.format(0, 5, { strong: {} })
+  t.compare(getChanges(), [
+    { from: 0, to: 7, type: 'attributes' },
+    { from: 8, to: 13, type: 'format' }
+  ])
+  const attrs = view.dom.querySelector('h2')?.getAttribute('class')
+  t.compare(attrs, 'ProseMirror-yjs-changed-block')
+  // local changes
+  view.dispatch(view.state.tr.addMark(14, 19, schema.marks.em.create()))
+  await promise.wait(10)
+  t.compare(getChanges(), [
+    { from: 0, to: 7, type: 'attributes' },
+    { from: 8, to: 13, type: 'format' },
+    { from: 14, to: 19, type: 'format' }
+  ])
+  // reverting the change removes the decoration
+  heading.setAttribute('level', 1)
+  t.compare(getChanges(), [
+    { from: 8, to: 13, type: 'format' },
+    { from: 14, to: 19, type: 'format' }
+  ])
+  // nodes that are stored as Y.XmlHook take up space before the compared content
+  const hookDoc = new Y.Doc({ gc: false })
+  const hookView = new EditorView(null, {
+    state: EditorState.create({
+      schema: schemaWithHooks,
+      plugins: [ySyncPlugin(hookDoc.get('prosemirror', Y.XmlFragment), { nodeAdapters: labelAdapters }), yBaselinePlugin()]
+    })
+  })
+  hookView.dispatch(hookView.state.tr.replaceWith(0, hookView.state.doc.content.size, [
+    schemaWithHooks.node('figure', { label: 'chart' }),
+    schemaWithHooks.node('paragraph', undefined, [
+      schemaWithHooks.node('mention', { label: 'bob' }),
+      schemaWithHooks.text('hello')
+    ])
+  ]))
+  t.assert(setBaseline(Y.snapshot(hookDoc))(hookView.state, hookView.dispatch))
+  await promise.wait(10)
+  const hookText = /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (hookDoc.get('prosemirror', Y.XmlFragment).get(1)).get(1))
+  hookText.insert(5, ' world')
+  hookText.format(0, 5, { strong: {} })
+  t.compare(yBaselinePluginKey.getState(hookView.state).decorations.find()
+    .map(deco => ({ from: deco.from, to: deco.to, type: deco.spec.type }))
+    .sort((a, b) => a.from - b.from || a.to - b.to), [
+    { from: 3, to: 8, type: 'format' },
+    { from: 8, to: 14, type: 'added' }
+  ])
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testApplyProsemirrorDocToYXmlFragment = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  /**
+   * @param {Array<string>} paragraphs
+   */
+  const createDoc = paragraphs => schema.node('doc', undefined, paragraphs.map(text => schema.node('paragraph', undefined, text ? schema.text(text) : undefined)))
+  prosemirrorToYXmlFragment(createDoc(['first', 'second', 'third']), yxml)
+  const [first, second, third] = yxml.toArray()
+  const cursor = Y.createRelativePositionFromTypeIndex(/** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (third).get(0)), 2)
+  /**
+   * @type {Array<any>}
+   */
+  const origins = []
+  ydoc.on('afterTransaction', tr => { origins.push(tr.origin) })
+  applyProsemirrorDocToYXmlFragment(yxml, createDoc(['first', 'second edited', 'inserted', 'third']), { origin: 'import' })
+  t.compare(yXmlFragmentToProsemirrorJSON(yxml), createDoc(['first', 'second edited', 'inserted', 'third']).toJSON())
+  t.compare(origins, ['import'])
+  const children = yxml.toArray()
+  t.assert(children[0] === first && children[1] === second && children[3] === third, 'unchanged nodes keep their types')
+  t.compare(Y.createAbsolutePositionFromRelativePosition(cursor, ydoc)?.index, 2)
+  // JSON documents require a schema
+  const json = createDoc(['first', 'third']).toJSON()
+  t.fails(() => applyProsemirrorDocToYXmlFragment(yxml, json))
+  applyProsemirrorDocToYXmlFragment(yxml, json, { schema })
+  t.compare(yXmlFragmentToProsemirrorJSON(yxml), json)
+  t.assert(yxml.get(1) === third)
+  // applying the same document again doesn't change anything
+  const stateVector = Y.encodeStateVector(ydoc)
+  applyProsemirrorDocToYXmlFragment(yxml, json, { schema })
+  t.compare(Y.encodeStateVector(ydoc), stateVector)
+  // binding options are passed through
+  const heading = schema.node('doc', undefined, [schema.node('heading', { level: 1 }, schema.text('first')), schema.node('paragraph', undefined, schema.text('third'))])
+  applyProsemirrorDocToYXmlFragment(yxml, heading, { mutableNodeTypes: true })
+  t.assert(PNode.fromJSON(schema, yXmlFragmentToProsemirrorJSON(yxml)).eq(heading))
+  t.assert(yxml.get(0) === first && yxml.get(0).getAttribute(NodeTypeAttribute) === 'heading', 'the Yjs element is retained')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testCollabBridge = (_tc) => {
+  const authority = new CollabAuthority(schema.node('doc', undefined, [schema.node('paragraph', undefined, schema.text('hello'))]))
+  // steps of the bridge are delayed while the network is paused
+  let paused = false
+  const receiveSteps = authority.receiveSteps.bind(authority)
+  authority.receiveSteps = (version, steps, clientID) => !(paused && clientID === 'y-prosemirror') && receiveSteps(version, steps, clientID)
+  /**
+   * A legacy client that edits the latest version
+   * @param {function(import('prosemirror-state').Transaction):void} f
+   */
+  const legacyEdit = f => {
+    const tr = EditorState.create({ doc: authority.doc }).tr
+    f(tr)
+    t.assert(authority.receiveSteps(authority.version, tr.steps, 'legacy'))
+  }
+  const ydoc = new Y.Doc()
+  const remoteDoc = new Y.Doc()
+  ydoc.on('update', update => Y.applyUpdate(remoteDoc, update))
+  remoteDoc.on('update', update => Y.applyUpdate(ydoc, update))
+  const bridge = new YCollabBridge(ydoc.get('prosemirror', Y.XmlFragment), authority)
+  const view = createNewProsemirrorView(remoteDoc)
+  t.compare(view.state.doc.textContent, 'hello')
+  // collab steps are written to Yjs
+  legacyEdit(tr => tr.insertText(' world', 6))
+  t.compare(view.state.doc.textContent, 'hello world')
+  // Yjs changes are sent to the authority
+  view.dispatch(view.state.tr.insertText('>', 1))
+  t.compare(authority.doc.textContent, '>hello world')
+  t.compare(authority.stepClientIDs, ['legacy', 'y-prosemirror'])
+  t.compare(bridge.version, authority.version)
+  // concurrent changes are rebased
+  paused = true
+  view.dispatch(view.state.tr.insertText('!', 13))
+  legacyEdit(tr => tr.insertText('Oh, ', 1))
+  t.compare(view.state.doc.textContent, 'Oh, >hello world!')
+  t.compare(authority.doc.textContent, 'Oh, >hello world')
+  paused = false
+  bridge.flush()
+  t.compare(authority.doc.textContent, 'Oh, >hello world!')
+  t.compare(authority.doc.toJSON(), view.state.doc.toJSON())
+  t.compare(bridge.unconfirmed.length, 0)
+  t.assert(!authority.receiveSteps(0, [], 'legacy'), 'outdated steps are rejected')
+  bridge.destroy()
+  t.compare(authority.onNewSteps.length, 0)
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testUpdateToChangeRecords = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  prosemirrorToYXmlFragment(schema.node('doc', undefined, [
+    schema.node('heading', { level: 1 }, schema.text('Title')),
+    schema.node('paragraph', undefined, schema.text('hello world')),
+    schema.node('paragraph', undefined, schema.text('obsolete'))
+  ]), yxml)
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  const remoteDoc = new Y.Doc()
+  Y.applyUpdate(remoteDoc, Y.encodeStateAsUpdate(ydoc))
+  permanentUserData.setUserMapping(ydoc, remoteDoc.clientID, 'bob')
+  /**
+   * Describe a remote change and apply it afterwards.
+   *
+   * @param {function(Y.XmlFragment):void} f
+   */
+  const describe = f => {
+    /**
+     * @type {Array<Uint8Array>}
+     */
+    const updates = []
+    remoteDoc.once('update', update => { updates.push(update) })
+    remoteDoc.transact(() => f(remoteDoc.get('prosemirror', Y.XmlFragment)))
+    const before = yXmlFragmentToProsemirrorJSON(yxml)
+    const records = yUpdateToChangeRecords(yxml, updates[0], { schema, permanentUserData })
+    t.compare(yXmlFragmentToProsemirrorJSON(yxml), before, 'the fragment is not modified')
+    Y.applyUpdate(ydoc, updates[0])
+    return records.map(({ client, ...record }) => {
+      t.assert(client === remoteDoc.clientID)
+      return record
+    })
+  }
+  /**
+   * @param {Y.XmlFragment} fragment
+   * @param {number} i
+   * @return {Y.XmlText}
+   */
+  const text = (fragment, i) => /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (fragment.get(i)).get(0))
+  t.compare(describe(fragment => {
+    text(fragment, 1).insert(5, ' big', { em: {} })
+    text(fragment, 1).delete(0, 1)
+  }), [
+    { type: 'deleteText', path: [1, 0], nodeName: 'text', pos: 8, text: 'h', user: 'bob' },
+    { type: 'insertText', path: [1, 0], nodeName: 'text', pos: 12, text: ' big', marks: [{ type: 'em' }], user: 'bob' }
+  ])
+  t.compare(describe(fragment => {
+    const heading = /** @type {Y.XmlElement} */ (fragment.get(0))
+    heading.setAttribute('level', 2)
+    text(fragment, 1).format(0, 4, { strong: {} })
+  }), [
+    { type: 'setAttribute', path: [0], nodeName: 'heading', pos: 0, attribute: 'level', value: 2, oldValue: 1, user: 'bob' },
+    { type: 'format', path: [1, 0], nodeName: 'text', pos: 8, length: 4, addedMarks: [{ type: 'strong' }], removedMarks: [], user: 'bob' }
+  ])
+  t.compare(describe(fragment => {
+    fragment.delete(2)
+    const p = new Y.XmlElement('paragraph')
+    p.insert(0, [new Y.XmlText('new')])
+    fragment.insert(1, [p])
+  }), [
+    { type: 'insertNodes', path: [], nodeName: null, pos: 7, nodes: [{ type: 'paragraph', content: [{ type: 'text', text: 'new' }] }], user: 'bob' },
+    { type: 'deleteNodes', path: [], nodeName: null, pos: 28, nodeNames: ['paragraph'], user: 'bob' }
+  ])
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testMutableNodeTypes = (_tc) => {
+  /**
+   * @param {Y.Doc} ydoc
+   */
+  const createView = ydoc => new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [ySyncPlugin(ydoc.getXmlFragment('prosemirror'), { mutableNodeTypes: true })]
+    })
+  })
+  const ydoc1 = new Y.Doc()
+  const ydoc2 = new Y.Doc()
+  const view1 = createView(ydoc1)
+  const view2 = createView(ydoc2)
+  const sync = () => {
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+  }
+  view1.dispatch(view1.state.tr.replaceWith(0, view1.state.doc.content.size, schema.node('paragraph', undefined, schema.text('hello world'))))
+  sync()
+  const yxml = ydoc1.getXmlFragment('prosemirror')
+  const yparagraph = yxml.get(0)
+  // concurrently convert the block and type in it
+  view1.dispatch(view1.state.tr.setBlockType(1, 1, schema.nodes.heading, { level: 2 }))
+  view2.dispatch(view2.state.tr.insertText('big ', 7))
+  sync()
+  t.assert(yxml.get(0) === yparagraph, 'the Yjs element is retained')
+  t.compare(yparagraph.getAttribute(NodeTypeAttribute), 'heading')
+  const expected = { type: 'doc', content: [{ type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'hello big world' }] }] }
+  t.compare(yXmlFragmentToProsemirrorJSON(yxml), expected)
+  t.assert(view1.state.doc.eq(PNode.fromJSON(schema, expected)))
+  t.assert(view2.state.doc.eq(PNode.fromJSON(schema, expected)))
+  // converting the block back removes the attribute
+  view2.dispatch(view2.state.tr.setBlockType(1, 1, schema.nodes.paragraph))
+  sync()
+  t.assert(yxml.get(0) === yparagraph)
+  t.compare(yparagraph.getAttributes(), {})
+  t.compare(view1.state.doc.firstChild?.type.name, 'paragraph')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testStructuredAttributes = (_tc) => {
+  const schemaWithEmbeds = new Schema({
+    nodes: schema.spec.nodes.addToEnd('embed', { group: 'block', atom: true, attrs: { config: { default: null }, ychange: { default: null } }, toDOM: () => ['div'] }),
+    marks: schema.spec.marks
+  })
+  /**
+   * @param {Y.Doc} ydoc
+   */
+  const createView = ydoc => new EditorView(null, {
+    state: EditorState.create({
+      schema: schemaWithEmbeds,
+      plugins: [ySyncPlugin(ydoc.getXmlFragment('prosemirror'), { structuredAttributes: { embed: ['config'] } })]
+    })
+  })
+  const ydoc1 = new Y.Doc({ gc: false })
+  const ydoc2 = new Y.Doc()
+  const view1 = createView(ydoc1)
+  const view2 = createView(ydoc2)
+  const sync = () => {
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+  }
+  const config = { url: 'a', size: { width: 1, height: 1 }, tags: ['x'] }
+  view1.dispatch(view1.state.tr.replaceWith(0, view1.state.doc.content.size, schemaWithEmbeds.node('embed', { config })))
+  sync()
+  const snapshot1 = Y.snapshot(ydoc1)
+  const yembed = /** @type {Y.XmlElement} */ (ydoc1.getXmlFragment('prosemirror').get(0))
+  t.assert(yembed.getAttribute('config') instanceof Y.Map)
+  t.compare(view2.state.doc.firstChild?.attrs.config, config)
+  // concurrently change different fields of the attribute
+  view1.dispatch(view1.state.tr.setNodeMarkup(0, undefined, { config: { ...config, url: 'b' } }))
+  view2.dispatch(view2.state.tr.setNodeMarkup(0, undefined, { config: { ...config, size: { width: 2, height: 1 }, tags: ['x', 'y'] } }))
+  sync()
+  const expected = { url: 'b', size: { width: 2, height: 1 }, tags: ['x', 'y'] }
+  t.compare(view1.state.doc.firstChild?.attrs.config, expected)
+  t.compare(view2.state.doc.firstChild?.attrs.config, expected)
+  t.compare(yXmlFragmentToProsemirrorJSON(ydoc2.getXmlFragment('prosemirror')).content[0].attrs.config, expected)
+  // the fields are read at the snapshot, so the diff of two snapshots shows the change
+  const snapshot2 = Y.snapshot(ydoc1)
+  t.compare(getPlainAttributes(yembed, snapshot1).config, config)
+  t.compare(getPlainAttributes(yembed, snapshot2).config, expected)
+  const change = yXmlFragmentToProseMirrorDiffDoc(ydoc1.getXmlFragment('prosemirror'), schemaWithEmbeds, snapshot2, snapshot1).child(0).attrs.ychange
+  t.compare(change.type, 'attributes')
+  t.compare(change.before, { config })
+  t.compare(change.after, { config: expected })
+  // documents that are applied without a view store structured attributes as well
+  const ydoc3 = new Y.Doc()
+  applyProsemirrorDocToYXmlFragment(ydoc3.getXmlFragment('prosemirror'), view1.state.doc, { structuredAttributes: { embed: ['config'] } })
+  t.assert(/** @type {Y.XmlElement} */ (ydoc3.getXmlFragment('prosemirror').get(0)).getAttribute('config') instanceof Y.Map)
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testNodeAdapters = (_tc) => {
+  const schemaWithDiagrams = new Schema({
+    nodes: schema.spec.nodes.addToEnd('diagram', { group: 'block', atom: true, attrs: { shapes: { default: [] } }, toDOM: () => ['div'] }),
+    marks: schema.spec.marks
+  })
+  /**
+   * A diagram is stored as a Y.Array of Y.Map shapes
+   *
+   * @type {import('../src/plugins/sync-plugin.js').NodeAdapter}
+   */
+  const diagramAdapter = {
+    create: node => {
+      const hook = new Y.XmlHook('diagram')
+      const shapes = new Y.Array()
+      shapes.insert(0, node.attrs.shapes.map((/** @type {Object<string,any>} */ shape) => new Y.Map(Object.entries(shape))))
+      hook.set('shapes', shapes)
+      return hook
+    },
+    update: (hook, node) => {
+      const shapes = /** @type {Y.Array<Y.Map<any>>} */ (hook.get('shapes'))
+      node.attrs.shapes.forEach((/** @type {Object<string,any>} */ shape, /** @type {number} */ i) => {
+        const yshape = i < shapes.length ? shapes.get(i) : null
+        if (yshape === null) {
+          shapes.push([new Y.Map(Object.entries(shape))])
+        } else {
+          Object.entries(shape).forEach(([key, value]) => {
+            if (yshape.get(key) !== value) {
+              yshape.set(key, value)
+            }
+          })
+        }
+      })
+      if (shapes.length > node.attrs.shapes.length) {
+        shapes.delete(node.attrs.shapes.length, shapes.length - node.attrs.shapes.length)
+      }
+    },
+    render: (hook, schema) => schema.node('diagram', { shapes: /** @type {Y.Array<any>} */ (hook.get('shapes')).toJSON() }),
+    equal: (hook, node) => JSON.stringify(/** @type {Y.Array<any>} */ (hook.get('shapes')).toJSON()) === JSON.stringify(node.attrs.shapes)
+  }
+  /**
+   * @param {Y.Doc} ydoc
+   */
+  const createView = ydoc => new EditorView(null, {
+    state: EditorState.create({
+      schema: schemaWithDiagrams,
+      plugins: [ySyncPlugin(ydoc.getXmlFragment('prosemirror'), { nodeAdapters: { diagram: diagramAdapter } })]
+    })
+  })
+  const ydoc1 = new Y.Doc()
+  const ydoc2 = new Y.Doc()
+  const view1 = createView(ydoc1)
+  const view2 = createView(ydoc2)
+  const sync = () => {
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+  }
+  const shapes = [{ id: 'a', label: 'start' }, { id: 'b', label: 'end' }]
+  view1.dispatch(view1.state.tr.replaceWith(0, view1.state.doc.content.size, [
+    schemaWithDiagrams.node('paragraph', undefined, schemaWithDiagrams.text('before')),
+    schemaWithDiagrams.node('diagram', { shapes }),
+    schemaWithDiagrams.node('paragraph', undefined, schemaWithDiagrams.text('after'))
+  ]))
+  sync()
+  const yxml = ydoc1.getXmlFragment('prosemirror')
+  const yhook = yxml.get(1)
+  t.assert(yhook instanceof Y.XmlHook && yhook.get('shapes') instanceof Y.Array)
+  t.assert(view2.state.doc.eq(view1.state.doc))
+  // concurrently change different shapes
+  view1.dispatch(view1.state.tr.setNodeMarkup(8, undefined, { shapes: [{ id: 'a', label: 'begin' }, shapes[1]] }))
+  view2.dispatch(view2.state.tr.setNodeMarkup(8, undefined, { shapes: [shapes[0], { id: 'b', label: 'finish' }] }))
+  sync()
+  t.assert(yxml.get(1) === yhook, 'the Yjs type is updated')
+  const expected = [{ id: 'a', label: 'begin' }, { id: 'b', label: 'finish' }]
+  t.compare(view1.state.doc.child(1).attrs.shapes, expected)
+  t.compare(view2.state.doc.child(1).attrs.shapes, expected)
+  // positions around the diagram are mapped
+  const { mapping } = ySyncPluginKey.getState(view1.state).binding
+  ;[8, 9, 11].forEach(pos => {
+    const relPos = absolutePositionToRelativePosition(pos, yxml, mapping)
+    t.compare(relativePositionToAbsolutePosition(ydoc1, yxml, relPos, mapping), pos)
+  })
+  // the diagram is updated when content is inserted before it in the same transaction
+  const inserted = schemaWithDiagrams.node('paragraph', undefined, schemaWithDiagrams.text('inserted'))
+  view1.dispatch(view1.state.tr.insert(8, inserted).setNodeMarkup(8 + inserted.nodeSize, undefined, { shapes: [{ id: 'a', label: 'start' }, expected[1]] }))
+  view2.dispatch(view2.state.tr.setNodeMarkup(8, undefined, { shapes: [expected[0], { id: 'b', label: 'end' }] }))
+  sync()
+  t.assert(yxml.get(2) === yhook, 'the Yjs type is updated')
+  t.compare(view1.state.doc.child(2).attrs.shapes, shapes)
+  t.compare(view2.state.doc.child(2).attrs.shapes, shapes)
+  // utilities without a view accept the adapters as well
+  const snapshot = Y.snapshot(ydoc1)
+  const diffDoc = yXmlFragmentToProseMirrorDiffDoc(yxml, schemaWithDiagrams, snapshot, snapshot, { nodeAdapters: { diagram: diagramAdapter } })
+  t.compare(diffDoc.child(2).attrs.shapes, shapes)
+  const ydoc3 = new Y.Doc()
+  applyProsemirrorDocToYXmlFragment(ydoc3.getXmlFragment('prosemirror'), view1.state.doc, { nodeAdapters: { diagram: diagramAdapter } })
+  t.assert(ydoc3.getXmlFragment('prosemirror').get(2) instanceof Y.XmlHook)
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testMovedBlockConvergence = (_tc) => {
+  /**
+   * @param {Y.Doc} ydoc
+   */
+  const createView = ydoc => new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [ySyncPlugin(ydoc.getXmlFragment('prosemirror'), { trackMoves: true })]
+    })
+  })
+  // the remote change arrives before and after the move, and the other client edits with or without a view
+  ;[true, false].forEach(moveFirst => [false, true].forEach(headless => {
+    const ydoc1 = new Y.Doc()
+    ydoc1.clientID = 1
+    const ydoc2 = new Y.Doc()
+    ydoc2.clientID = 2
+    const view1 = createView(ydoc1)
+    const view2 = headless ? new HeadlessProsemirrorBinding(ydoc2.getXmlFragment('prosemirror'), { schema, trackMoves: true }) : createView(ydoc2)
+    view1.dispatch(view1.state.tr.replaceWith(0, view1.state.doc.content.size, ['first', 'second', 'third'].map(text =>
+      schema.node('paragraph', undefined, schema.text(text))
+    )))
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    // client 1 drags the first paragraph to the end
+    const first = view1.state.doc.child(0)
+    const tr = view1.state.tr.delete(0, first.nodeSize)
+    view1.dispatch(tr.insert(tr.doc.content.size, first))
+    t.assert(getMoveMap(ydoc1.getXmlFragment('prosemirror')).size === 2, 'the paragraph and its text are recorded')
+    // client 2 concurrently edits the first paragraph
+    view2.dispatch(view2.state.tr.insertText('!', 6).delete(1, 2).insertText('F', 1))
+    t.compare(view2.state.doc.child(0).textContent, 'First!')
+    if (moveFirst) {
+      Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+      Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+    } else {
+      Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+      Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+      Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+    }
+    const expected = ['second', 'third', 'First!']
+    t.compare(view1.state.doc.content.content.map(p => p.textContent), expected)
+    t.compare(view2.state.doc.content.content.map(p => p.textContent), expected)
+    t.compare(yXmlFragmentToProsemirrorJSON(ydoc1.getXmlFragment('prosemirror')), yXmlFragmentToProsemirrorJSON(ydoc2.getXmlFragment('prosemirror')))
+  }))
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testMovedBlockForwarding = async (_tc) => {
+  /**
+   * @param {Y.Doc} ydoc
+   * @param {number} [moveExpiry]
+   */
+  const createView = (ydoc, moveExpiry) => new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [ySyncPlugin(ydoc.getXmlFragment('prosemirror'), { trackMoves: true, moveExpiry })]
+    })
+  })
+  /**
+   * @param {Array<Y.Doc>} docs
+   */
+  const sync = docs => {
+    docs.forEach(from => docs.forEach(to => {
+      if (from !== to) {
+        Y.applyUpdate(to, Y.encodeStateAsUpdate(from, Y.encodeStateVector(to)))
+      }
+    }))
+  }
+  const paragraphs = ['one', 'two', 'three'].map(text => schema.node('paragraph', undefined, schema.text(text)))
+  const expected = schema.node('doc', undefined, [
+    ...paragraphs,
+    schema.node('heading', { level: 2 }, schema.text('title')),
+    schema.node('blockquote', undefined, [
+      schema.node('paragraph', undefined, schema.text('quote!')),
+      schema.node('paragraph', undefined, schema.text('added'))
+    ])
+  ])
+  // Client 3 receives the changes of client 2, which goes offline or reloads with a new client id
+  // before it receives the move. Otherwise, clients 2 and 3 forward the changes concurrently.
+  for (const editorOnline of [false, true]) {
+    const ydoc1 = new Y.Doc()
+    ydoc1.clientID = 1
+    const ydoc2 = new Y.Doc()
+    ydoc2.clientID = 2
+    const ydoc3 = new Y.Doc()
+    ydoc3.clientID = 3
+    const view1 = createView(ydoc1, 1)
+    const view2 = createView(ydoc2)
+    const view3 = createView(ydoc3)
+    view1.dispatch(view1.state.tr.replaceWith(0, view1.state.doc.content.size, [
+      schema.node('heading', { level: 1 }, schema.text('title')),
+      schema.node('blockquote', undefined, schema.node('paragraph', undefined, schema.text('quote'))),
+      ...paragraphs
+    ]))
+    sync([ydoc1, ydoc2, ydoc3])
+    // client 1 moves the heading and the blockquote to the end
+    const heading = view1.state.doc.child(0)
+    const blockquote = view1.state.doc.child(1)
+    const tr = view1.state.tr.delete(0, heading.nodeSize + blockquote.nodeSize)
+    view1.dispatch(tr.insert(tr.doc.content.size, [heading, blockquote]))
+    const moveMap = getMoveMap(ydoc1.getXmlFragment('prosemirror'))
+    t.compare(moveMap.size, 5, 'the moved elements and texts are recorded')
+    // client 2 concurrently changes the attributes, the structure, and the text of the moved blocks
+    view2.dispatch(view2.state.tr.setNodeMarkup(0, undefined, { level: 2 }))
+    const quoteEnd = view2.state.doc.child(0).nodeSize + 1 + view2.state.doc.child(1).child(0).nodeSize
+    view2.dispatch(view2.state.tr.insert(quoteEnd, schema.node('paragraph', undefined, schema.text('added'))).insertText('!', quoteEnd - 1))
+    sync([ydoc2, ydoc3])
+    sync(editorOnline ? [ydoc1, ydoc2, ydoc3] : [ydoc1, ydoc3])
+    sync(editorOnline ? [ydoc1, ydoc2, ydoc3] : [ydoc1, ydoc3])
+    t.assert(view1.state.doc.eq(expected), 'the changes are forwarded once')
+    t.assert(view3.state.doc.eq(expected))
+    if (editorOnline) {
+      t.assert(view2.state.doc.eq(expected))
+    }
+    // moves are removed when they expire
+    const recorded = Array.from(moveMap.keys())
+    await promise.wait(5)
+    const paragraph = view1.state.doc.child(0)
+    view1.dispatch(view1.state.tr.insert(view1.state.doc.content.size, paragraph).delete(0, paragraph.nodeSize))
+    t.assert(moveMap.size > 0 && recorded.every(key => !moveMap.has(key)))
+  }
+  // changes to the original that a client receives after the move are only forwarded by their author
+  const ydocs = [1, 2, 3].map(clientID => {
+    const ydoc = new Y.Doc()
+    ydoc.clientID = clientID
+    return ydoc
+  })
+  const [view1, view2, view3] = ydocs.map(ydoc => createView(ydoc))
+  view1.dispatch(view1.state.tr.replaceWith(0, view1.state.doc.content.size, ['a', 'b', 'c', 'd'].map(text =>
+    schema.node('paragraph', undefined, schema.text(text))
+  )))
+  sync(ydocs)
+  const moved = view1.state.doc.child(0)
+  view1.dispatch(view1.state.tr.insert(view1.state.doc.content.size, moved).delete(0, moved.nodeSize))
+  view2.dispatch(view2.state.tr.insertText('!', 2))
+  sync([ydocs[0], ydocs[2]])
+  Y.applyUpdate(ydocs[2], Y.encodeStateAsUpdate(ydocs[1], Y.encodeStateVector(ydocs[2])))
+  t.compare(view3.state.doc.textContent, 'bcda', 'client 3 received the change after the move')
+  sync(ydocs)
+  sync(ydocs)
+  ;[view1, view2, view3].forEach(view => {
+    t.compare(view.state.doc.textContent, 'bcda!', 'client 2 forwards its change when it receives the move')
+  })
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testDiffDocWithoutView = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  const permanentUserData = new Y.PermanentUserData(ydoc)
+  permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'me')
   const p = new Y.XmlElement('paragraph')
   const ytext = new Y.XmlText('hello world!')
   p.insert(0, [ytext])
   yxml.insert(0, [p])
   const snapshot1 = Y.snapshot(ydoc)
-  const snapshotDoc1 = Y.encodeStateAsUpdateV2(ydoc)
   ytext.delete(0, 6)
+  const p2 = new Y.XmlElement('paragraph')
+  p2.insert(0, [new Y.XmlText('new')])
+  yxml.insert(1, [p2])
   const snapshot2 = Y.snapshot(ydoc)
-  const snapshotDoc2 = Y.encodeStateAsUpdateV2(ydoc)
-  view.dispatch(
-    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshot2, prevSnapshot: snapshot1, permanentUserData })
-  )
-  await promise.wait(50)
-  console.log('calculated diff via snapshots: ', view.state.doc.toJSON())
-  // recreate the JSON, because ProseMirror messes with the constructors
-  const viewstate1 = JSON.parse(JSON.stringify(view.state.doc.toJSON().content[0].content))
-  const expectedState = [{
+  // PermanentUserData stores deletions asynchronously
+  await promise.wait(10)
+  let updates = 0
+  ydoc.on('update', () => { updates++ })
+  const diffDoc = yXmlFragmentToProseMirrorDiffDoc(yxml, complexSchema, snapshot2, snapshot1, { permanentUserData })
+  t.compare(updates, 0, 'the document is not modified')
+  t.compare(yxml.toString(), '<paragraph>world!</paragraph><paragraph>new</paragraph>')
+  const json = JSON.parse(JSON.stringify(diffDoc.toJSON()))
+  t.compare(json.content[0].content, [{
     type: 'text',
     marks: [{ type: 'ychange', attrs: { user: 'me', type: 'removed' } }],
     text: 'hello '
   }, {
     type: 'text',
     text: 'world!'
-  }]
-  console.log('calculated diff via snapshots: ', JSON.stringify(viewstate1))
-  t.compare(viewstate1, expectedState)
-
-  t.info('now check whether we get the same result when rendering the updates')
-  view.dispatch(
-    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshotDoc2, prevSnapshot: snapshotDoc1, permanentUserData })
-  )
-  await promise.wait(50)
+  }])
+  t.compare(json.content[1].attrs.ychange.type, 'added')
+  t.compare(json.content[1].attrs.ychange.user, 'me')
+  // the same diff from v2 updates
+  const update1 = Y.encodeStateAsUpdateV2(ydoc)
+  const diffDoc2 = yXmlFragmentToProseMirrorDiffDoc(yxml, complexSchema, update1, update1, { permanentUserData })
+  t.compare(diffDoc2.textContent, 'world!new')
+  // schemas without ychange marks render the content without annotations
+  const plainDiffDoc = yXmlFragmentToProseMirrorDiffDoc(yxml, schema, snapshot2, snapshot1)
+  t.compare(plainDiffDoc.textContent, 'hello world!new')
+  t.compare(updates, 0)
+}
 
-  const viewstate2 = JSON.parse(JSON.stringify(view.state.doc.toJSON().content[0].content))
-  console.log('calculated diff via updates: ', JSON.stringify(viewstate2))
-  t.compare(viewstate2, expectedState)
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testAttributionTimestamps = (_tc) => {
+  let time = 1000
+  const ydoc = new Y.Doc({ gc: false })
+  const attributionStore = new AttributionStore(ydoc, undefined, { resolution: 1000, now: () => time })
+  const yxml = ydoc.get('prosemirror', Y.XmlFragment)
+  const schemaWithTimestamps = new Schema({
+    nodes: complexSchema.spec.nodes,
+    marks: complexSchema.spec.marks.update('ychange', {
+      ...complexSchema.spec.marks.get('ychange'),
+      attrs: { user: { default: null }, type: { default: null }, timestamp: { default: null } }
+    })
+  })
+  const p = new Y.XmlElement('paragraph')
+  const ytext = new Y.XmlText('hello')
+  p.insert(0, [ytext])
+  yxml.insert(0, [p])
+  const snapshot1 = Y.snapshot(ydoc)
+  time = 5000
+  ytext.insert(5, ' world')
+  time = 5500
+  ytext.insert(11, '!')
+  time = 9000
+  ytext.delete(0, 1)
+  /**
+   * @param {Y.Snapshot} prevSnapshot
+   */
+  const getChanges = prevSnapshot => {
+    const doc = yXmlFragmentToProseMirrorDiffDoc(yxml, schemaWithTimestamps, Y.snapshot(ydoc), prevSnapshot, { attributionStore })
+    /**
+     * @type {Array<any>}
+     */
+    const changes = []
+    doc.descendants(node => {
+      if (node.attrs.ychange) {
+        changes.push({ type: node.attrs.ychange.type, timestamp: node.attrs.ychange.timestamp })
+      }
+      node.marks.filter(mark => mark.type.name === 'ychange').forEach(mark => {
+        changes.push({ text: node.text, type: mark.attrs.type, timestamp: mark.attrs.timestamp })
+      })
+    })
+    return changes
+  }
+  t.compare(getChanges(snapshot1), [
+    { text: 'h', type: 'removed', timestamp: 9000 },
+    { text: ' world!', type: 'added', timestamp: 5000 }
+  ])
+  t.compare(getChanges(Y.emptySnapshot), [
+    { type: 'added', timestamp: 1000 },
+    { text: 'ello', type: 'added', timestamp: 1000 },
+    { text: ' world!', type: 'added', timestamp: 5000 }
+  ])
+  // the timestamps are shared with other clients
+  const remoteDoc = new Y.Doc({ gc: false })
+  Y.applyUpdate(remoteDoc, Y.encodeStateAsUpdate(ydoc))
+  const remoteStore = new AttributionStore(remoteDoc)
+  t.compare(remoteStore.getTimestampById(ytext._item.id), 1000)
+  t.compare(remoteStore.getTimestampByDeletedId(ytext._item.id), null)
+  // deletions within the resolution share a timestamp. Each transaction only appends its own deletions.
+  const getDeletionEntries = () => /** @type {Array<import('../src/attribution.js').DeletionEntry>} */ (attributionStore.yattributions.toArray().filter(entry => 'ds' in entry))
+  const helloId = /** @type {Y.Item} */ (ytext._start).id
+  t.compare(getDeletionEntries().length, 1)
+  time = 9500
+  ytext.delete(0, 1)
+  ytext.delete(3, 1)
+  t.compare(getDeletionEntries().map(entry => entry.time), [9000, 9000, 9000])
+  t.compare(getDeletionEntries().map(entry => entry.ds.length), [3, 3, 3])
+  time = 20000
+  ytext.delete(0, 1)
+  t.compare(getDeletionEntries().map(entry => entry.time), [9000, 9000, 9000, 20000])
+  Y.applyUpdate(remoteDoc, Y.encodeStateAsUpdate(ydoc))
+  ;[attributionStore, remoteStore].forEach(store => {
+    t.compare([0, 1, 2, 3].map(i => store.getTimestampByDeletedId(Y.createID(helloId.client, helloId.clock + i))), [9000, 9000, 20000, null])
+  })
+  attributionStore.destroy()
+  remoteStore.destroy()
 }
 
-export const testVersioningWithGarbageCollection = async (_tc) => {
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testHeadlessBinding = (_tc) => {
   const ydoc = new Y.Doc()
+  const remoteDoc = new Y.Doc()
+  ydoc.on('update', update => Y.applyUpdate(remoteDoc, update))
+  remoteDoc.on('update', update => Y.applyUpdate(ydoc, update))
+  const remoteView = createNewProsemirrorView(remoteDoc)
+  remoteView.dispatch(remoteView.state.tr.insert(0, schema.node('paragraph', undefined, schema.text('hello'))))
+  const origin = { name: 'bot' }
+  const binding = new HeadlessProsemirrorBinding(ydoc.get('prosemirror', Y.XmlFragment), { schema, origin, syncMode: 'steps' })
+  t.compare(binding.state.doc.textContent, 'hello')
+  /**
+   * @type {Array<any>}
+   */
+  const origins = []
+  ydoc.on('afterTransaction', tr => { tr.local && origins.push(tr.origin) })
+  // serialized steps, e.g. from an agent that runs in another process
+  const tr = binding.state.tr.insertText(' world', 6)
+  binding.applySteps(JSON.parse(JSON.stringify(tr.steps.map(step => step.toJSON()))))
+  t.compare(origins, [origin])
+  t.compare(remoteView.state.doc.textContent, 'hello world')
+  // transactions
+  binding.dispatch(binding.state.tr.insertText('!', 12))
+  t.compare(remoteView.state.doc.textContent, 'hello world!')
+  /**
+   * @type {Array<import('prosemirror-state').EditorState>}
+   */
+  const states = []
+  binding.on('state', state => { states.push(state) })
+  remoteView.dispatch(remoteView.state.tr.insertText('>', 1))
+  t.compare(states.length, 1)
+  t.assert(states[0] === binding.state)
+  t.compare(binding.state.doc.textContent, '>hello world!')
+  t.compare(binding.state.doc.toJSON(), remoteView.state.doc.toJSON())
+  t.assert(origins.length === 2)
+  t.fails(() => binding.dispatch(tr))
+  binding.destroy()
+  remoteView.dispatch(remoteView.state.tr.insertText('?', 1))
+  t.compare(binding.state.doc.textContent, '>hello world!')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testVersioningAttributeChanges = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
   const yxml = ydoc.get('prosemirror', Y.XmlFragment)
   const permanentUserData = new Y.PermanentUserData(ydoc)
   permanentUserData.setUserMapping(ydoc, ydoc.clientID, 'me')
-  console.log('yxml', yxml.toString())
-  const view = createNewComplexProsemirrorView(ydoc)
+  // a ychange mark that retains how the formatting changed
+  const schemaWithFormatChanges = new Schema({
+    nodes: complexSchema.spec.nodes,
+    marks: complexSchema.spec.marks.update('ychange', {
+      ...complexSchema.spec.marks.get('ychange'),
+      attrs: { user: { default: null }, type: { default: null }, before: { default: null }, after: { default: null } }
+    })
+  })
+  const view = createNewProsemirrorViewWithSchema(ydoc, schemaWithFormatChanges)
+  const heading = new Y.XmlElement('heading')
+  heading.setAttribute('level', 1)
+  heading.insert(0, [new Y.XmlText('title')])
   const p = new Y.XmlElement('paragraph')
-  const ytext = new Y.XmlText('hello world!')
+  const ytext = new Y.XmlText('hello world')
   p.insert(0, [ytext])
-  yxml.insert(0, [p])
-  const snapshotDoc1 = Y.encodeStateAsUpdateV2(ydoc)
-  ytext.delete(0, 6)
-  const snapshotDoc2 = Y.encodeStateAsUpdateV2(ydoc)
+  yxml.insert(0, [heading, p])
+  const snapshot1 = Y.snapshot(ydoc)
+  heading.setAttribute('level', 2)
+  ytext.format(0, 5, { strong: {} })
+  const snapshot2 = Y.snapshot(ydoc)
   view.dispatch(
-    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshotDoc2, prevSnapshot: snapshotDoc1, permanentUserData })
+    view.state.tr.setMeta(ySyncPluginKey, { snapshot: snapshot2, prevSnapshot: snapshot1, permanentUserData })
   )
   await promise.wait(50)
-  console.log('calculated diff via snapshots: ', view.state.doc.toJSON())
-  // recreate the JSON, because ProseMirror messes with the constructors
-  const viewstate1 = JSON.parse(JSON.stringify(view.state.doc.toJSON().content[0].content))
-  const expectedState = [{
+  const headingChange = view.state.doc.child(0).attrs.ychange
+  t.compare(view.state.doc.child(0).attrs.level, 2)
+  t.compare(headingChange.type, 'attributes')
+  t.compare(headingChange.user, 'me')
+  t.compare(headingChange.before, { level: 1 })
+  t.compare(headingChange.after, { level: 2 })
+  const paragraph = JSON.parse(JSON.stringify(view.state.doc.child(1).toJSON()))
+  t.compare(paragraph.content, [{
     type: 'text',
-    marks: [{ type: 'ychange', attrs: { user: 'me', type: 'removed' } }],
-    text: 'hello '
+    marks: [
+      { type: 'strong' },
+      { type: 'ychange', attrs: { user: 'me', type: 'format', before: { strong: null }, after: { strong: {} } } }
+    ],
+    text: 'hello'
   }, {
     type: 'text',
-    text: 'world!'
-  }]
-  console.log('calculated diff via snapshots: ', JSON.stringify(viewstate1))
-  t.compare(viewstate1, expectedState)
+    text: ' world'
+  }])
+  t.assert(view.state.doc.child(1).attrs.ychange === null, 'the paragraph attributes did not change')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testNamedVersions = async (_tc) => {
+  const ydoc = new Y.Doc({ gc: false })
+  const view = createNewComplexProsemirrorView(ydoc, true)
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  view.dispatch(view.state.tr.replaceWith(0, view.state.doc.content.size, complexSchema.node('paragraph', undefined, complexSchema.text('hello world'))))
+  const v1 = saveVersion(ydoc, { label: 'first', author: 'me', timestamp: 1 })
+  view.dispatch(view.state.tr.insertText('!', 12))
+  view.dispatch(view.state.tr.delete(1, 7))
+  const v2 = saveVersion(ydoc, { label: 'second', timestamp: 2 })
+  t.compare(listVersions(getVersions(ydoc)).map(version => version.label), ['first', 'second'])
+  t.compare(listVersions(getVersions(ydoc))[0].author, 'me')
+  compareVersions(view, v1, v2)
+  await promise.wait(50)
+  t.compare(view.state.doc.textContent, 'hello world!')
+  t.assert(view.state.doc.firstChild.firstChild.marks.some(mark => mark.type.name === 'ychange' && mark.attrs.type === 'removed'))
+  ySyncPluginKey.getState(view.state).binding.unrenderSnapshot()
+  t.compare(view.state.doc.textContent, 'world!')
+  restoreVersion(view, v1)
+  t.compare(view.state.doc.textContent, 'hello world')
+  t.compare(yxml.toString(), '<paragraph>hello world</paragraph>')
+  t.compare(getVersions(ydoc).length, 2, 'versions are retained')
+  // restoring a version can be undone
+  undo(view.state)
+  t.compare(yxml.toString(), '<paragraph>world!</paragraph>')
+  t.compare(view.state.doc.textContent, 'world!')
+  // versions require a document without garbage collection
+  const gcDoc = new Y.Doc()
+  t.fails(() => {
+    saveVersion(gcDoc, { label: 'fails' })
+  })
 }
 
 export const testAddToHistoryIgnore = (_tc) => {
@@ -679,12 +2131,551 @@ export const testRemoveMarkFromNode = (_tc) => {
   t.compare(stateJSON, backandforth)
 }
 
-const createNewProsemirrorViewWithSchema = (y, schema, undoManager = false) => {
+/**
+ * Remote changes should only replace the changed parts of the document.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testIncrementalRemoteRendering = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  /**
+   * @type {Array<import('prosemirror-state').Transaction>}
+   */
+  const remoteTrs = []
+  const view = new EditorView(null, {
+    state: EditorState.create({
+      schema,
+      plugins: [
+        ySyncPlugin(yxml),
+        new Plugin({
+          filterTransaction: (tr) => {
+            if (tr.getMeta(ySyncPluginKey)?.isChangeOrigin) {
+              remoteTrs.push(tr)
+            }
+            return true
+          }
+        })
+      ]
+    })
+  })
+  view.dispatch(view.state.tr.insert(0, [
+    schema.node('paragraph', undefined, schema.text('one')),
+    schema.node('paragraph', undefined, schema.text('two')),
+    schema.node('paragraph', undefined, schema.text('three'))
+  ]))
+  const [first, , last] = [view.state.doc.child(0), view.state.doc.child(1), view.state.doc.child(2)]
+  remoteTrs.length = 0
+  ydoc.transact(() => {
+    /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (yxml.get(1)).get(0)).insert(3, '!')
+  }, 'remote')
+  t.assert(remoteTrs.length === 1)
+  const tr = remoteTrs[0]
+  t.assert(tr.steps.length === 1, 'only a single step is created')
+  t.compare(tr.steps[0].toJSON().stepType, 'replace')
+  t.assert(tr.mapping.map(2) === 2, 'positions before the change are not affected')
+  t.assert(tr.mapping.map(first.nodeSize + 3) === first.nodeSize + 3, 'positions in the changed paragraph are mapped')
+  t.assert(tr.mapping.map(first.nodeSize + 4, 1) === first.nodeSize + 5, 'positions after the insertion are shifted')
+  t.assert(view.state.doc.child(0) === first && view.state.doc.child(2) === last, 'unchanged nodes are retained')
+  t.compare(view.state.doc.child(1).textContent, 'two!')
+  remoteTrs.length = 0
+  ydoc.transact(() => {
+    /** @type {Y.XmlText} */ (/** @type {Y.XmlElement} */ (yxml.get(2)).get(0)).format(0, 5, { strong: {} })
+  }, 'remote')
+  t.assert(remoteTrs.length === 1)
+  t.compare(remoteTrs[0].steps.map(step => step.toJSON().stepType), ['addMark'], 'formatting is applied as a mark step')
+  ydoc.transact(() => {
+    const p1 = /** @type {Y.XmlElement} */ (yxml.get(0))
+    const p3 = /** @type {Y.XmlElement} */ (yxml.get(2))
+    const text3 = /** @type {Y.XmlText} */ (p3.get(0))
+    p1.insert(1, [new Y.XmlText('x')])
+    text3.delete(0, 1)
+  }, 'remote')
+  t.compare(view.state.doc.child(0).textContent, 'onex')
+  t.compare(view.state.doc.child(2).textContent, 'hree')
+  t.assert(view.state.doc.eq(yXmlFragmentToProseMirrorRootNode(yxml, schema)))
+}
+
+/**
+ * If the incremental steps can't be applied, because an intermediate document doesn't match the
+ * schema, the changed subtree is replaced.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testIncrementalRemoteRenderingFallback = (_tc) => {
+  const strictSchema = new Schema({
+    nodes: {
+      doc: { content: '(heading paragraph) | (paragraph heading)' },
+      heading: { content: 'text*', toDOM: () => ['h1', 0] },
+      paragraph: { content: 'text*', toDOM: () => ['p', 0] },
+      text: {}
+    }
+  })
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  const heading = new Y.XmlElement('heading')
+  heading.insert(0, [new Y.XmlText('one')])
+  const paragraph = new Y.XmlElement('paragraph')
+  paragraph.insert(0, [new Y.XmlText('two')])
+  yxml.insert(0, [heading, paragraph])
+  const view = new EditorView(null, {
+    state: EditorState.create({ schema: strictSchema, plugins: [ySyncPlugin(yxml)] })
+  })
+  ydoc.transact(() => {
+    yxml.delete(0, 2)
+    const p = new Y.XmlElement('paragraph')
+    p.insert(0, [new Y.XmlText('one')])
+    const h = new Y.XmlElement('heading')
+    h.insert(0, [new Y.XmlText('two')])
+    yxml.insert(0, [p, h])
+  }, 'remote')
+  t.compare(view.state.doc.toJSON(), yXmlFragmentToProseMirrorRootNode(yxml, strictSchema).toJSON())
+  const nestedSchema = new Schema({
+    nodes: {
+      doc: { content: 'block+' },
+      blockquote: { group: 'block', content: '(heading paragraph) | (paragraph heading)', toDOM: () => ['blockquote', 0] },
+      heading: { content: 'text*', toDOM: () => ['h1', 0] },
+      paragraph: { group: 'block', content: 'text*', toDOM: () => ['p', 0] },
+      text: {}
+    }
+  })
+  const ydoc2 = new Y.Doc()
+  const yxml2 = ydoc2.getXmlFragment('prosemirror')
+  /**
+   * @type {Array<import('prosemirror-state').Transaction>}
+   */
+  const remoteTrs = []
+  const view2 = new EditorView(null, {
+    state: EditorState.create({
+      schema: nestedSchema,
+      plugins: [
+        ySyncPlugin(yxml2),
+        new Plugin({
+          filterTransaction: (tr) => {
+            if (tr.getMeta(ySyncPluginKey)?.isChangeOrigin) {
+              remoteTrs.push(tr)
+            }
+            return true
+          }
+        })
+      ]
+    })
+  })
+  view2.dispatch(view2.state.tr.replaceWith(0, view2.state.doc.content.size, [
+    nestedSchema.node('paragraph', undefined, nestedSchema.text('zero')),
+    nestedSchema.node('blockquote', undefined, [
+      nestedSchema.node('heading', undefined, nestedSchema.text('one')),
+      nestedSchema.node('paragraph', undefined, nestedSchema.text('two'))
+    ]),
+    nestedSchema.node('paragraph', undefined, nestedSchema.text('three'))
+  ]))
+  const [first, quote, last] = [view2.state.doc.child(0), view2.state.doc.child(1), view2.state.doc.child(2)]
+  remoteTrs.length = 0
+  ydoc2.transact(() => {
+    const yquote = /** @type {Y.XmlElement} */ (yxml2.get(1))
+    const h = new Y.XmlElement('heading')
+    h.insert(0, [new Y.XmlText('four')])
+    // the intermediate document of deleting and inserting the headings separately is invalid
+    yquote.delete(0, 1)
+    yquote.push([h])
+  }, 'remote')
+  t.assert(remoteTrs.length === 1)
+  t.assert(view2.state.doc.eq(yXmlFragmentToProseMirrorRootNode(yxml2, nestedSchema)))
+  t.compare(view2.state.doc.child(1).textContent, 'twofour')
+  t.assert(view2.state.doc.child(0) === first && view2.state.doc.child(2) === last, 'only the changed subtree is replaced')
+  const tr = remoteTrs[0]
+  t.compare(tr.steps.map(step => step.toJSON().stepType), ['replace'])
+  t.assert(tr.mapping.map(first.nodeSize) === first.nodeSize, 'positions before the subtree are not affected')
+  t.assert(tr.mapping.map(first.nodeSize + quote.nodeSize + 1) === first.nodeSize + view2.state.doc.child(1).nodeSize + 1, 'positions after the subtree are shifted')
+}
+
+/**
+ * Local changes are written to Yjs by translating the steps of the transaction.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testStepSync = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  const view = createNewProsemirrorViewWithStepSync(ydoc)
+  view.dispatch(view.state.tr.insert(0, [
+    schema.node('paragraph', undefined, schema.text('same')),
+    schema.node('paragraph', undefined, schema.text('same')),
+    schema.node('paragraph', undefined, schema.text('same'))
+  ]))
+  const [p1, p2, p3] = yxml.toArray()
+  const p2text = /** @type {Y.XmlElement} */ (p2).get(0)
+  const p2pos = view.state.doc.child(0).nodeSize
+  view.dispatch(view.state.tr.insertText('!', p2pos + 5))
+  t.assert(yxml.get(0) === p1 && yxml.get(1) === p2 && yxml.get(2) === p3, 'no paragraph was replaced')
+  t.assert(/** @type {Y.XmlElement} */ (p2).get(0) === p2text, 'the text of the edited paragraph was retained')
+  t.compare(p2.toString(), '<paragraph>same!</paragraph>')
+  // split the second paragraph
+  view.dispatch(view.state.tr.split(p2pos + 3))
+  t.assert(yxml.get(1) === p2 || yxml.get(2) === p2, 'the split paragraph is retained')
+  view.dispatch(view.state.tr.addMark(1, view.state.doc.content.size - 1, schema.mark('strong')))
+  view.dispatch(view.state.tr.setNodeMarkup(0, schema.nodes.heading, { level: 2 }))
+  t.assert(yxml.get(3) === p3, 'changing the type of the first paragraph retains the others')
+  t.assert(view.state.doc.eq(yXmlFragmentToProseMirrorRootNode(yxml, schema)))
+  const ydoc2 = new Y.Doc()
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc))
+  const view2 = createNewProsemirrorView(ydoc2)
+  t.compare(view.state.doc.toJSON(), view2.state.doc.toJSON())
+}
+
+const schemaWithPlaceholder = new Schema({
+  nodes: schema.spec.nodes.addToEnd('placeholder', placeholderNodeSpec).addToEnd('inlinePlaceholder', inlinePlaceholderNodeSpec),
+  marks: schema.spec.marks
+})
+
+/**
+ * @param {Y.XmlFragment} yxml
+ * @param {Array<any>} events
+ * @param {import('../src/plugins/sync-plugin.js').YSyncOpts} opts
+ */
+const createViewWithInvalidContentPolicy = (yxml, events, opts) => new EditorView(null, {
+  state: EditorState.create({
+    schema: schemaWithPlaceholder,
+    plugins: [ySyncPlugin(yxml, { onInvalidContent: event => { events.push(event) }, ...opts })]
+  })
+})
+
+/**
+ * @param {Y.XmlFragment} yxml
+ */
+const populateInvalidContent = (yxml) => {
+  const p1 = new Y.XmlElement('paragraph')
+  p1.insert(0, [new Y.XmlText('first')])
+  const unknown = new Y.XmlElement('unknown')
+  unknown.insert(0, [new Y.XmlText('unknown content')])
+  const p2 = new Y.XmlElement('paragraph')
+  const text = new Y.XmlText()
+  text.insert(0, 'second', { highlight: {} })
+  p2.insert(0, [text])
+  const quote = new Y.XmlElement('blockquote')
+  quote.insert(0, [new Y.XmlText('quote')])
+  yxml.insert(0, [p1, unknown, p2, quote])
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testInvalidContentSkip = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  populateInvalidContent(yxml)
+  /**
+   * @type {Array<any>}
+   */
+  const events = []
+  const view = createViewWithInvalidContentPolicy(yxml, events, { invalidContent: 'skip' })
+  t.compare(events.map(event => event.resolution), ['skip', 'repair', 'skip'])
+  t.assert(events[0].type === yxml.get(1))
+  t.assert(events[2].type === yxml.get(3))
+  t.compare(view.state.doc.childCount, 2, 'unknown element and invalid blockquote are not rendered')
+  t.compare(view.state.doc.child(1).textContent, 'second')
+  t.assert(view.state.doc.child(1).firstChild.marks.length === 0, 'unknown mark is not rendered')
+  view.dispatch(view.state.tr.insertText('!', 6))
+  view.dispatch(view.state.tr.insertText('!', view.state.doc.child(0).nodeSize + 7))
+  view.dispatch(view.state.tr.insert(view.state.doc.content.size, schemaWithPlaceholder.node('paragraph', null, schemaWithPlaceholder.text('last'))))
+  t.compare(yxml.length, 5)
+  t.compare(yxml.get(0).toString(), '<paragraph>first!</paragraph>')
+  t.compare(yxml.get(1).toString(), '<unknown>unknown content</unknown>', 'skipped content is retained')
+  t.compare(yxml.get(2).toString(), '<paragraph><highlight>second!</highlight></paragraph>', 'unknown formatting is retained')
+  t.compare(yxml.get(3).toString(), '<blockquote>quote</blockquote>', 'skipped content is retained')
+  t.compare(yxml.get(4).toString(), '<paragraph>last</paragraph>')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testInvalidContentRepair = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  populateInvalidContent(yxml)
+  /**
+   * @type {Array<any>}
+   */
+  const events = []
+  const view = createViewWithInvalidContentPolicy(yxml, events, { invalidContent: 'repair', placeholderNode: 'placeholder' })
+  t.compare(events.map(event => event.resolution), ['placeholder', 'repair', 'repair'])
+  t.compare(view.state.doc.child(1).type.name, 'placeholder')
+  t.compare(view.state.doc.child(1).attrs.nodeName, 'unknown')
+  const quote = view.state.doc.child(3)
+  t.compare(quote.type.name, 'blockquote')
+  t.compare(quote.firstChild.type.name, 'paragraph', 'inline content is wrapped in a paragraph')
+  t.compare(quote.textContent, 'quote')
+  // edit around the placeholder
+  view.dispatch(view.state.tr.insertText('!', 6))
+  view.dispatch(view.state.tr.delete(view.state.doc.child(0).nodeSize + 1, view.state.doc.child(0).nodeSize + 3))
+  t.compare(yxml.get(1).toString(), '<unknown>unknown content</unknown>', 'placeholder content is retained')
+  t.assert(view.state.doc.check() === undefined)
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testInvalidContentDelete = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  populateInvalidContent(yxml)
+  /**
+   * @type {Array<any>}
+   */
+  const events = []
+  createViewWithInvalidContentPolicy(yxml, events, {})
+  t.compare(events.map(event => event.resolution), ['delete', 'delete', 'delete'])
+  t.compare(yxml.toString(), '<paragraph>first</paragraph><paragraph></paragraph>')
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testPlaceholderForUnknownNodeType = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  const p1 = new Y.XmlElement('paragraph')
+  p1.insert(0, [new Y.XmlText('first')])
+  const figure = new Y.XmlElement('figure')
+  figure.setAttribute('layout', 'wide')
+  const caption = new Y.XmlElement('caption')
+  const captionText = new Y.XmlText()
+  captionText.insert(0, 'caption', { strong: true })
+  caption.insert(0, [captionText])
+  figure.insert(0, [caption])
+  const p2 = new Y.XmlElement('paragraph')
+  p2.insert(0, [new Y.XmlText('second')])
+  yxml.insert(0, [p1, figure, p2])
+  const figureStr = figure.toString()
+  /**
+   * @type {Array<any>}
+   */
+  const events = []
+  // unknown node types are rendered as placeholders even if invalid content is deleted
+  const view = createViewWithInvalidContentPolicy(yxml, events, { placeholderNode: 'placeholder' })
+  t.compare(events.map(event => event.resolution), ['placeholder'])
+  const placeholder = view.state.doc.child(1)
+  t.compare(placeholder.type.name, 'placeholder')
+  t.compare(placeholder.attrs.nodeName, 'figure')
+  t.compare(placeholder.attrs.serialized.attrs, { layout: 'wide' })
+  // edit around the placeholder
+  view.dispatch(view.state.tr.insertText('!', 6))
+  view.dispatch(view.state.tr.insert(view.state.doc.child(0).nodeSize, schemaWithPlaceholder.node('paragraph', null, schemaWithPlaceholder.text('new'))))
+  view.dispatch(view.state.tr.insertText('!', view.state.doc.content.size - 1))
+  t.compare(yxml.length, 4)
+  t.assert(yxml.get(2) === figure, 'the Yjs element is retained')
+  t.compare(figure.toString(), figureStr)
+  t.compare(yxml.get(3).toString(), '<paragraph>second!</paragraph>')
+  // replacing the whole document with an equal copy retains the element
+  const docCopy = PNode.fromJSON(schemaWithPlaceholder, view.state.doc.toJSON())
+  view.dispatch(view.state.tr.replaceWith(0, view.state.doc.content.size, docCopy.content))
+  t.assert(yxml.get(2) === figure, 'placeholders are matched by their content')
+  // remote changes update the placeholder
+  captionText.insert(7, '!', { strong: true })
+  t.compare(view.state.doc.child(2).attrs.serialized.children[0].children[0].delta, [{ insert: 'caption!', attributes: { strong: true } }])
+  // copies of the placeholder recreate the element
+  view.dispatch(view.state.tr.insert(view.state.doc.content.size, view.state.doc.child(2)))
+  t.compare(yxml.length, 5)
+  t.assert(yxml.get(4) !== figure)
+  t.compare(yxml.get(4).toString(), figure.toString())
+  t.compare(events.length, 2, 'the copy is rendered as a placeholder')
+}
+
+/**
+ * Unknown inline nodes are rendered as inline placeholders.
+ *
+ * @param {t.TestCase} _tc
+ */
+export const testInlinePlaceholder = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  const p = new Y.XmlElement('paragraph')
+  const mention = new Y.XmlElement('mention')
+  mention.setAttribute('user', 'kevin')
+  p.insert(0, [new Y.XmlText('hello '), mention, new Y.XmlText('!')])
+  yxml.insert(0, [p])
+  /**
+   * @type {Array<any>}
+   */
+  const events = []
+  const view = createViewWithInvalidContentPolicy(yxml, events, { placeholderNode: 'placeholder', inlinePlaceholderNode: 'inlinePlaceholder' })
+  t.compare(events.map(event => event.resolution), ['placeholder'])
+  const paragraph = view.state.doc.child(0)
+  t.compare(paragraph.childCount, 3)
+  t.compare(paragraph.child(1).type.name, 'inlinePlaceholder')
+  t.compare(paragraph.child(1).attrs.nodeName, 'mention')
+  t.compare(paragraph.child(1).attrs.serialized.attrs, { user: 'kevin' })
+  // edit around the placeholder
+  view.dispatch(view.state.tr.insertText('oh, ', 1))
+  t.assert(p.get(1) === mention, 'the Yjs element is retained')
+  t.compare(p.toString(), '<paragraph>oh, hello <mention user="kevin"></mention>!</paragraph>')
+}
+
+/**
+ * Content of an older schema version that uses `title` nodes with a `size` attribute and a
+ * `style` mark that combines `strong` and `em`.
+ *
+ * @param {Y.XmlFragment} yxml
+ */
+const populateSchemaV0 = (yxml) => {
+  const title = new Y.XmlElement('title')
+  title.setAttribute('size', 2)
+  title.insert(0, [new Y.XmlText('Title')])
+  const p = new Y.XmlElement('paragraph')
+  const text = new Y.XmlText()
+  text.insert(0, 'plain ')
+  text.insert(6, 'styled', { style: { bold: true, italic: true } })
+  p.insert(0, [text])
+  yxml.insert(0, [title, p])
+}
+
+/**
+ * Migrations from `populateSchemaV0` to complexSchema
+ *
+ * @type {Array<import('../src/migrations.js').Migration>}
+ */
+const complexSchemaMigrations = [
+  renameNodeType('title', 'heading'),
+  renameNodeAttribute('heading', 'size', 'level'),
+  (yxml) => {
+    // split the style mark
+    for (const type of yxml.createTreeWalker(type => type instanceof Y.XmlText)) {
+      const text = /** @type {Y.XmlText} */ (type)
+      let index = 0
+      text.toDelta().forEach(/** @param {any} op */ op => {
+        const style = op.attributes?.style
+        if (style) {
+          text.format(index, op.insert.length, { style: null, strong: style.bold ? {} : null, em: style.italic ? {} : null })
+        }
+        index += op.insert.length
+      })
+    }
+  }
+]
+
+const migratedComplexSchemaJSON = {
+  type: 'doc',
+  content: [
+    { type: 'heading', attrs: { level: 2, ychange: null }, content: [{ type: 'text', text: 'Title' }] },
+    { type: 'paragraph', attrs: { ychange: null }, content: [{ type: 'text', text: 'plain ' }, { type: 'text', text: 'styled', marks: [{ type: 'em' }, { type: 'strong' }] }] }
+  ]
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testSchemaMigrations = (_tc) => {
+  const ydoc = new Y.Doc()
+  const yxml = ydoc.getXmlFragment('prosemirror')
+  populateSchemaV0(yxml)
+  t.compare(getSchemaVersion(yxml), 0)
+  let transactions = 0
+  ydoc.on('afterTransaction', () => { transactions++ })
+  const { doc } = initProseMirrorDoc(yxml, complexSchema, { migrations: complexSchemaMigrations })
+  t.compare(transactions, 1, 'migrations are applied in a single transaction')
+  t.compare(getSchemaVersion(yxml), 3)
+  t.compare(JSON.parse(JSON.stringify(doc.toJSON())), migratedComplexSchemaJSON)
+  const migrated = yxml.toString()
+  t.compare(migrateYXmlFragment(yxml, complexSchemaMigrations), 3)
+  t.compare(yxml.toString(), migrated, 'migrations are not applied twice')
+  // the sync plugin doesn't migrate content. Content is migrated after it was synced.
+  const ydoc2 = new Y.Doc()
+  const yxml2 = ydoc2.getXmlFragment('prosemirror')
+  const view = new EditorView(null, {
+    state: EditorState.create({
+      schema: complexSchema,
+      plugins: [ySyncPlugin(yxml2)]
+    })
+  })
+  t.compare(getSchemaVersion(yxml2), 0)
+  view.destroy()
+  const legacyDoc = new Y.Doc()
+  populateSchemaV0(legacyDoc.getXmlFragment('prosemirror'))
+  Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(legacyDoc))
+  t.compare(migrateYXmlFragment(yxml2, complexSchemaMigrations), 3)
+  const view2 = new EditorView(null, {
+    state: EditorState.create({
+      schema: complexSchema,
+      plugins: [ySyncPlugin(yxml2)]
+    })
+  })
+  t.compare(JSON.parse(JSON.stringify(view2.state.doc.toJSON())), migratedComplexSchemaJSON)
+  t.compare(yxml2.toString(), migrated)
+}
+
+/**
+ * @param {t.TestCase} _tc
+ */
+export const testConcurrentSchemaMigrations = (_tc) => {
+  const expected = new Y.Doc()
+  populateSchemaV0(expected.getXmlFragment('prosemirror'))
+  migrateYXmlFragment(expected.getXmlFragment('prosemirror'), complexSchemaMigrations)
+  // the second client knows all or only the first two migrations
+  ;[[1, 2, 3], [2, 1, 3], [1, 2, 2], [2, 1, 2]].forEach(([clientID1, clientID2, knownMigrations]) => {
+    const ydoc1 = new Y.Doc()
+    ydoc1.clientID = clientID1
+    const ydoc2 = new Y.Doc()
+    ydoc2.clientID = clientID2
+    const yxml1 = ydoc1.getXmlFragment('prosemirror')
+    const yxml2 = ydoc2.getXmlFragment('prosemirror')
+    populateSchemaV0(yxml1)
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    migrateYXmlFragment(yxml1, complexSchemaMigrations)
+    migrateYXmlFragment(yxml2, complexSchemaMigrations.slice(0, knownMigrations))
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    t.compare(yxml1.toString(), expected.getXmlFragment('prosemirror').toString())
+    t.compare(yxml2.toString(), yxml1.toString())
+    t.compare(getSchemaVersion(yxml1), 3)
+    t.compare(getSchemaVersion(yxml2), 3)
+    t.compare(JSON.parse(JSON.stringify(initProseMirrorDoc(yxml2, complexSchema).doc.toJSON())), migratedComplexSchemaJSON)
+  })
+  // edits to the content of an overruled migration are kept
+  ;[1, 2].forEach(editingClient => {
+    const ydoc1 = new Y.Doc()
+    ydoc1.clientID = 1
+    const ydoc2 = new Y.Doc()
+    ydoc2.clientID = 2
+    const yxml1 = ydoc1.getXmlFragment('prosemirror')
+    const yxml2 = ydoc2.getXmlFragment('prosemirror')
+    populateSchemaV0(yxml1)
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    migrateYXmlFragment(yxml1, complexSchemaMigrations)
+    migrateYXmlFragment(yxml2, complexSchemaMigrations)
+    const yxml = editingClient === 1 ? yxml1 : yxml2
+    const heading = /** @type {Y.XmlElement} */ (yxml.get(0))
+    const headingText = /** @type {Y.XmlText} */ (heading.get(0))
+    headingText.insert(5, '!')
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    Y.applyUpdate(ydoc1, Y.encodeStateAsUpdate(ydoc2))
+    Y.applyUpdate(ydoc2, Y.encodeStateAsUpdate(ydoc1))
+    t.compare(yxml2.toString(), yxml1.toString())
+    const content = JSON.parse(JSON.stringify(initProseMirrorDoc(yxml1, complexSchema).doc.toJSON())).content
+    const editedHeading = { type: 'heading', attrs: { level: 2, ychange: null }, content: [{ type: 'text', text: 'Title!' }] }
+    if (editingClient === 1) {
+      // the edited heading of the overruled migration is kept next to the heading of the surviving migration
+      t.compare(content.length, 3)
+      t.assert(content.some(/** @param {any} node */ node => JSON.stringify(node) === JSON.stringify(editedHeading)))
+      t.compare(content.filter(/** @param {any} node */ node => node.type === 'paragraph'), [migratedComplexSchemaJSON.content[1]])
+    } else {
+      t.compare(content, [editedHeading, migratedComplexSchemaJSON.content[1]])
+    }
+  })
+}
+
+/**
+ * @param {Y.Doc} y
+ * @param {Schema} schema
+ * @param {boolean} [undoManager]
+ * @param {'diff'|'steps'} [syncMode]
+ */
+const createNewProsemirrorViewWithSchema = (y, schema, undoManager = false, syncMode = 'diff') => {
   const view = new EditorView(null, {
     // @ts-ignore
     state: EditorState.create({
       schema,
-      plugins: [ySyncPlugin(y.get('prosemirror', Y.XmlFragment))].concat(
+      plugins: [ySyncPlugin(y.get('prosemirror', Y.XmlFragment), { syncMode })].concat(
         undoManager ? [yUndoPlugin()] : []
       )
     })
@@ -701,6 +2692,9 @@ const createNewProsemirrorView = (y) =>
 const createNewProsemirrorViewWithUndoManager = (y) =>
   createNewProsemirrorViewWithSchema(y, schema, true)
 
+const createNewProsemirrorViewWithStepSync = (y) =>
+  createNewProsemirrorViewWithSchema(y, schema, false, 'steps')
+
 let charCounter = 0
 
 const marksChoices = [
@@ -868,6 +2862,20 @@ export const testRepeatGenerateProsemirrorChanges70 = (tc) => {
   checkResult(applyRandomTests(tc, pmChanges, 70, createNewProsemirrorView))
 }
 
+/**
+ * @param {t.TestCase} tc
+ */
+export const testRepeatGenerateProsemirrorChangesStepSync30 = (tc) => {
+  checkResult(applyRandomTests(tc, pmChanges, 30, createNewProsemirrorViewWithStepSync))
+}
+
+/**
+ * @param {t.TestCase} tc
+ */
+export const testRepeatGenerateProsemirrorChangesStepSync70 = (tc) => {
+  checkResult(applyRandomTests(tc, pmChanges, 70, createNewProsemirrorViewWithStepSync))
+}
+
 /**
  * @param {t.TestCase} tc
  *